@@ -0,0 +1,310 @@
+/**
+ * Access control shared by the API handlers.
+ *
+ * Authentication is off unless APP_PASSWORD or API_TOKENS is set. Then the
+ * handlers that spend provider credits require one of:
+ *   - a session cookie, issued by POST /api/session for the shared password
+ *     (or an API token) and signed with AUTH_SECRET; without AUTH_SECRET no
+ *     sessions are issued or accepted
+ *   - an `Authorization: Bearer <token>` header with one of API_TOKENS,
+ *     a comma-separated list of `name:token` pairs (the name identifies the user)
+ *
+ * Everyone who signs in with the shared password is the same user as far as
+ * ownership goes (history, feed, quotas): the name they type is only a label,
+ * since anyone with the password could type any name. Per-user ownership
+ * needs API tokens.
+ *
+ * ALLOWED_ORIGINS is a comma-separated list of origins that may call the API
+ * from a browser. Without it any origin may, as before auth existed; the
+ * app's own origin is always allowed.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'session';
+const DEFAULT_SESSION_DAYS = 30;
+const MAX_NAME_LENGTH = 40;
+
+/** Identity of shared-password sessions; token names can't contain ':', so no token user has it */
+const PASSWORD_USER_ID = 'shared:password';
+
+/** Response headers browser code on other origins may read */
+const EXPOSED_HEADERS = [
+    'X-Request-Id',
+    'Retry-After',
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset',
+    'X-Quota-Limit-Day',
+    'X-Quota-Remaining-Day',
+    'X-Quota-Limit-Month',
+    'X-Quota-Remaining-Month',
+].join(', ');
+
+/**
+ * @typedef {Object} AuthUser
+ * @property {string|null} id - Who owns what the user saves; the token name for token users,
+ *   PASSWORD_USER_ID for shared-password sessions, null when auth is off
+ * @property {string|null} name - Display name, null when auth is off
+ * @property {'session'|'token'|'anonymous'} via - How the request authenticated
+ */
+
+/** @type {AuthUser} */
+const ANONYMOUS = Object.freeze({ id: null, name: null, via: 'anonymous' });
+
+function isAuthEnabled() {
+    return Boolean(process.env.APP_PASSWORD || process.env.API_TOKENS);
+}
+
+/**
+ * Parse API_TOKENS into name/token pairs
+ * @returns {Array<{name: string, token: string}>}
+ */
+function getApiTokens() {
+    return (process.env.API_TOKENS || '')
+        .split(',')
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            return separator > 0
+                ? { name: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() }
+                : null;
+        })
+        .filter((entry) => entry && entry.name && entry.token);
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Whether AUTH_SECRET is set. Never fall back to a key derived from the
+ * password: anyone who knows it could forge a session for any user.
+ * @returns {boolean}
+ */
+function isSessionSigningEnabled() {
+    return Boolean(process.env.AUTH_SECRET);
+}
+
+function sign(value) {
+    return crypto.createHmac('sha256', process.env.AUTH_SECRET).update(value).digest('base64url');
+}
+
+function getSessionMaxAge() {
+    const days = Number(process.env.AUTH_SESSION_DAYS);
+    return Math.round((days > 0 ? days : DEFAULT_SESSION_DAYS) * 24 * 60 * 60);
+}
+
+/**
+ * Read one cookie from the request
+ * @param {import('http').IncomingMessage} req
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const separator = cookie.indexOf('=');
+        if (separator !== -1 && cookie.slice(0, separator).trim() === name) {
+            try {
+                return decodeURIComponent(cookie.slice(separator + 1).trim());
+            } catch {
+                // Malformed escapes: treat as no cookie, so the request gets a 401 rather than a 500
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether the request reached us over HTTPS (directly or through Vercel's proxy)
+ * @param {import('http').IncomingMessage} req
+ * @returns {boolean}
+ */
+function isSecureRequest(req) {
+    return req.headers['x-forwarded-proto'] === 'https' || Boolean(req.socket?.encrypted);
+}
+
+/**
+ * Build a Set-Cookie value for the session cookie
+ * @param {import('http').IncomingMessage} req
+ * @param {string} value
+ * @param {number} maxAge - Seconds, 0 deletes the cookie
+ * @returns {string}
+ */
+function buildSessionCookie(req, value, maxAge) {
+    const attributes = [`${SESSION_COOKIE}=${value}`, 'Path=/', `Max-Age=${maxAge}`, 'HttpOnly', 'SameSite=Lax'];
+    if (isSecureRequest(req)) attributes.push('Secure');
+    return attributes.join('; ');
+}
+
+/**
+ * Check login credentials: the shared password (with the name the user typed
+ * as a label) or an API token (with its configured name)
+ * @param {string} password
+ * @param {string} [name]
+ * @returns {{user?: AuthUser, error?: 'invalid_credentials'|'name_taken'}}
+ */
+function checkCredentials(password, name) {
+    if (typeof password !== 'string' || !password) return { error: 'invalid_credentials' };
+
+    if (process.env.APP_PASSWORD && safeEqual(password, process.env.APP_PASSWORD)) {
+        const displayName = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+        // Token users' names would otherwise pass for their work in the feed
+        const lowerName = displayName.toLowerCase();
+        if (getApiTokens().some((entry) => entry.name.toLowerCase() === lowerName)) {
+            return { error: 'name_taken' };
+        }
+        return { user: { id: PASSWORD_USER_ID, name: displayName || 'guest', via: 'session' } };
+    }
+
+    const token = getApiTokens().find((entry) => safeEqual(password, entry.token));
+    return token
+        ? { user: { id: token.name, name: token.name, via: 'session' } }
+        : { error: 'invalid_credentials' };
+}
+
+/**
+ * Set a session cookie for a user who just logged in
+ * @param {import('http').IncomingMessage} req
+ * @param {Object} res
+ * @param {AuthUser} user
+ */
+function startSession(req, res, user) {
+    const maxAge = getSessionMaxAge();
+    const payload = Buffer.from(JSON.stringify({
+        id: user.id,
+        name: user.name,
+        exp: Math.floor(Date.now() / 1000) + maxAge,
+    })).toString('base64url');
+    res.setHeader('Set-Cookie', buildSessionCookie(req, `${payload}.${sign(payload)}`, maxAge));
+}
+
+/**
+ * Delete the session cookie
+ * @param {import('http').IncomingMessage} req
+ * @param {Object} res
+ */
+function endSession(req, res) {
+    res.setHeader('Set-Cookie', buildSessionCookie(req, '', 0));
+}
+
+/**
+ * Identify the user behind a request without rejecting it
+ * @param {import('http').IncomingMessage} req
+ * @returns {AuthUser|null} ANONYMOUS when auth is off, null when not signed in
+ */
+function getUser(req) {
+    if (!isAuthEnabled()) return ANONYMOUS;
+
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        const bearer = authorization.slice('Bearer '.length).trim();
+        const token = getApiTokens().find((entry) => safeEqual(bearer, entry.token));
+        return token ? { id: token.name, name: token.name, via: 'token' } : null;
+    }
+
+    if (!isSessionSigningEnabled()) return null;
+
+    const cookie = readCookie(req, SESSION_COOKIE);
+    const [payload, signature] = (cookie || '').split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        // Sessions from before identities were separate from names have no id; sign in again
+        if (typeof session.id !== 'string' || !(session.exp > Date.now() / 1000)) return null;
+        return { id: session.id, name: session.name, via: 'session' };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Require a signed-in user, responding 401 if there is none
+ * @param {import('http').IncomingMessage} req
+ * @param {Object} res
+ * @param {import('./logger').RequestLogger} [log] - Records the rejection
+ * @returns {AuthUser|null} The user, or null once the 401 has been sent
+ */
+function authenticate(req, res, log) {
+    const user = getUser(req);
+    if (!user) {
+        log?.info('rejected', { status: 401, reason: 'unauthorized' });
+        res.status(401).json({ error: 'Sign in to continue', code: 'unauthorized' });
+        return null;
+    }
+    return user;
+}
+
+/**
+ * Origins from ALLOWED_ORIGINS
+ * @returns {string[]|null} Null when any origin is allowed
+ */
+function getAllowedOrigins() {
+    const allowed = (process.env.ALLOWED_ORIGINS || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+    return allowed.length === 0 || allowed.includes('*') ? null : allowed;
+}
+
+/**
+ * Whether a browser origin may call the API
+ * @param {import('http').IncomingMessage} req
+ * @param {string} origin
+ * @returns {boolean}
+ */
+function isOriginAllowed(req, origin) {
+    const allowed = getAllowedOrigins();
+    if (!allowed || allowed.includes(origin)) return true;
+
+    // Same-origin requests from the app itself
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    try {
+        return new URL(origin).host === host;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Set CORS headers for the request's origin
+ * @param {import('http').IncomingMessage} req
+ * @param {Object} res
+ * @param {string} methods - Allowed methods, e.g. 'POST, OPTIONS'
+ * @returns {boolean} False if the origin is not allowed (no CORS headers are set)
+ */
+function applyCors(req, res, methods) {
+    const origin = req.headers.origin;
+    if (origin && !isOriginAllowed(req, origin)) {
+        return false;
+    }
+
+    if (origin && getAllowedOrigins()) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+        res.setHeader('Vary', 'Origin');
+    } else {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id');
+    res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+    return true;
+}
+
+module.exports = {
+    isAuthEnabled,
+    isSessionSigningEnabled,
+    checkCredentials,
+    startSession,
+    endSession,
+    getUser,
+    authenticate,
+    applyCors,
+};
@@ -0,0 +1,109 @@
+/**
+ * Reverse-engineer a prompt from an image for /api/describe.
+ *
+ * A vision-capable OpenRouter model (VISION_MODEL) looks at the image and
+ * writes a text-to-image prompt that would reproduce it, a negative prompt
+ * and an aspect ratio, as JSON. The prompt follows the image model's
+ * prompting style like enhancement does (see api/_lib/enhance.js).
+ */
+
+const { STYLE_INSTRUCTIONS } = require('./enhance');
+
+/** Aspect ratios the settings panel offers */
+const ASPECT_RATIOS = ['1:1', '4:3', '3:4', '16:9', '9:16', '3:2', '2:3', '21:9', '9:21'];
+
+const DESCRIBE_INSTRUCTIONS = 'You are an expert prompt engineer for AI image generation. ' +
+    'Look at the image and write the text-to-image prompt that would reproduce it: subject, composition, ' +
+    'medium, style, lighting, color palette, camera or rendering details and mood. ' +
+    'Also write a negative prompt listing what to avoid to keep this look, and pick the aspect ratio ' +
+    `closest to the image from: ${ASPECT_RATIOS.join(', ')}. ` +
+    'Reply with ONLY a JSON object: {"prompt": "...", "negative_prompt": "...", "aspect_ratio": "..."}';
+
+/**
+ * @typedef {Object} ImageDescription
+ * @property {string} prompt - Prompt that reproduces the image
+ * @property {string} negativePrompt - What to avoid, may be empty
+ * @property {string} aspectRatio - One of ASPECT_RATIOS
+ */
+
+/**
+ * The offered aspect ratio closest to an image's shape
+ * @param {number} width
+ * @param {number} height
+ * @returns {string}
+ */
+function nearestAspectRatio(width, height) {
+    const target = Math.log(width / height);
+    let best = ASPECT_RATIOS[0];
+    let bestDistance = Infinity;
+    for (const ratio of ASPECT_RATIOS) {
+        const [w, h] = ratio.split(':').map(Number);
+        const distance = Math.abs(Math.log(w / h) - target);
+        if (distance < bestDistance) {
+            best = ratio;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Chat messages and sampling settings for describing one image
+ * @param {string} imageUrl - http(s) URL or data URI the model can read
+ * @param {'natural'|'tags'} style - Prompting style of the image model
+ * @returns {Object} Body fields for the chat completion request
+ */
+function buildDescribeRequest(imageUrl, style) {
+    return {
+        messages: [
+            {
+                role: 'system',
+                content: `${DESCRIBE_INSTRUCTIONS} In "prompt", ${(STYLE_INSTRUCTIONS[style] || STYLE_INSTRUCTIONS.natural).toLowerCase()}`,
+            },
+            {
+                role: 'user',
+                content: [
+                    { type: 'text', text: 'Describe this image as a text-to-image prompt.' },
+                    { type: 'image_url', image_url: { url: imageUrl } },
+                ],
+            },
+        ],
+        response_format: { type: 'json_object' },
+        max_tokens: 700,
+        temperature: 0.4,
+    };
+}
+
+/**
+ * Read the model's JSON reply. Tolerates a markdown code fence around it.
+ * @param {string} content - Message content from the completion
+ * @param {string|null} measuredRatio - Aspect ratio from the image's own dimensions, preferred when known
+ * @returns {ImageDescription|null} Null if the reply has no usable prompt
+ */
+function parseDescription(content, measuredRatio) {
+    const json = String(content || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+
+    let reply;
+    try {
+        reply = JSON.parse(json);
+    } catch {
+        return null;
+    }
+
+    const prompt = typeof reply?.prompt === 'string' ? reply.prompt.trim() : '';
+    if (!prompt) return null;
+
+    const suggested = typeof reply.aspect_ratio === 'string' ? reply.aspect_ratio.trim() : '';
+    return {
+        prompt,
+        negativePrompt: typeof reply.negative_prompt === 'string' ? reply.negative_prompt.trim() : '',
+        aspectRatio: measuredRatio || (ASPECT_RATIOS.includes(suggested) ? suggested : ASPECT_RATIOS[0]),
+    };
+}
+
+module.exports = {
+    ASPECT_RATIOS,
+    nearestAspectRatio,
+    buildDescribeRequest,
+    parseDescription,
+};
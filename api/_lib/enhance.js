@@ -0,0 +1,303 @@
+/**
+ * Prompt enhancement modes and enhancer models for /api/enhance.
+ *
+ * A mode is one kind of rewrite (expand, shorten, translate, ...) with its
+ * own instructions and sampling settings. Modes that write a new prompt
+ * follow the prompting style of the image model it is for: natural-language
+ * sentences by default, or comma-separated tags for models whose registry
+ * entry sets `promptStyle: 'tags'` (see api/_lib/models.js).
+ *
+ * Refinement is the conversational kind: the user asks for a change ("make
+ * it night time") and the model applies it to the current prompt, with the
+ * earlier turns of the conversation as context.
+ *
+ * For edit models, the input images can go along too (see api/_lib/vision.js):
+ * the vision model then writes edit instructions about what is actually in
+ * them ("replace the red car in the left foreground") instead of describing
+ * a new picture from scratch.
+ *
+ * Enhancer models are OpenRouter model IDs from ENHANCE_MODELS
+ * (comma-separated, the first is the default).
+ */
+
+const { ProviderError } = require('./providers/http');
+const { toImageParts } = require('./vision');
+
+const DEFAULT_ENHANCE_MODEL = 'x-ai/grok-4-fast';
+const DEFAULT_MODE = 'expand';
+
+/** Mode reported for refinements, which are not in the enhance menu */
+const REFINE_MODE = 'refine';
+const MAX_REFINE_TURNS = 20;
+const MAX_INSTRUCTION_LENGTH = 500;
+const MAX_TURN_PROMPT_LENGTH = 4000;
+
+const BASE_INSTRUCTIONS = 'You are an expert prompt engineer for AI image generation. ' +
+    'Output ONLY the raw prompt text, no markdown, quotes or conversational filler.';
+
+/** Added when the input images of an edit model are attached */
+const EDIT_INSTRUCTIONS = 'The attached images are the input images of an image editing model; refer to them as image 1, image 2 and so on, in order. ' +
+    'Write precise edit instructions grounded in what is actually in them: name the specific objects, people, colors and positions to change ' +
+    '(e.g. "replace the red car in the left foreground with a bicycle") and say what to keep unchanged. ' +
+    'Do not describe things that are not in the images unless the user asks to add them.';
+
+/** Instructions for writing in an image model's prompting style */
+const STYLE_INSTRUCTIONS = {
+    natural: 'Write it as fluent natural-language sentences.',
+    tags: 'Write it as comma-separated tags and short keyword phrases, most important first, with no full sentences.',
+};
+
+/**
+ * @typedef {Object} EnhanceMode
+ * @property {string} label - Shown in the enhance menu
+ * @property {string} instructions - What the rewrite should do
+ * @property {boolean} styled - Whether the result follows the image model's prompting style
+ * @property {'prompt'|'negative_prompt'} target - Settings field the result replaces
+ * @property {boolean} visual - Whether an edit model's input images are sent along
+ * @property {number} maxTokens
+ * @property {number} temperature
+ */
+
+/** @type {Object<string, EnhanceMode>} */
+const ENHANCE_MODES = {
+    expand: {
+        label: 'Expand',
+        instructions: 'Rewrite the user\'s prompt into a detailed, descriptive and artistic prompt suitable for high-quality text-to-image models. Keep it under 40 sentences.',
+        styled: true,
+        target: 'prompt',
+        visual: true,
+        maxTokens: 500,
+        temperature: 0.7,
+    },
+    shorten: {
+        label: 'Shorten',
+        instructions: 'Condense the user\'s prompt to its essential subject, style and composition, in at most 30 words. Drop redundant or filler descriptions.',
+        styled: true,
+        target: 'prompt',
+        visual: true,
+        maxTokens: 120,
+        temperature: 0.3,
+    },
+    photoreal: {
+        label: 'Make photoreal',
+        instructions: 'Rewrite the user\'s prompt as a realistic photograph: name the camera, lens, lighting and film or sensor qualities, and remove painterly or illustrative styles.',
+        styled: true,
+        target: 'prompt',
+        visual: true,
+        maxTokens: 400,
+        temperature: 0.6,
+    },
+    cinematic: {
+        label: 'Make cinematic',
+        instructions: 'Rewrite the user\'s prompt as a still from a film: describe the shot type, camera movement implied by the framing, dramatic lighting, color grading and atmosphere.',
+        styled: true,
+        target: 'prompt',
+        visual: true,
+        maxTokens: 400,
+        temperature: 0.7,
+    },
+    grammar: {
+        label: 'Fix grammar',
+        instructions: 'Correct spelling, grammar and punctuation in the user\'s prompt. Keep its wording, structure and meaning; do not add details.',
+        styled: false,
+        target: 'prompt',
+        visual: false,
+        maxTokens: 500,
+        temperature: 0,
+    },
+    translate: {
+        label: 'Translate to English',
+        instructions: 'Translate the user\'s prompt into English. Keep its structure and every detail; if it is already English, return it unchanged.',
+        styled: false,
+        target: 'prompt',
+        visual: false,
+        maxTokens: 500,
+        temperature: 0,
+    },
+    negative: {
+        label: 'Negative prompt',
+        instructions: 'Write a negative prompt for the user\'s prompt: the artifacts, flaws and unwanted elements the image model should avoid for this subject (e.g. extra fingers, blur, watermark).',
+        styled: true,
+        target: 'negative_prompt',
+        visual: false,
+        maxTokens: 200,
+        temperature: 0.4,
+    },
+};
+
+const REFINE_INSTRUCTIONS = 'You are refining the user\'s prompt together with them over several turns. ' +
+    'Apply their latest requested change to the current prompt and return the whole updated prompt. ' +
+    'Keep everything the change does not touch.';
+
+/**
+ * One earlier turn of a refinement conversation
+ * @typedef {Object} RefineTurn
+ * @property {string} instruction - The change the user asked for
+ * @property {string} prompt - The prompt that came back
+ */
+
+/**
+ * Enhancer models allowed by the environment
+ * @returns {string[]} Default first
+ */
+function getEnhanceModels() {
+    const models = (process.env.ENHANCE_MODELS || '')
+        .split(',')
+        .map((model) => model.trim())
+        .filter(Boolean);
+    return models.length > 0 ? models : [DEFAULT_ENHANCE_MODEL];
+}
+
+/**
+ * Modes and models for the enhance menu
+ * @returns {{modes: Array<{id: string, label: string, target: string, visual: boolean}>, models: string[], defaultMode: string}}
+ */
+function getEnhanceOptions() {
+    return {
+        modes: Object.entries(ENHANCE_MODES).map(([id, mode]) => ({ id, label: mode.label, target: mode.target, visual: mode.visual })),
+        models: getEnhanceModels(),
+        defaultMode: DEFAULT_MODE,
+    };
+}
+
+/**
+ * User message content: plain text, or text followed by the images
+ * @param {string} text
+ * @param {import('./vision').VisionImage[]} images
+ * @returns {string|Array<Object>}
+ */
+function userContent(text, images) {
+    return images.length > 0 ? [{ type: 'text', text }, ...toImageParts(images)] : text;
+}
+
+/**
+ * Chat messages and sampling settings for one enhancement
+ * @param {EnhanceMode} mode
+ * @param {string} prompt
+ * @param {'natural'|'tags'} style - Prompting style of the image model
+ * @param {import('./vision').VisionImage[]} [images] - Input images of an edit model, for visual modes
+ * @returns {{messages: Array<{role: string, content: string|Array<Object>}>, max_tokens: number, temperature: number}}
+ */
+function buildEnhanceRequest(mode, prompt, style, images = []) {
+    const system = [BASE_INSTRUCTIONS, mode.instructions];
+    if (mode.styled) {
+        system.push(STYLE_INSTRUCTIONS[style] || STYLE_INSTRUCTIONS.natural);
+    }
+    if (images.length > 0) {
+        system.push(EDIT_INSTRUCTIONS);
+    }
+
+    return {
+        messages: [
+            { role: 'system', content: system.join(' ') },
+            { role: 'user', content: userContent(prompt, images) },
+        ],
+        max_tokens: mode.maxTokens,
+        temperature: mode.temperature,
+    };
+}
+
+/**
+ * Check the earlier turns sent with a refinement
+ * @param {*} conversation
+ * @returns {string|null} What is wrong with it, or null if it is usable
+ */
+function validateConversation(conversation) {
+    if (!Array.isArray(conversation)) {
+        return 'conversation must be an array of { instruction, prompt } turns';
+    }
+    if (conversation.length > MAX_REFINE_TURNS) {
+        return `conversation can have at most ${MAX_REFINE_TURNS} turns`;
+    }
+    const valid = conversation.every((turn) => typeof turn?.instruction === 'string'
+        && typeof turn.prompt === 'string'
+        && turn.instruction.length <= MAX_INSTRUCTION_LENGTH
+        && turn.prompt.length <= MAX_TURN_PROMPT_LENGTH);
+    return valid ? null : 'conversation must be an array of { instruction, prompt } turns';
+}
+
+/**
+ * Chat messages and sampling settings for one refinement turn. Earlier turns
+ * are replayed as the conversation; the current prompt is sent again because
+ * the user may have edited it since.
+ * @param {string} prompt - Current prompt
+ * @param {string} instruction - Requested change
+ * @param {RefineTurn[]} conversation - Earlier turns, oldest first
+ * @param {'natural'|'tags'} style - Prompting style of the image model
+ * @param {import('./vision').VisionImage[]} [images] - Input images of an edit model, sent with the latest turn
+ * @returns {{messages: Array<{role: string, content: string|Array<Object>}>, max_tokens: number, temperature: number}}
+ */
+function buildRefineRequest(prompt, instruction, conversation, style, images = []) {
+    const system = [BASE_INSTRUCTIONS, REFINE_INSTRUCTIONS, STYLE_INSTRUCTIONS[style] || STYLE_INSTRUCTIONS.natural];
+    if (images.length > 0) {
+        system.push(EDIT_INSTRUCTIONS);
+    }
+
+    return {
+        messages: [
+            { role: 'system', content: system.join(' ') },
+            ...conversation.flatMap((turn) => [
+                { role: 'user', content: turn.instruction },
+                { role: 'assistant', content: turn.prompt },
+            ]),
+            { role: 'user', content: userContent(`Current prompt: ${prompt}\n\nChange: ${instruction}`, images) },
+        ],
+        max_tokens: 500,
+        temperature: 0.5,
+    };
+}
+
+/**
+ * Read an OpenAI-compatible streamed chat completion (Server-Sent Events
+ * with `choices[0].delta.content` chunks, ending with `[DONE]`)
+ * @param {Response} response - Successful streaming response
+ * @param {(text: string) => void} onText - Called with each new piece of text
+ * @returns {Promise<string>} The whole completion
+ * @throws {ProviderError} If the provider reports an error mid-stream
+ */
+async function readCompletionStream(response, onText) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let completion = '';
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+
+            // Blank lines end events; lines starting with ':' are keep-alive comments
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return completion;
+
+            const event = JSON.parse(data);
+            if (event.error) {
+                throw new ProviderError('OpenRouter stream failed', Number(event.error.code) || 502, JSON.stringify(event));
+            }
+
+            const text = event.choices?.[0]?.delta?.content;
+            if (text) {
+                completion += text;
+                onText(text);
+            }
+        }
+    }
+    return completion;
+}
+
+module.exports = {
+    ENHANCE_MODES,
+    DEFAULT_MODE,
+    REFINE_MODE,
+    MAX_INSTRUCTION_LENGTH,
+    STYLE_INSTRUCTIONS,
+    getEnhanceModels,
+    getEnhanceOptions,
+    buildEnhanceRequest,
+    validateConversation,
+    buildRefineRequest,
+    readCompletionStream,
+};
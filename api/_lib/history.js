@@ -0,0 +1,279 @@
+/**
+ * Server-side generation history, synced with the browser gallery (js/sync.js).
+ *
+ *   HISTORY_STORE=local  Records in a SQLite database, HISTORY_FILE (default
+ *                        ./data/history.db). Needs a persistent disk, so
+ *                        use it with server.js.
+ *
+ * Unset (the default) disables /api/history and the gallery stays in the
+ * browser only. Pair it with IMAGE_STORAGE, or synced records will point at
+ * provider URLs that expire.
+ *
+ * Each record is one gallery image, owned by the user who saved it (their
+ * AuthUser id from api/_lib/auth.js, null when access control is off) and
+ * labelled with the name they signed in with. Every write takes the next
+ * sequence number and deletes leave a tombstone, so a client can pull everything that changed
+ * since its last sync with listRecords(owner, after). Records the owner has
+ * published (`shared`) also appear in the team feed, listSharedRecords().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HISTORY_FILE = path.join('data', 'history.db');
+const MAX_PAGE_SIZE = 500;
+const MAX_FEED_SIZE = 200;
+
+const RECORD_ID_PATTERN = /^[\w-]{8,64}$/;
+const MAX_URL_LENGTH = 2048;
+const MAX_PROMPT_LENGTH = 10000;
+const MAX_SETTINGS_BYTES = 16 * 1024;
+const MAX_CONVERSATION_BYTES = 64 * 1024;
+
+/**
+ * @typedef {Object} HistoryRecord
+ * @property {string} id - Gallery image ID (chosen by the client)
+ * @property {string|null} owner - ID of the user who saved it
+ * @property {string|null} [author] - Name they were signed in with, for the feed
+ * @property {string} url - Image URL
+ * @property {string} prompt
+ * @property {Object} settings - Generation settings (model and parameters)
+ * @property {number} createdAt - When the image was generated (ms)
+ * @property {number} [durationMs] - Time from submission to result
+ * @property {number} [cost] - USD, if the model has pricing
+ * @property {boolean} shared - Published to the team feed
+ * @property {Array<{instruction: string, prompt: string}>} [conversation] - Refinement chat that led to the prompt
+ * @property {number} seq - Sequence number of the last write
+ * @property {number} updatedAt - Server time of the last write (ms)
+ * @property {boolean} [deleted] - Tombstone left by a delete (other fields are dropped)
+ */
+
+/**
+ * Open the SQLite database, creating the records table on first use.
+ * Write-ahead logging lets readers carry on while a write is in progress, and
+ * writers take the database lock in turn, so server.js and any other process
+ * using the same file never interleave their changes.
+ * @param {string} file
+ * @returns {{db: Object, statements: Object<string, Object>}}
+ */
+function openStore(file) {
+    // Loaded on first use, so deployments without history never need the native module
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS records (
+            id TEXT PRIMARY KEY,
+            owner TEXT,
+            seq INTEGER NOT NULL UNIQUE,
+            shared INTEGER NOT NULL DEFAULT 0,
+            deleted INTEGER NOT NULL DEFAULT 0,
+            created_at INTEGER,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS records_owner_seq ON records (owner, seq);
+        CREATE INDEX IF NOT EXISTS records_feed ON records (created_at) WHERE shared = 1 AND deleted = 0;
+    `);
+
+    return {
+        db,
+        statements: {
+            lastSeq: db.prepare('SELECT COALESCE(MAX(seq), 0) AS seq FROM records'),
+            get: db.prepare('SELECT owner, deleted, data FROM records WHERE id = ?'),
+            changedSince: db.prepare('SELECT data FROM records WHERE owner IS ? AND seq > ? ORDER BY seq LIMIT ?'),
+            shared: db.prepare('SELECT data FROM records WHERE shared = 1 AND deleted = 0 ORDER BY created_at DESC LIMIT ?'),
+            save: db.prepare(`
+                INSERT OR REPLACE INTO records (id, owner, seq, shared, deleted, created_at, data)
+                VALUES (@id, @owner, @seq, @shared, @deleted, @createdAt, @data)
+            `),
+        },
+    };
+}
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = openStore(path.resolve(process.env.HISTORY_FILE || DEFAULT_HISTORY_FILE));
+    }
+    return store;
+}
+
+/**
+ * Write a record with the next sequence number; call inside a write transaction
+ * @param {Object} fields - The record without `seq` and `updatedAt`
+ * @returns {HistoryRecord}
+ */
+function saveRecord(fields) {
+    const { statements } = getStore();
+    const record = { ...fields, seq: statements.lastSeq.get().seq + 1, updatedAt: Date.now() };
+    statements.save.run({
+        id: record.id,
+        owner: record.owner,
+        seq: record.seq,
+        shared: record.shared ? 1 : 0,
+        deleted: record.deleted ? 1 : 0,
+        createdAt: record.createdAt ?? null,
+        data: JSON.stringify(record),
+    });
+    return record;
+}
+
+function isHistoryEnabled() {
+    return process.env.HISTORY_STORE === 'local';
+}
+
+/**
+ * A page size from a query string, within 1..max
+ * @param {number} limit
+ * @param {number} max
+ * @returns {number}
+ */
+function clampLimit(limit, max) {
+    return Number.isFinite(limit) ? Math.min(Math.max(Math.floor(limit), 1), max) : max;
+}
+
+function isValidRecordId(id) {
+    return typeof id === 'string' && RECORD_ID_PATTERN.test(id);
+}
+
+/**
+ * Check and normalize the fields of a record sent by a client
+ * @param {Object} body
+ * @returns {{fields?: Object, error?: string}}
+ */
+function validateRecord(body) {
+    const { url, prompt, settings, createdAt, durationMs, cost, shared, conversation } = body || {};
+
+    if (typeof url !== 'string' || !url || url.length > MAX_URL_LENGTH) {
+        return { error: 'url is required' };
+    }
+    if (!/^(https?:\/\/|\/api\/images\/)/.test(url)) {
+        return { error: 'url must be an http(s) URL or a stored image (data URIs are not synced)' };
+    }
+    if (typeof prompt !== 'string' || prompt.length > MAX_PROMPT_LENGTH) {
+        return { error: 'prompt is required' };
+    }
+    if (settings !== undefined && (typeof settings !== 'object' || settings === null || Array.isArray(settings))) {
+        return { error: 'settings must be an object' };
+    }
+    if (settings && Buffer.byteLength(JSON.stringify(settings)) > MAX_SETTINGS_BYTES) {
+        return { error: 'settings are too large' };
+    }
+    if (!Number.isFinite(createdAt)) {
+        return { error: 'createdAt must be a timestamp' };
+    }
+    if (shared !== undefined && typeof shared !== 'boolean') {
+        return { error: 'shared must be true or false' };
+    }
+    if (conversation !== undefined && (!Array.isArray(conversation)
+        || !conversation.every((turn) => typeof turn?.instruction === 'string' && typeof turn.prompt === 'string'))) {
+        return { error: 'conversation must be an array of { instruction, prompt } turns' };
+    }
+    if (conversation && Buffer.byteLength(JSON.stringify(conversation)) > MAX_CONVERSATION_BYTES) {
+        return { error: 'conversation is too large' };
+    }
+
+    const fields = { url, prompt, settings: settings || {}, createdAt, shared: shared === true };
+    if (Number.isFinite(durationMs) && durationMs >= 0) fields.durationMs = durationMs;
+    if (Number.isFinite(cost) && cost >= 0) fields.cost = cost;
+    if (conversation?.length) {
+        fields.conversation = conversation.map(({ instruction, prompt: turnPrompt }) => ({ instruction, prompt: turnPrompt }));
+    }
+    return { fields };
+}
+
+/**
+ * Records of one owner changed after a sequence number, oldest change first
+ * @param {string|null} owner
+ * @param {number} [after] - Sequence number from a previous page's `cursor`
+ * @param {number} [limit]
+ * @returns {Promise<{records: HistoryRecord[], cursor: number, hasMore: boolean}>}
+ */
+async function listRecords(owner, after = 0, limit = MAX_PAGE_SIZE) {
+    const { db, statements } = getStore();
+    const pageSize = clampLimit(limit, MAX_PAGE_SIZE);
+
+    // One read transaction, so the cursor matches the page even while others write
+    return db.transaction(() => {
+        // One extra row tells whether there is another page
+        const rows = statements.changedSince.all(owner, after, pageSize + 1);
+        const records = rows.slice(0, pageSize).map((row) => JSON.parse(row.data));
+        const hasMore = rows.length > pageSize;
+        return {
+            records,
+            // With nothing left to send, skip past other owners' changes too
+            cursor: hasMore ? records[records.length - 1].seq : Math.max(after, statements.lastSeq.get().seq),
+            hasMore,
+        };
+    })();
+}
+
+/**
+ * Newest records published to the team feed, from every owner
+ * @param {number} [limit]
+ * @returns {Promise<HistoryRecord[]>}
+ */
+async function listSharedRecords(limit = MAX_FEED_SIZE) {
+    return getStore().statements.shared.all(clampLimit(limit, MAX_FEED_SIZE)).map((row) => JSON.parse(row.data));
+}
+
+/**
+ * @param {string|null} owner
+ * @param {string} id
+ * @returns {Promise<HistoryRecord|null>} Null if missing, deleted or someone else's
+ */
+async function getRecord(owner, id) {
+    const row = getStore().statements.get.get(id);
+    return row && row.owner === owner && !row.deleted ? JSON.parse(row.data) : null;
+}
+
+/**
+ * Create or replace a record
+ * @param {string|null} owner
+ * @param {string} id
+ * @param {Object} fields - From validateRecord, plus the `author` name
+ * @returns {Promise<{record?: HistoryRecord, error?: 'forbidden'|'gone'}>}
+ */
+async function putRecord(owner, id, fields) {
+    const { db, statements } = getStore();
+    return db.transaction(() => {
+        const existing = statements.get.get(id);
+        if (existing && existing.owner !== owner) return { error: 'forbidden' };
+        // A deleted image must not come back from a device that hasn't synced yet
+        if (existing?.deleted) return { error: 'gone' };
+
+        return { record: saveRecord({ id, owner, ...fields }) };
+    }).immediate();
+}
+
+/**
+ * Delete a record, leaving a tombstone for other devices to sync
+ * @param {string|null} owner
+ * @param {string} id
+ * @returns {Promise<boolean>} False if there was no such record
+ */
+async function deleteRecord(owner, id) {
+    const { db, statements } = getStore();
+    return db.transaction(() => {
+        const existing = statements.get.get(id);
+        if (!existing || existing.owner !== owner || existing.deleted) return false;
+
+        saveRecord({ id, owner, deleted: true });
+        return true;
+    }).immediate();
+}
+
+module.exports = {
+    isHistoryEnabled,
+    isValidRecordId,
+    validateRecord,
+    listRecords,
+    listSharedRecords,
+    getRecord,
+    putRecord,
+    deleteRecord,
+};
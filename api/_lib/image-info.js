@@ -0,0 +1,74 @@
+/**
+ * Identify an image from its bytes (not its declared content type) and read
+ * its dimensions from the file header, without decoding the pixels.
+ */
+
+/**
+ * @typedef {Object} ImageInfo
+ * @property {string} contentType - image/png, image/jpeg or image/webp
+ * @property {number} width
+ * @property {number} height
+ */
+
+function readPng(buffer) {
+    // Signature, then the IHDR chunk holds width and height
+    if (buffer.length < 24 || buffer.readUInt32BE(0) !== 0x89504e47 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+        return null;
+    }
+    return { contentType: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function readJpeg(buffer) {
+    if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+    // Walk the segments until a start-of-frame marker (SOF0-SOF15, except DHT/JPG/DAC)
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return {
+                contentType: 'image/jpeg',
+                width: buffer.readUInt16BE(offset + 7),
+                height: buffer.readUInt16BE(offset + 5),
+            };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+function readWebp(buffer) {
+    if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+        return null;
+    }
+
+    const chunk = buffer.toString('ascii', 12, 16);
+    let size = null;
+    if (chunk === 'VP8 ') {
+        size = { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    } else if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        size = { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    } else if (chunk === 'VP8X') {
+        size = { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return size && { contentType: 'image/webp', ...size };
+}
+
+/**
+ * Detect a PNG, JPEG or WebP image and read its dimensions
+ * @param {Buffer} buffer - File contents
+ * @returns {ImageInfo|null} Null if the bytes are not a supported image
+ */
+function detectImage(buffer) {
+    return readPng(buffer) || readJpeg(buffer) || readWebp(buffer);
+}
+
+module.exports = {
+    detectImage,
+};
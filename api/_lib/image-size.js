@@ -0,0 +1,51 @@
+/**
+ * Pixel dimensions for the size settings the registry accepts, for
+ * providers that take explicit width/height instead of Fal's presets.
+ */
+
+/** Fal image size presets -> pixel dimensions */
+const SIZE_PRESETS = {
+    square_hd: { width: 1024, height: 1024 },
+    square: { width: 512, height: 512 },
+    portrait_4_3: { width: 768, height: 1024 },
+    portrait_16_9: { width: 576, height: 1024 },
+    landscape_4_3: { width: 1024, height: 768 },
+    landscape_16_9: { width: 1024, height: 576 },
+};
+
+/**
+ * Resolve an `image_size` value (preset name or `{ width, height }`)
+ * @param {string|Object} imageSize
+ * @param {string} [fallback] - Preset used for unknown values
+ * @returns {{width: number, height: number}}
+ */
+function resolveImageSize(imageSize, fallback = 'square') {
+    if (imageSize && typeof imageSize === 'object') {
+        return {
+            width: Number(imageSize.width) || SIZE_PRESETS[fallback].width,
+            height: Number(imageSize.height) || SIZE_PRESETS[fallback].height,
+        };
+    }
+    return SIZE_PRESETS[imageSize] || SIZE_PRESETS[fallback];
+}
+
+/**
+ * Dimensions for an aspect ratio such as `16:9`, with the long side at `longSide`
+ * @param {string} aspectRatio
+ * @param {number} [longSide]
+ * @returns {{width: number, height: number}|null} Null if the ratio can't be parsed
+ */
+function resolveAspectRatio(aspectRatio, longSide = 1024) {
+    const [w, h] = String(aspectRatio).split(':').map(Number);
+    if (!w || !h) return null;
+
+    return w >= h
+        ? { width: longSide, height: Math.round((longSide * h) / w) }
+        : { width: Math.round((longSide * w) / h), height: longSide };
+}
+
+module.exports = {
+    SIZE_PRESETS,
+    resolveImageSize,
+    resolveAspectRatio,
+};
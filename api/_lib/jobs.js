@@ -0,0 +1,87 @@
+/**
+ * Queue-backed generation jobs used by the /api/jobs endpoints.
+ *
+ * Jobs run on the model's provider queue (Fal, Replicate). Job IDs carry
+ * the model and the provider's request ID, so status and result calls stay
+ * stateless (no job table needed on serverless deployments).
+ */
+
+const { getModel } = require('./models');
+const { getProvider } = require('./providers');
+
+/**
+ * Encode a job ID
+ * @param {string} modelId
+ * @param {string} requestId - Provider request ID
+ * @returns {string}
+ */
+function encodeJobId(modelId, requestId) {
+    return Buffer.from(JSON.stringify({ m: modelId, r: requestId })).toString('base64url');
+}
+
+/**
+ * Decode a job ID produced by encodeJobId
+ * @param {string} jobId
+ * @returns {{model: Object, requestId: string}|null} Null if the ID is malformed
+ */
+function decodeJobId(jobId) {
+    if (typeof jobId !== 'string' || jobId === '') return null;
+    try {
+        const { m, r } = JSON.parse(Buffer.from(jobId, 'base64url').toString('utf8'));
+        // Request IDs are interpolated into upstream URLs, so only allow plain tokens
+        if (typeof r !== 'string' || !/^[\w-]+$/.test(r)) return null;
+        return { model: getModel(m), requestId: r };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Submit a payload to a model's provider queue
+ * @param {Object} model - Registry entry
+ * @param {Object} payload - Model payload from buildPayload
+ * @param {import('./logger').RequestLogger} log
+ * @returns {Promise<{id: string, status: string, queuePosition: number|null}>}
+ */
+async function submitJob(model, payload, log) {
+    const { requestId, status, queuePosition } = await getProvider(model).submit(model, payload, log);
+    return { id: encodeJobId(model.id, requestId), status, queuePosition };
+}
+
+/**
+ * Get the status of a queued job
+ * @param {{model: Object, requestId: string}} job - Decoded job ID
+ * @param {import('./logger').RequestLogger} log
+ * @returns {Promise<{status: string, queuePosition: number|null, logs: Array}>}
+ */
+async function getJobStatus(job, log) {
+    return getProvider(job.model).getStatus(job.model, job.requestId, log);
+}
+
+/**
+ * Fetch the output of a completed job
+ * @param {{model: Object, requestId: string}} job - Decoded job ID
+ * @param {import('./logger').RequestLogger} log
+ * @returns {Promise<Object>} Model output (e.g. `{ images: [{ url }] }`)
+ */
+async function getJobResult(job, log) {
+    return getProvider(job.model).getResult(job.model, job.requestId, log);
+}
+
+/**
+ * Request cancellation of a queued job
+ * @param {{model: Object, requestId: string}} job - Decoded job ID
+ * @param {import('./logger').RequestLogger} log
+ * @returns {Promise<Object>}
+ */
+async function cancelJob(job, log) {
+    return getProvider(job.model).cancel(job.model, job.requestId, log);
+}
+
+module.exports = {
+    decodeJobId,
+    submitJob,
+    getJobStatus,
+    getJobResult,
+    cancelJob,
+};
@@ -0,0 +1,285 @@
+/**
+ * Per-client rate limits and image quotas.
+ *
+ * Clients are identified by user ID (see api/_lib/auth.js), or by IP address
+ * when access control is off (see getClientIp). Two kinds of limits apply:
+ *   - requests per minute, per route group (generate, or enhance which
+ *     also covers describe)
+ *   - images per UTC day and month, weighted by resolution: a 2K image
+ *     counts as 2, a 4K image as 4, and custom sizes by started megapixel
+ *
+ * Over a limit, handlers respond 429 with code `too_many_requests` or
+ * `quota_exceeded` and a Retry-After header. Every checked response carries
+ * X-RateLimit-* and X-Quota-* headers with the remaining allowance.
+ *
+ * Counters live in memory, so they reset when the server restarts and each
+ * serverless instance counts on its own; treat limits on Vercel as approximate.
+ */
+
+const RATE_WINDOW_MS = 60 * 1000;
+const MEGAPIXEL = 1024 * 1024;
+
+/** Quota units per image for each `resolution` setting */
+const RESOLUTION_WEIGHTS = { '1K': 1, '2K': 2, '4K': 4 };
+
+/** Requests per minute when the environment doesn't say otherwise (0 disables) */
+const DEFAULT_RATE_LIMITS = {
+    generate: 10,
+    enhance: 20,
+    upload: 30,
+};
+
+const RATE_LIMIT_ENV = {
+    generate: 'RATE_LIMIT_GENERATE_PER_MINUTE',
+    enhance: 'RATE_LIMIT_ENHANCE_PER_MINUTE',
+    upload: 'RATE_LIMIT_UPLOAD_PER_MINUTE',
+};
+
+/** @type {Map<string, {windowStart: number, count: number}>} */
+const rateWindows = new Map();
+
+/** @type {Map<string, {day: string, dayUnits: number, month: string, monthUnits: number}>} */
+const quotaUsage = new Map();
+
+let lastSweep = Date.now();
+
+/**
+ * Read a non-negative integer limit from the environment
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number} 0 means unlimited
+ */
+function readLimit(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Address of the client. X-Forwarded-For can be set by anyone, so it is only
+ * read with TRUST_PROXY set (and then only the hop the proxy itself added);
+ * on Vercel the platform's own header is used.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|undefined}
+ */
+function getClientIp(req) {
+    if (process.env.VERCEL) {
+        const platformIp = req.headers['x-vercel-forwarded-for'] || req.headers['x-real-ip'];
+        if (typeof platformIp === 'string' && platformIp) return platformIp.split(',')[0].trim();
+    }
+
+    const forwarded = req.headers['x-forwarded-for'];
+    if (process.env.TRUST_PROXY && typeof forwarded === 'string') {
+        const hops = forwarded.split(',').map((hop) => hop.trim()).filter(Boolean);
+        if (hops.length > 0) return hops[hops.length - 1];
+    }
+
+    return req.socket?.remoteAddress;
+}
+
+/**
+ * Key that identifies the client a limit applies to
+ * @param {import('http').IncomingMessage} req
+ * @param {import('./auth').AuthUser} user
+ * @returns {string}
+ */
+function getClientKey(req, user) {
+    // The ID, not the name: names are labels people choose when they sign in
+    if (user.id) return `user:${user.id}`;
+    return `ip:${getClientIp(req) || 'unknown'}`;
+}
+
+/**
+ * Drop rate windows that have expired, at most once a minute
+ * @param {number} now
+ */
+function sweep(now) {
+    if (now - lastSweep < RATE_WINDOW_MS) return;
+    lastSweep = now;
+
+    rateWindows.forEach((window, key) => {
+        if (now - window.windowStart >= RATE_WINDOW_MS) rateWindows.delete(key);
+    });
+    const month = new Date(now).toISOString().slice(0, 7);
+    quotaUsage.forEach((usage, key) => {
+        if (usage.month !== month) quotaUsage.delete(key);
+    });
+}
+
+/**
+ * Count a request against the client's per-minute limit for a route group,
+ * responding 429 if it is over
+ * @param {import('http').IncomingMessage} req
+ * @param {Object} res
+ * @param {import('./auth').AuthUser} user
+ * @param {'generate'|'enhance'|'upload'} route
+ * @returns {boolean} False once the 429 has been sent
+ */
+function checkRateLimit(req, res, user, route) {
+    const limit = readLimit(RATE_LIMIT_ENV[route], DEFAULT_RATE_LIMITS[route]);
+    if (limit === 0) return true;
+
+    const now = Date.now();
+    sweep(now);
+
+    const key = `${route}:${getClientKey(req, user)}`;
+    let window = rateWindows.get(key);
+    if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+        window = { windowStart: now, count: 0 };
+        rateWindows.set(key, window);
+    }
+
+    const resetSeconds = Math.ceil((window.windowStart + RATE_WINDOW_MS - now) / 1000);
+    res.setHeader('X-RateLimit-Limit', String(limit));
+    res.setHeader('X-RateLimit-Reset', String(resetSeconds));
+
+    if (window.count >= limit) {
+        res.setHeader('X-RateLimit-Remaining', '0');
+        res.setHeader('Retry-After', String(resetSeconds));
+        res.status(429).json({
+            error: 'Too many requests',
+            code: 'too_many_requests',
+            reason: `Limit is ${limit} requests per minute`,
+            retryAfter: resetSeconds,
+        });
+        return false;
+    }
+
+    window.count += 1;
+    res.setHeader('X-RateLimit-Remaining', String(limit - window.count));
+    return true;
+}
+
+/**
+ * Quota units a generation will use
+ * @param {Object} model - Registry entry
+ * @param {Object} payload - Validated payload from prepareGeneration (or one split job of it)
+ * @returns {number}
+ */
+function getImageUnits(model, payload) {
+    const countKey = model.params.num_images?.as || 'num_images';
+    let count = Number(payload[countKey]) || 1;
+    // Models with both (Seedream 4.5) may return up to max_images per generation
+    if (countKey !== 'max_images' && model.params.max_images) {
+        count *= Number(payload.max_images) || 1;
+    }
+
+    let weight = RESOLUTION_WEIGHTS[payload.resolution] || 1;
+    const size = payload.image_size;
+    if (size && typeof size === 'object') {
+        weight = Math.max(weight, Math.ceil((Number(size.width) * Number(size.height)) / MEGAPIXEL) || 1);
+    }
+    return count * weight;
+}
+
+/**
+ * Start of the next UTC day and month
+ * @param {Date} now
+ * @returns {{day: Date, month: Date}}
+ */
+function getQuotaResets(now) {
+    return {
+        day: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)),
+        month: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+    };
+}
+
+/**
+ * @typedef {Object} QuotaReservation
+ * @property {(units: number) => void} refund - Give back units of a generation that failed
+ */
+
+/**
+ * Reserve image quota for a generation, responding 429 if it would go over
+ * the daily or monthly limit
+ * @param {import('http').IncomingMessage} req
+ * @param {Object} res
+ * @param {import('./auth').AuthUser} user
+ * @param {number} units - From getImageUnits
+ * @returns {QuotaReservation|null} Null once the 429 has been sent
+ */
+function reserveQuota(req, res, user, units) {
+    const limits = {
+        day: readLimit('QUOTA_IMAGES_PER_DAY', 0),
+        month: readLimit('QUOTA_IMAGES_PER_MONTH', 0),
+    };
+    if (!limits.day && !limits.month) {
+        return { refund: () => {} };
+    }
+
+    const now = new Date();
+    const day = now.toISOString().slice(0, 10);
+    const month = day.slice(0, 7);
+    const key = getClientKey(req, user);
+
+    let usage = quotaUsage.get(key);
+    if (!usage || usage.month !== month) {
+        usage = { day, dayUnits: 0, month, monthUnits: 0 };
+        quotaUsage.set(key, usage);
+    } else if (usage.day !== day) {
+        usage.day = day;
+        usage.dayUnits = 0;
+    }
+
+    const used = { day: usage.dayUnits, month: usage.monthUnits };
+    const resets = getQuotaResets(now);
+    const exceeded = ['day', 'month'].find((period) => limits[period] && used[period] + units > limits[period]);
+
+    const setQuotaHeaders = () => {
+        ['day', 'month'].forEach((period) => {
+            if (!limits[period]) return;
+            const suffix = period === 'day' ? 'Day' : 'Month';
+            res.setHeader(`X-Quota-Limit-${suffix}`, String(limits[period]));
+            res.setHeader(`X-Quota-Remaining-${suffix}`, String(Math.max(0, limits[period] - used[period])));
+        });
+    };
+
+    if (exceeded) {
+        setQuotaHeaders();
+        const retryAfter = Math.ceil((resets[exceeded] - now) / 1000);
+        const remaining = Math.max(0, limits[exceeded] - used[exceeded]);
+        res.setHeader('Retry-After', String(retryAfter));
+        res.status(429).json({
+            error: exceeded === 'day' ? 'Daily image quota reached' : 'Monthly image quota reached',
+            code: 'quota_exceeded',
+            reason: `Needs ${units} image${units === 1 ? '' : 's'} of quota, ${remaining} left`,
+            retryAfter,
+            quota: {
+                period: exceeded,
+                limit: limits[exceeded],
+                remaining,
+                requested: units,
+                resetAt: resets[exceeded].toISOString(),
+            },
+        });
+        return null;
+    }
+
+    usage.dayUnits += units;
+    usage.monthUnits += units;
+    used.day = usage.dayUnits;
+    used.month = usage.monthUnits;
+    setQuotaHeaders();
+
+    let outstanding = units;
+    return {
+        refund(refundUnits) {
+            const amount = Math.min(refundUnits, outstanding);
+            outstanding -= amount;
+            // Usage from a previous day or month has already been reset
+            if (usage.day === day) usage.dayUnits = Math.max(0, usage.dayUnits - amount);
+            if (usage.month === month) usage.monthUnits = Math.max(0, usage.monthUnits - amount);
+
+            if (!res.headersSent) {
+                used.day = usage.dayUnits;
+                used.month = usage.monthUnits;
+                setQuotaHeaders();
+            }
+        },
+    };
+}
+
+module.exports = {
+    checkRateLimit,
+    getImageUnits,
+    reserveQuota,
+};
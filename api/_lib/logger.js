@@ -0,0 +1,114 @@
+/**
+ * Structured request logging for the API handlers.
+ *
+ * Each line is one JSON object: `{ time, level, route, event, requestId, ...fields }`.
+ * LOG_LEVEL sets the lowest level written (debug, info, warn or error;
+ * default info). Fields are redacted before they are written: data URIs are
+ * reduced to their media type and length, and long strings such as prompts
+ * are truncated, so input images never end up in the logs.
+ *
+ * Every request gets an ID, sent back in the X-Request-Id header so users can
+ * quote it from an error message. A well-formed incoming X-Request-Id is reused.
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/** Longest string written as-is */
+const MAX_STRING_LENGTH = 200;
+
+const REQUEST_ID_PATTERN = /^[\w-]{8,64}$/;
+
+/**
+ * Lowest level that is written
+ * @returns {number}
+ */
+function getMinLevel() {
+    return LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ?? LEVELS.info;
+}
+
+/**
+ * Make a value safe and compact for the logs
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value) {
+    if (typeof value === 'string') {
+        if (value.startsWith('data:')) {
+            const header = value.slice(0, Math.max(value.indexOf(','), 0)).slice(0, 40);
+            return `${header},...[${value.length} chars]`;
+        }
+        return value.length > MAX_STRING_LENGTH
+            ? `${value.slice(0, MAX_STRING_LENGTH)}...[${value.length} chars]`
+            : value;
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+    }
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redact(entry)]));
+    }
+    return value;
+}
+
+/**
+ * @typedef {Object} RequestLogger
+ * @property {string} requestId
+ * @property {() => number} elapsed - Milliseconds since the request started
+ * @property {(event: string, fields?: Object) => void} debug
+ * @property {(event: string, fields?: Object) => void} info
+ * @property {(event: string, fields?: Object) => void} warn
+ * @property {(event: string, fields?: Object) => void} error
+ */
+
+/**
+ * Start logging a request: assign its ID and return a logger bound to it
+ * @param {import('http').IncomingMessage} req
+ * @param {Object} res - Gets the X-Request-Id header
+ * @param {string} route - Handler name, e.g. `generate`
+ * @returns {RequestLogger}
+ */
+function createRequestLogger(req, res, route) {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+        ? incoming
+        : crypto.randomBytes(6).toString('hex');
+    const startedAt = Date.now();
+
+    res.setHeader('X-Request-Id', requestId);
+
+    const write = (level, event, fields = {}) => {
+        if (LEVELS[level] < getMinLevel()) return;
+
+        const line = JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            route,
+            event,
+            requestId,
+            ...redact(fields),
+        });
+        if (LEVELS[level] >= LEVELS.warn) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    };
+
+    return {
+        requestId,
+        elapsed: () => Date.now() - startedAt,
+        debug: (event, fields) => write('debug', event, fields),
+        info: (event, fields) => write('info', event, fields),
+        warn: (event, fields) => write('warn', event, fields),
+        error: (event, fields) => write('error', event, fields),
+    };
+}
+
+module.exports = {
+    createRequestLogger,
+};
@@ -0,0 +1,348 @@
+/**
+ * Offline mock mode for development, demos and test machines without network.
+ *
+ * With MOCK_PROVIDERS=1 every model runs on the mock provider
+ * (api/_lib/providers/mock.js) and /api/enhance rewrites prompts locally, so
+ * no API keys are needed. Output is deterministic: the same prompt, seed and
+ * size always render the same image.
+ *
+ *   MOCK_LATENCY_MS     Simulated generation time (default 1500)
+ *   MOCK_ERROR_STATUS   Fail every request with this HTTP status
+ *   "mock-error:503"    In a prompt, fails just that request with the given status
+ */
+
+const zlib = require('zlib');
+const jpeg = require('jpeg-js');
+
+const DEFAULT_LATENCY_MS = 1500;
+const MAX_DIMENSION = 2048;
+
+/**
+ * Whether mock mode is enabled
+ * @returns {boolean}
+ */
+function isMockMode() {
+    return ['1', 'true', 'yes'].includes(String(process.env.MOCK_PROVIDERS || '').toLowerCase());
+}
+
+/**
+ * Simulated latency for one mock call
+ * @returns {number} Milliseconds
+ */
+function getMockLatency() {
+    const latency = parseInt(process.env.MOCK_LATENCY_MS, 10);
+    return Number.isNaN(latency) ? DEFAULT_LATENCY_MS : Math.max(0, latency);
+}
+
+/**
+ * HTTP status a mock request should fail with, if any
+ * @param {string} prompt
+ * @returns {number|null}
+ */
+function getInjectedError(prompt) {
+    const match = /mock-error:(\d{3})/.exec(prompt || '');
+    const status = parseInt(match ? match[1] : process.env.MOCK_ERROR_STATUS, 10);
+    return status >= 400 && status <= 599 ? status : null;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed
+ * @returns {() => number} Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random saturated color from a seeded generator
+ * @param {() => number} random
+ * @returns {number[]} [r, g, b]
+ */
+function randomColor(random) {
+    const hue = random() * 360;
+    const lightness = 0.35 + random() * 0.35;
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * 0.8;
+    const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+    const [r, g, b] = [[chroma, x, 0], [x, chroma, 0], [0, chroma, x], [0, x, chroma], [x, 0, chroma], [chroma, 0, x]][Math.floor(hue / 60) % 6];
+    const m = lightness - chroma / 2;
+    return [r, g, b].map((channel) => Math.round((channel + m) * 255));
+}
+
+function setPixel(pixels, offset, [r, g, b]) {
+    pixels[offset] = r;
+    pixels[offset + 1] = g;
+    pixels[offset + 2] = b;
+    pixels[offset + 3] = 255;
+}
+
+/**
+ * Render an abstract composition (gradient plus flat shapes) as RGBA pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {number} seed
+ * @returns {Buffer}
+ */
+function renderPixels(width, height, seed) {
+    const random = createRandom(seed);
+    const pixels = Buffer.alloc(width * height * 4);
+    const top = randomColor(random);
+    const bottom = randomColor(random);
+
+    for (let y = 0; y < height; y++) {
+        const t = height > 1 ? y / (height - 1) : 0;
+        const color = top.map((channel, i) => Math.round(channel + (bottom[i] - channel) * t));
+        for (let x = 0; x < width; x++) {
+            setPixel(pixels, (y * width + x) * 4, color);
+        }
+    }
+
+    const shapeCount = 4 + Math.floor(random() * 5);
+    for (let s = 0; s < shapeCount; s++) {
+        const color = randomColor(random);
+        const cx = random() * width;
+        const cy = random() * height;
+        const size = (0.08 + random() * 0.25) * Math.min(width, height);
+        const isCircle = random() < 0.6;
+
+        const x0 = Math.max(0, Math.floor(cx - size));
+        const x1 = Math.min(width, Math.ceil(cx + size));
+        const y0 = Math.max(0, Math.floor(cy - size));
+        const y1 = Math.min(height, Math.ceil(cy + size));
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                if (isCircle && (x - cx) ** 2 + (y - cy) ** 2 > size ** 2) continue;
+                setPixel(pixels, (y * width + x) * 4, color);
+            }
+        }
+    }
+
+    return pixels;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {Buffer} pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer}
+ */
+function encodePng(pixels, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+
+    // "Sub" filter on every scanline: flat areas become runs of zeros and compress well
+    const stride = width * 4;
+    const filtered = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * (stride + 1);
+        filtered[row] = 1;
+        for (let i = 0; i < stride; i++) {
+            const left = i >= 4 ? pixels[y * stride + i - 4] : 0;
+            filtered[row + 1 + i] = (pixels[y * stride + i] - left) & 0xff;
+        }
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(filtered)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+/**
+ * Render a deterministic mock image
+ * @param {Object} options
+ * @param {string} options.prompt
+ * @param {number} options.seed
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {string} [options.format] - `jpeg` for JPEG, anything else renders a PNG
+ * @returns {{url: string, width: number, height: number, content_type: string}} Image with a data URI
+ */
+function renderMockImage({ prompt, seed, width, height, format }) {
+    const clamp = (value) => Math.min(Math.max(Math.round(value) || 512, 16), MAX_DIMENSION);
+    const w = clamp(width);
+    const h = clamp(height);
+    const pixels = renderPixels(w, h, hashString(`${prompt}\n${seed}`));
+
+    const isJpeg = format === 'jpeg' || format === 'jpg';
+    const contentType = isJpeg ? 'image/jpeg' : 'image/png';
+    const body = isJpeg
+        ? jpeg.encode({ data: pixels, width: w, height: h }, 85).data
+        : encodePng(pixels, w, h);
+
+    return {
+        url: `data:${contentType};base64,${Buffer.from(body).toString('base64')}`,
+        width: w,
+        height: h,
+        content_type: contentType,
+    };
+}
+
+const ENHANCE_STYLES = ['cinematic lighting', 'soft golden hour light', 'dramatic rim lighting', 'overcast diffuse light', 'neon glow'];
+const ENHANCE_MEDIUMS = ['ultra-detailed digital painting', '35mm film photograph', 'studio product shot', 'watercolor illustration', 'isometric 3D render'];
+const ENHANCE_DETAILS = ['shallow depth of field', 'rich textures', 'vibrant color palette', 'muted earthy tones', 'wide establishing shot'];
+
+const MOCK_NEGATIVE_TERMS = ['blurry', 'low resolution', 'jpeg artifacts', 'watermark', 'text', 'extra fingers', 'deformed hands', 'oversaturated'];
+
+/**
+ * Deterministic stand-in for the LLM prompt rewrite
+ * @param {string} prompt
+ * @param {string} [mode] - Enhancement mode (see api/_lib/enhance.js)
+ * @param {'natural'|'tags'} [style] - Prompting style of the image model
+ * @returns {string}
+ */
+function mockEnhancePrompt(prompt, mode = 'expand', style = 'natural') {
+    const hash = hashString(prompt);
+    const pick = (list, shift) => list[(hash >>> shift) % list.length];
+    const subject = prompt.trim().replace(/[.\s]+$/, '');
+    const sentence = `${subject.charAt(0).toUpperCase()}${subject.slice(1)}`;
+
+    let parts;
+    switch (mode) {
+        case 'grammar':
+            return `${sentence.replace(/\s+/g, ' ')}.`;
+        case 'translate':
+            return prompt.trim();
+        case 'shorten':
+            parts = [subject.split(/\s+/).slice(0, 12).join(' ')];
+            break;
+        case 'photoreal':
+            parts = [sentence, '35mm film photograph', '50mm lens', 'natural light', 'photorealistic'];
+            break;
+        case 'cinematic':
+            parts = [sentence, 'wide anamorphic shot', 'dramatic rim lighting', 'teal and orange color grade', 'film still'];
+            break;
+        case 'negative':
+            parts = MOCK_NEGATIVE_TERMS.slice(0, 4 + (hash % 4));
+            break;
+        default:
+            parts = [sentence, pick(ENHANCE_MEDIUMS, 0), pick(ENHANCE_STYLES, 8), pick(ENHANCE_DETAILS, 16), 'highly detailed', 'sharp focus'];
+    }
+
+    return style === 'tags' ? parts.map((part) => part.toLowerCase()).join(', ') : parts.join(', ');
+}
+
+/**
+ * Deterministic stand-in for an LLM refinement turn: the requested change is
+ * appended to the prompt, so each turn visibly builds on the last
+ * @param {string} prompt - Current prompt
+ * @param {string} instruction - Requested change
+ * @returns {string}
+ */
+function mockRefinePrompt(prompt, instruction) {
+    const subject = prompt.trim().replace(/[.\s]+$/, '');
+    const change = instruction.trim().replace(/[.!\s]+$/, '').replace(/^(please\s+)?make it\s+/i, '');
+    return `${subject}, ${change.toLowerCase()}`;
+}
+
+const DESCRIBE_SUBJECTS = ['a lighthouse on a rocky coast', 'a bowl of ramen on a wooden table', 'a fox in a snowy forest', 'a neon-lit city street at night', 'a portrait of an old fisherman'];
+
+/**
+ * Deterministic stand-in for the vision model describing an image
+ * @param {string} imageKey - Anything that identifies the image (URL or content hash)
+ * @param {'natural'|'tags'} [style] - Prompting style of the image model
+ * @returns {{prompt: string, negativePrompt: string}}
+ */
+function mockDescribeImage(imageKey, style = 'natural') {
+    const hash = hashString(imageKey);
+    const pick = (list, shift) => list[(hash >>> shift) % list.length];
+    const subject = pick(DESCRIBE_SUBJECTS, 0);
+    const parts = [
+        `${subject.charAt(0).toUpperCase()}${subject.slice(1)}`,
+        pick(ENHANCE_MEDIUMS, 4),
+        pick(ENHANCE_STYLES, 8),
+        pick(ENHANCE_DETAILS, 16),
+    ];
+
+    return {
+        prompt: style === 'tags' ? parts.map((part) => part.toLowerCase()).join(', ') : parts.join(', '),
+        negativePrompt: MOCK_NEGATIVE_TERMS.slice(0, 4).join(', '),
+    };
+}
+
+/**
+ * Deterministic stand-in for an LLM rewrite that looks at an edit model's
+ * input images: each image gets a made-up subject, and the prompt is turned
+ * into an edit of the first one
+ * @param {string} prompt
+ * @param {string[]} imageKeys - Anything that identifies each image (URL or content hash)
+ * @param {'natural'|'tags'} [style] - Prompting style of the image model
+ * @returns {string}
+ */
+function mockEditPrompt(prompt, imageKeys, style = 'natural') {
+    const change = prompt.trim().replace(/[.\s]+$/, '');
+    const subjects = imageKeys.map((key) => DESCRIBE_SUBJECTS[hashString(key) % DESCRIBE_SUBJECTS.length]);
+
+    const parts = [`in image 1, change ${subjects[0]}: ${change}`];
+    subjects.slice(1).forEach((subject, index) => parts.push(`take ${subject} from image ${index + 2} as reference`));
+    parts.push('keep the composition, lighting and everything else unchanged');
+
+    if (style === 'tags') {
+        return parts.join(', ');
+    }
+    return parts.map((part) => `${part.charAt(0).toUpperCase()}${part.slice(1)}.`).join(' ');
+}
+
+module.exports = {
+    isMockMode,
+    getMockLatency,
+    getInjectedError,
+    hashString,
+    renderMockImage,
+    mockEnhancePrompt,
+    mockRefinePrompt,
+    mockDescribeImage,
+    mockEditPrompt,
+};
@@ -0,0 +1,582 @@
+/**
+ * Model registry shared by the generate and models endpoints.
+ *
+ * Each entry describes one model: the provider that runs it and its
+ * endpoint there (see api/_lib/providers), the parameters it accepts (with
+ * ranges and defaults), and the input images it needs.
+ * The settings panel is built from the public view of this registry
+ * (GET /api/models), so adding a model only requires a new entry here.
+ *
+ * Parameter descriptors:
+ *   type     - int | float | bool | enum | string | text | size
+ *   min/max  - numeric range (values are clamped)
+ *   default  - value used when the request omits the parameter
+ *   options  - allowed values for enum parameters
+ *   fallback - enum value used when the requested one is unsupported
+ *   as       - payload key when the model names the parameter differently
+ *   fixed    - value always sent, regardless of the request (hidden in UI)
+ *
+ * Prompt style (how the model reads prompts; /api/enhance writes to match):
+ *   promptStyle - natural (default, full sentences) | tags (comma-separated
+ *                 keywords, as Stable Diffusion checkpoints expect)
+ *
+ * Pricing (list prices in USD, used for cost estimates in the UI):
+ *   per      - image | megapixel (billed per started megapixel of output)
+ *   usd      - price per image or per megapixel
+ *   tiers    - optional `{ param, usd: { value: price } }` overriding `usd`
+ *              for some values of a parameter (e.g. 4K resolution)
+ */
+
+const crypto = require('crypto');
+const { getProvider } = require('./providers');
+const { SIZE_PRESETS } = require('./image-size');
+
+/** Upper bound for random seeds, well inside every provider's seed range even after offsets */
+const MAX_RANDOM_SEED = 2 ** 30;
+
+/** @type {Array<Object>} */
+const MODELS = [
+    {
+        id: 'z-image-turbo',
+        label: 'Z-Image Turbo (Fast)',
+        provider: 'fal',
+        endpoint: 'fal-ai/z-image/turbo',
+        pricing: { per: 'megapixel', usd: 0.005 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_inference_steps: { type: 'int', min: 1, max: 30, default: 30 },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            output_format: { type: 'enum', options: ['png', 'jpeg', 'webp'], default: 'png' },
+            acceleration: { type: 'enum', options: ['none', 'regular', 'high'], default: 'none' },
+            enable_safety_checker: { type: 'bool', default: false },
+            seed: { type: 'int' },
+        },
+    },
+    {
+        id: 'wan-26-text-to-image',
+        label: 'Wan v2.6 Text-to-Image',
+        provider: 'fal',
+        endpoint: 'wan/v2.6/text-to-image',
+        pricing: { per: 'image', usd: 0.03 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_images: { type: 'int', min: 1, max: 4, default: 1, as: 'max_images' },
+            negative_prompt: { type: 'text' },
+            enable_safety_checker: { type: 'bool', default: false },
+            seed: { type: 'int' },
+        },
+        input: {
+            field: 'image_url',
+            min: 0,
+            max: 1,
+            hint: 'Optional: Upload 0-1 reference image for style guidance (max 10MB, 384-5000px)',
+        },
+    },
+    {
+        id: 'wan-26-image-to-image',
+        label: 'Wan v2.6 Image-to-Image',
+        provider: 'fal',
+        endpoint: 'wan/v2.6/image-to-image',
+        pricing: { per: 'image', usd: 0.03 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            negative_prompt: { type: 'text' },
+            enhance_prompt: { type: 'bool', default: true, as: 'enable_prompt_expansion' },
+            enable_safety_checker: { type: 'bool', default: false },
+            seed: { type: 'int' },
+        },
+        input: {
+            field: 'image_urls',
+            min: 1,
+            max: 3,
+            hint: "Reference images as 'image 1', 'image 2', 'image 3' in your prompt. Max 10MB each, 384-5000px.",
+        },
+    },
+    {
+        id: 'nano-banana-pro-edit',
+        label: 'Nano Banana Pro Edit (Google)',
+        provider: 'fal',
+        endpoint: 'fal-ai/nano-banana-pro/edit',
+        pricing: { per: 'image', usd: 0.15, tiers: { param: 'resolution', usd: { '4K': 0.3 } } },
+        params: {
+            aspect_ratio: { type: 'enum', options: ['1:1', '4:3', '3:4', '16:9', '9:16', '3:2', '2:3', '21:9', '9:21'], default: '1:1' },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            output_format: { type: 'enum', options: ['png', 'jpeg', 'webp'], default: 'png' },
+            resolution: { type: 'enum', options: ['1K', '2K', '4K'], default: '1K' },
+            limit_generations: { type: 'bool' },
+            enable_web_search: { type: 'bool' },
+        },
+        input: {
+            field: 'image_urls',
+            min: 1,
+            max: 10,
+            hint: 'Required: Upload 1-10 images to edit. Max 10MB each.',
+        },
+    },
+    {
+        id: 'fibo',
+        label: 'Fibo (BRIA - Licensed Data)',
+        provider: 'fal',
+        endpoint: 'bria/fibo/generate',
+        pricing: { per: 'image', usd: 0.04 },
+        params: {
+            aspect_ratio: { type: 'enum', options: ['1:1', '4:3', '3:4', '16:9', '9:16', '3:2', '2:3', '21:9', '9:21'], default: '1:1' },
+            num_inference_steps: { type: 'int', min: 1, max: 100, default: 50, as: 'steps_num' },
+            guidance_scale: { type: 'float', min: 1, max: 10, default: 5 },
+            negative_prompt: { type: 'text' },
+            seed: { type: 'int', default: 5555 },
+        },
+        input: {
+            field: 'image_url',
+            min: 0,
+            max: 1,
+            hint: 'Optional: Upload a reference image for style guidance',
+        },
+    },
+    {
+        id: 'seedream-45',
+        label: 'Seedream 4.5 (ByteDance)',
+        provider: 'fal',
+        endpoint: 'fal-ai/bytedance/seedream/v4.5/text-to-image',
+        pricing: { per: 'image', usd: 0.04 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            max_images: { type: 'int', min: 1, max: 6 },
+            enable_safety_checker: { type: 'bool', default: false },
+            seed: { type: 'int' },
+        },
+    },
+    {
+        id: 'seedream-45-edit',
+        label: 'Seedream 4.5 Edit (ByteDance)',
+        provider: 'fal',
+        endpoint: 'fal-ai/bytedance/seedream/v4.5/edit',
+        pricing: { per: 'image', usd: 0.04 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            max_images: { type: 'int', min: 1, max: 6 },
+            enable_safety_checker: { type: 'bool', default: false },
+            seed: { type: 'int' },
+        },
+        input: {
+            field: 'image_urls',
+            min: 1,
+            max: 10,
+            hint: 'Required: Upload at least one image (supports 1-10)',
+        },
+    },
+    {
+        id: 'flux-dev',
+        label: 'FLUX.1 [dev] (12B)',
+        provider: 'fal',
+        endpoint: 'fal-ai/flux/dev',
+        pricing: { per: 'megapixel', usd: 0.025 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_inference_steps: { type: 'int', min: 1, max: 50, default: 50 },
+            guidance_scale: { type: 'float', min: 1, max: 10, default: 3.5 },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            output_format: { type: 'enum', options: ['jpeg', 'png'], default: 'jpeg' },
+            acceleration: { type: 'enum', options: ['none', 'regular', 'high'], default: 'none' },
+            enable_safety_checker: { fixed: false },
+            seed: { type: 'int' },
+        },
+    },
+    {
+        id: 'flux-kontext-lora-t2i',
+        label: 'FLUX Kontext LoRA (T2I)',
+        provider: 'fal',
+        endpoint: 'fal-ai/flux-kontext-lora/text-to-image',
+        pricing: { per: 'megapixel', usd: 0.035 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_inference_steps: { type: 'int', min: 1, max: 30, default: 30 },
+            guidance_scale: { type: 'float', min: 1, max: 10, default: 2.5 },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            output_format: { type: 'enum', options: ['png', 'jpeg'], default: 'png' },
+            acceleration: { type: 'enum', options: ['none', 'regular', 'high'], default: 'none' },
+            enable_safety_checker: { fixed: false },
+            seed: { type: 'int' },
+        },
+    },
+    {
+        id: 'piflow',
+        label: 'Piflow (Fast + Quality)',
+        provider: 'fal',
+        endpoint: 'fal-ai/piflow',
+        pricing: { per: 'megapixel', usd: 0.0075 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_inference_steps: { type: 'int', min: 1, max: 8, default: 8 },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            output_format: { type: 'enum', options: ['jpeg', 'png'], default: 'jpeg' },
+            enable_safety_checker: { fixed: false },
+            seed: { type: 'int' },
+        },
+    },
+    {
+        id: 'reve',
+        label: 'Reve (Text + Aesthetic)',
+        provider: 'fal',
+        endpoint: 'fal-ai/reve/text-to-image',
+        pricing: { per: 'image', usd: 0.04 },
+        params: {
+            aspect_ratio: { type: 'enum', options: ['1:1', '4:3', '3:4', '16:9', '9:16', '3:2', '2:3'], default: '3:2' },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            output_format: { type: 'enum', options: ['png', 'jpeg', 'webp'], default: 'png' },
+        },
+    },
+    {
+        id: 'hidream-i1-fast',
+        label: 'HiDream I1 Fast (17B)',
+        provider: 'fal',
+        endpoint: 'fal-ai/hidream-i1-fast',
+        pricing: { per: 'megapixel', usd: 0.01 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_inference_steps: { type: 'int', min: 1, max: 50, default: 50 },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            output_format: { type: 'enum', options: ['jpeg', 'png'], default: 'jpeg' },
+            negative_prompt: { type: 'text' },
+            enable_safety_checker: { fixed: false },
+            seed: { type: 'int' },
+        },
+    },
+    {
+        id: 'hunyuan-image',
+        label: 'Hunyuan Image 3.0',
+        provider: 'fal',
+        endpoint: 'fal-ai/hunyuan-image/v3/text-to-image',
+        pricing: { per: 'megapixel', usd: 0.1 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_inference_steps: { type: 'int', min: 1, max: 50, default: 28 },
+            guidance_scale: { type: 'float', min: 1, max: 10, default: 7.5 },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            output_format: { type: 'enum', options: ['png', 'jpeg'], default: 'png' },
+            negative_prompt: { type: 'text' },
+            enhance_prompt: { type: 'bool', default: false, as: 'enable_prompt_expansion' },
+            enable_safety_checker: { fixed: false },
+            seed: { type: 'int' },
+        },
+    },
+    {
+        id: 'qwen-image',
+        label: 'Qwen Image (Text Rendering)',
+        provider: 'fal',
+        endpoint: 'fal-ai/qwen-image',
+        pricing: { per: 'megapixel', usd: 0.02 },
+        params: {
+            image_size: { type: 'size', default: 'landscape_4_3' },
+            num_inference_steps: { type: 'int', min: 1, max: 50, default: 30 },
+            guidance_scale: { type: 'float', min: 1, max: 10, default: 2.5 },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            output_format: { type: 'enum', options: ['png', 'jpeg'], default: 'png' },
+            negative_prompt: { type: 'text' },
+            use_turbo: { type: 'bool', default: false },
+            acceleration: { type: 'enum', options: ['none', 'regular', 'high'], default: 'none' },
+            enable_safety_checker: { type: 'bool', default: false },
+            seed: { type: 'int' },
+        },
+        input: {
+            field: 'image_url',
+            min: 0,
+            max: 1,
+            hint: 'Optional: Upload an image to edit with your prompt',
+        },
+    },
+    {
+        id: 'flux-kontext',
+        label: 'FLUX Kontext (Image Editing)',
+        provider: 'fal',
+        endpoint: 'fal-ai/flux-pro/kontext',
+        pricing: { per: 'image', usd: 0.04 },
+        params: {
+            aspect_ratio: { type: 'enum', options: ['1:1', '4:3', '3:4', '16:9', '9:16', '3:2', '2:3', '21:9', '9:21'], default: '1:1' },
+            guidance_scale: { type: 'float', min: 1, max: 10, default: 3.5 },
+            num_images: { type: 'int', min: 1, max: 4, default: 1 },
+            output_format: { type: 'enum', options: ['jpeg', 'png'], default: 'jpeg' },
+            enhance_prompt: { type: 'bool', default: false },
+            safety_tolerance: { type: 'enum', options: ['1', '2', '3', '4', '5', '6'], default: '2' },
+            seed: { type: 'int' },
+        },
+        input: {
+            field: 'image_url',
+            min: 1,
+            max: 1,
+            hint: 'Required: Upload an image to edit',
+        },
+    },
+    {
+        id: 'replicate-flux-schnell',
+        label: 'FLUX.1 [schnell]',
+        provider: 'replicate',
+        endpoint: 'black-forest-labs/flux-schnell',
+        pricing: { per: 'image', usd: 0.003 },
+        params: {
+            aspect_ratio: { type: 'enum', options: ['1:1', '4:3', '3:4', '16:9', '9:16', '3:2', '2:3', '21:9', '9:21'], default: '1:1' },
+            num_inference_steps: { type: 'int', min: 1, max: 4, default: 4 },
+            num_images: { type: 'int', min: 1, max: 4, default: 1, as: 'num_outputs' },
+            output_format: { type: 'enum', options: ['webp', 'png'], default: 'webp' },
+            seed: { type: 'int' },
+        },
+    },
+    {
+        id: 'gpt-image-1',
+        label: 'GPT Image 1',
+        provider: 'openai',
+        endpoint: 'gpt-image-1',
+        pricing: { per: 'image', usd: 0.042, tiers: { param: 'aspect_ratio', usd: { '3:2': 0.063, '2:3': 0.063 } } },
+        params: {
+            aspect_ratio: { type: 'enum', options: ['1:1', '3:2', '2:3'], default: '1:1' },
+            num_images: { type: 'int', min: 1, max: 4, default: 1, as: 'n' },
+            output_format: { type: 'enum', options: ['png', 'jpeg', 'webp'], default: 'png' },
+        },
+    },
+    {
+        id: 'a1111-txt2img',
+        label: 'Stable Diffusion (Self-hosted)',
+        provider: 'a1111',
+        endpoint: 'txt2img',
+        promptStyle: 'tags',
+        pricing: { per: 'image', usd: 0 },
+        params: {
+            image_size: { type: 'size', default: 'square' },
+            num_inference_steps: { type: 'int', min: 1, max: 150, default: 25, as: 'steps' },
+            guidance_scale: { type: 'float', min: 1, max: 30, default: 7, as: 'cfg_scale' },
+            num_images: { type: 'int', min: 1, max: 4, default: 1, as: 'batch_size' },
+            negative_prompt: { type: 'text' },
+            seed: { type: 'int' },
+        },
+    },
+];
+
+const DEFAULT_MODEL_ID = 'z-image-turbo';
+
+const MODELS_BY_ID = new Map(MODELS.map((model) => [model.id, model]));
+
+/**
+ * Look up a model, falling back to the default model for unknown IDs
+ * @param {string} id
+ * @returns {Object}
+ */
+function getModel(id) {
+    return MODELS_BY_ID.get(id) || MODELS_BY_ID.get(DEFAULT_MODEL_ID);
+}
+
+/** Returned by coerceParam for values that can't be coerced, which buildPayload rejects */
+const INVALID_PARAM = Symbol('invalid');
+
+/**
+ * Coerce a request value according to a parameter descriptor
+ * @param {Object} spec - Parameter descriptor
+ * @param {*} value - Raw request value
+ * @returns {*} Coerced value, undefined to omit it from the payload, or INVALID_PARAM
+ */
+function coerceParam(spec, value) {
+    const isMissing = value === undefined || value === null || value === '';
+
+    switch (spec.type) {
+        case 'int':
+        case 'float': {
+            const parsed = spec.type === 'int' ? parseInt(value, 10) : parseFloat(value);
+            if (isMissing || Number.isNaN(parsed)) {
+                return spec.default;
+            }
+            const min = spec.min ?? -Infinity;
+            const max = spec.max ?? Infinity;
+            return Math.min(Math.max(parsed, min), max);
+        }
+        case 'bool':
+            // Form-encoded and query values arrive as strings, and Boolean('false') is true
+            if (isMissing) return spec.default;
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            return INVALID_PARAM;
+        case 'enum':
+            if (isMissing) return spec.default;
+            return spec.options.includes(value) ? value : (spec.fallback ?? spec.default);
+        case 'text':
+            return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+        case 'size':
+        case 'string':
+        default:
+            return isMissing ? spec.default : value;
+    }
+}
+
+/**
+ * Collect input image URLs from a request body (image_urls plus image_url)
+ * @param {Object} body
+ * @returns {string[]}
+ */
+function collectInputImages(body) {
+    const urls = Array.isArray(body.image_urls)
+        ? body.image_urls.filter((url) => typeof url === 'string' && url.trim() !== '')
+        : [];
+    if (typeof body.image_url === 'string' && body.image_url.trim() !== '') {
+        urls.push(body.image_url.trim());
+    }
+    return urls;
+}
+
+/**
+ * Describe how many input images a model takes
+ * @param {Object} model
+ * @returns {string}
+ */
+function describeInputRequirement(model) {
+    const { min, max } = model.input;
+    if (max === 1) {
+        return min === 1
+            ? `${model.label} requires one input image`
+            : `${model.label} accepts at most one input image`;
+    }
+    if (min === 0) {
+        return `${model.label} accepts up to ${max} input images`;
+    }
+    return `${model.label} requires ${min}-${max} input images`;
+}
+
+/**
+ * Validate a request body against a model and build its payload
+ * @param {Object} model - Registry entry
+ * @param {Object} body - Request body
+ * @returns {{payload?: Object, error?: string}}
+ */
+function buildPayload(model, body) {
+    const payload = {
+        prompt: body.prompt.trim(),
+        sync_mode: Boolean(body.sync_mode),
+    };
+
+    for (const [name, spec] of Object.entries(model.params)) {
+        const key = spec.as || name;
+        if ('fixed' in spec) {
+            payload[key] = spec.fixed;
+            continue;
+        }
+        const value = coerceParam(spec, body[name]);
+        if (value === INVALID_PARAM) {
+            return { error: `\`${name}\` must be true or false` };
+        }
+        if (value !== undefined) {
+            payload[key] = value;
+        }
+    }
+
+    if (model.input) {
+        const images = collectInputImages(body);
+        // Too many is an error rather than a silent cut, so nobody pays for an edit of the wrong images
+        if (images.length < model.input.min || images.length > model.input.max) {
+            return { error: describeInputRequirement(model) };
+        }
+        if (model.input.field === 'image_urls') {
+            payload.image_urls = images;
+        } else if (images.length > 0) {
+            payload.image_url = images[0];
+        }
+    }
+
+    return { payload };
+}
+
+/**
+ * Validate a generate request and build the payload for its model.
+ * Shared by /api/generate and the queue-backed /api/jobs endpoints.
+ * @param {Object} body - Request body
+ * @returns {{model?: Object, payload?: Object, error?: string}}
+ */
+function prepareGeneration(body) {
+    const { prompt, model: modelId, num_images = 1 } = body || {};
+
+    if (!prompt || typeof prompt !== 'string') {
+        return { error: 'Prompt is required' };
+    }
+
+    // Validate num_images
+    const parsedNumImages = parseInt(num_images, 10);
+    if (!Number.isInteger(parsedNumImages) || parsedNumImages < 1 || parsedNumImages > 4) {
+        return { error: '`num_images` must be an integer between 1 and 4' };
+    }
+
+    // Map the request onto the selected model's payload shape
+    const model = getModel(modelId);
+    const { payload, error } = buildPayload(model, body);
+    if (error) {
+        return { error };
+    }
+
+    return { model, payload };
+}
+
+/**
+ * Split a multi-image payload into single-image payloads, so each image can
+ * be reported as soon as it is ready. Seeds are offset to keep images distinct.
+ * @param {Object} model - Registry entry
+ * @param {Object} payload - Payload from buildPayload
+ * @returns {Object[]}
+ */
+function splitPayload(model, payload) {
+    const spec = model.params.num_images;
+    if (!spec) return [payload];
+
+    const key = spec.as || 'num_images';
+    const count = payload[key] || 1;
+    if (count <= 1) return [payload];
+
+    // Without a seed, pick one at random, so the images still differ on
+    // providers (like the mock) that would otherwise use the same default
+    const baseSeed = typeof payload.seed === 'number' ? payload.seed
+        : model.params.seed ? crypto.randomInt(MAX_RANDOM_SEED) : null;
+
+    return Array.from({ length: count }, (_, index) => {
+        const single = { ...payload, [key]: 1 };
+        if (baseSeed !== null) {
+            single.seed = baseSeed + index;
+        }
+        return single;
+    });
+}
+
+/**
+ * Public view of a model for the settings panel (no endpoints or payload mapping).
+ * `available` is false when the model's provider has no credentials configured.
+ * @param {Object} model
+ * @returns {Object}
+ */
+function toPublicModel(model) {
+    const params = {};
+    for (const [name, spec] of Object.entries(model.params)) {
+        if ('fixed' in spec) continue;
+        const { as, fallback, ...publicSpec } = spec;
+        // The client needs preset dimensions for cost estimates
+        params[name] = spec.type === 'size' ? { ...publicSpec, presets: SIZE_PRESETS } : publicSpec;
+    }
+
+    const provider = getProvider(model);
+
+    return {
+        id: model.id,
+        label: model.label,
+        provider: provider.id,
+        providerLabel: provider.label,
+        available: provider.isConfigured(),
+        params,
+        input: model.input || null,
+        pricing: model.pricing || null,
+    };
+}
+
+module.exports = {
+    MODELS,
+    DEFAULT_MODEL_ID,
+    getModel,
+    buildPayload,
+    prepareGeneration,
+    splitPayload,
+    toPublicModel,
+};
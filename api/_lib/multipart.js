@@ -0,0 +1,132 @@
+/**
+ * Minimal multipart/form-data reader for the upload endpoint. Bodies are
+ * small (one image per request), so the whole body is buffered in memory.
+ */
+
+/**
+ * @typedef {Object} MultipartPart
+ * @property {string} name - Form field name
+ * @property {string|null} filename - Original file name, for file fields
+ * @property {string|null} contentType - Declared content type
+ * @property {Buffer} data
+ */
+
+/**
+ * Error for a request body that can't be read; `status` is the HTTP status to send
+ */
+class BodyError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} status
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'BodyError';
+        this.status = status;
+    }
+}
+
+/**
+ * Read a request body into a buffer
+ * @param {import('http').IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ * @throws {BodyError} 413 if the body is larger than maxBytes
+ */
+async function readBody(req, maxBytes) {
+    // Some runtimes have already buffered the body
+    if (Buffer.isBuffer(req.body)) {
+        if (req.body.length > maxBytes) throw new BodyError('Request body is too large', 413);
+        return req.body;
+    }
+
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > maxBytes) {
+        throw new BodyError('Request body is too large', 413);
+    }
+
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of req) {
+        received += chunk.length;
+        if (received > maxBytes) {
+            throw new BodyError('Request body is too large', 413);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Parse the headers of one part
+ * @param {string} headerText
+ * @returns {{name: string|null, filename: string|null, contentType: string|null}}
+ */
+function parsePartHeaders(headerText) {
+    const headers = {};
+    headerText.split('\r\n').forEach((line) => {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+    });
+
+    const disposition = headers['content-disposition'] || '';
+    const name = /\bname="([^"]*)"/i.exec(disposition);
+    const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+    return {
+        name: name ? name[1] : null,
+        filename: filename ? filename[1] : null,
+        contentType: headers['content-type'] || null,
+    };
+}
+
+/**
+ * Read and parse a multipart/form-data request
+ * @param {import('http').IncomingMessage} req
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<MultipartPart[]>}
+ * @throws {BodyError} 400 for malformed bodies, 413 for oversized ones
+ */
+async function readMultipart(req, maxBytes) {
+    const contentType = req.headers['content-type'] || '';
+    const boundaryMatch = /^multipart\/form-data;.*\bboundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!boundaryMatch) {
+        throw new BodyError('Expected a multipart/form-data body', 400);
+    }
+
+    const body = await readBody(req, maxBytes);
+    const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2].trim()}`);
+    const parts = [];
+
+    let start = body.indexOf(delimiter);
+    if (start === -1) {
+        throw new BodyError('Malformed multipart body', 400);
+    }
+
+    while (true) {
+        start += delimiter.length;
+        // "--" after a delimiter marks the end of the body
+        if (body[start] === 0x2d && body[start + 1] === 0x2d) break;
+
+        const headerEnd = body.indexOf('\r\n\r\n', start);
+        const next = body.indexOf(delimiter, start);
+        if (headerEnd === -1 || next === -1 || headerEnd > next) {
+            throw new BodyError('Malformed multipart body', 400);
+        }
+
+        const headers = parsePartHeaders(body.toString('utf8', start + 2, headerEnd));
+        if (headers.name !== null) {
+            // Part data ends with the CRLF that precedes the next delimiter
+            parts.push({ ...headers, data: body.subarray(headerEnd + 4, next - 2) });
+        }
+        start = next;
+    }
+
+    return parts;
+}
+
+module.exports = {
+    BodyError,
+    readMultipart,
+};
@@ -0,0 +1,51 @@
+/**
+ * Self-hosted Stable Diffusion provider for the Automatic1111 web UI API
+ * (also served by Forge and SD.Next). Start the web UI with `--api` and set
+ * A1111_URL, plus A1111_AUTH=user:password if it uses `--api-auth`.
+ *
+ * `endpoint` is the API route under /sdapi/v1 (`txt2img`). The API is
+ * synchronous and returns base64 PNGs, which are passed on as data URIs.
+ */
+
+const { providerFetch } = require('./http');
+const { resolveImageSize } = require('../image-size');
+
+module.exports = {
+    id: 'a1111',
+    label: 'Automatic1111',
+    requiredEnv: 'A1111_URL',
+
+    isConfigured() {
+        return Boolean(process.env.A1111_URL);
+    },
+
+    async generate(model, payload, log) {
+        const { image_size, sync_mode, ...options } = payload;
+        const headers = {};
+        if (process.env.A1111_AUTH) {
+            headers['Authorization'] = `Basic ${Buffer.from(process.env.A1111_AUTH).toString('base64')}`;
+        }
+
+        const data = await providerFetch(`${process.env.A1111_URL.replace(/\/+$/, '')}/sdapi/v1/${model.endpoint}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                ...resolveImageSize(image_size),
+                seed: -1,
+                ...options,
+            }),
+        }, 'Automatic1111', log);
+
+        let seed;
+        try {
+            seed = JSON.parse(data.info).seed;
+        } catch {
+            // `info` is informational only
+        }
+
+        return {
+            images: (data.images || []).map((base64) => ({ url: `data:image/png;base64,${base64}` })),
+            seed,
+        };
+    },
+};
@@ -0,0 +1,171 @@
+/**
+ * Fal.ai provider.
+ *
+ * Blocking calls go to https://fal.run/{endpoint}; jobs use the queue
+ * (https://docs.fal.ai/model-endpoints/queue):
+ *   POST {queue}/{endpoint}                          -> { request_id }
+ *   GET  {queue}/{app}/requests/{request_id}/status  -> { status, queue_position, logs }
+ *   GET  {queue}/{app}/requests/{request_id}         -> model output
+ *   PUT  {queue}/{app}/requests/{request_id}/cancel
+ *
+ * `{app}` is the owner/name prefix of the endpoint (e.g. `fal-ai/flux-pro` for
+ * `fal-ai/flux-pro/kontext`). Set FAL_QUEUE_URL to point at a local stand-in
+ * (see scripts/fal-queue-stub.js).
+ *
+ * Input images uploaded through /api/upload go to Fal storage, which hands
+ * back a public CDN URL every provider can fetch.
+ */
+
+const { ProviderError, providerFetch } = require('./http');
+
+const FAL_RUN_URL = 'https://fal.run';
+const DEFAULT_QUEUE_URL = 'https://queue.fal.run';
+const DEFAULT_REST_URL = 'https://rest.alpha.fal.ai';
+
+function getQueueUrl() {
+    return (process.env.FAL_QUEUE_URL || DEFAULT_QUEUE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Owner/name prefix of a model endpoint, used for request URLs
+ * @param {Object} model
+ * @returns {string}
+ */
+function getAppId(model) {
+    return model.endpoint.split('/').slice(0, 2).join('/');
+}
+
+/**
+ * Make an authenticated call to Fal
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {import('../logger').RequestLogger} log
+ * @returns {Promise<Object>}
+ */
+function falFetch(url, options, log) {
+    return providerFetch(url, {
+        ...options,
+        headers: { 'Authorization': `Key ${process.env.FAL_KEY}` },
+    }, 'Fal.ai', log);
+}
+
+module.exports = {
+    id: 'fal',
+    label: 'Fal.ai',
+    requiredEnv: 'FAL_KEY',
+
+    isConfigured() {
+        return Boolean(process.env.FAL_KEY);
+    },
+
+    /**
+     * Run a model and wait for its output
+     * @param {Object} model - Registry entry
+     * @param {Object} payload - Payload from buildPayload
+     * @param {import('../logger').RequestLogger} log
+     * @returns {Promise<Object>} Model output (`{ images: [{ url }] }`)
+     */
+    async generate(model, payload, log) {
+        return falFetch(`${FAL_RUN_URL}/${model.endpoint}`, {
+            method: 'POST',
+            body: JSON.stringify(payload),
+        }, log);
+    },
+
+    /**
+     * Submit a payload to a model's queue
+     * @param {Object} model
+     * @param {Object} payload
+     * @param {import('../logger').RequestLogger} log
+     * @returns {Promise<{requestId: string, status: string, queuePosition: number|null}>}
+     */
+    async submit(model, payload, log) {
+        const data = await falFetch(`${getQueueUrl()}/${model.endpoint}`, {
+            method: 'POST',
+            body: JSON.stringify(payload),
+        }, log);
+
+        if (!data.request_id) {
+            throw new ProviderError('Fal queue did not return a request ID', 502, JSON.stringify(data));
+        }
+
+        return {
+            requestId: data.request_id,
+            status: data.status || 'IN_QUEUE',
+            queuePosition: data.queue_position ?? null,
+        };
+    },
+
+    /**
+     * @param {Object} model
+     * @param {string} requestId
+     * @param {import('../logger').RequestLogger} log
+     * @returns {Promise<{status: string, queuePosition: number|null, logs: Array}>}
+     */
+    async getStatus(model, requestId, log) {
+        const data = await falFetch(
+            `${getQueueUrl()}/${getAppId(model)}/requests/${requestId}/status?logs=1`,
+            {},
+            log
+        );
+
+        return {
+            status: data.status,
+            queuePosition: data.queue_position ?? null,
+            logs: Array.isArray(data.logs) ? data.logs : [],
+        };
+    },
+
+    /**
+     * @param {Object} model
+     * @param {string} requestId
+     * @param {import('../logger').RequestLogger} log
+     * @returns {Promise<Object>} Model output
+     */
+    async getResult(model, requestId, log) {
+        return falFetch(`${getQueueUrl()}/${getAppId(model)}/requests/${requestId}`, {}, log);
+    },
+
+    /**
+     * @param {Object} model
+     * @param {string} requestId
+     * @param {import('../logger').RequestLogger} log
+     * @returns {Promise<Object>}
+     */
+    async cancel(model, requestId, log) {
+        return falFetch(`${getQueueUrl()}/${getAppId(model)}/requests/${requestId}/cancel`, {
+            method: 'PUT',
+        }, log);
+    },
+
+    /**
+     * Upload a file to Fal storage
+     * @param {Buffer} body
+     * @param {string} contentType
+     * @param {string} fileName
+     * @param {import('../logger').RequestLogger} log
+     * @returns {Promise<string>} Public URL of the file
+     */
+    async uploadFile(body, contentType, fileName, log) {
+        const restUrl = (process.env.FAL_REST_URL || DEFAULT_REST_URL).replace(/\/+$/, '');
+        const { upload_url: uploadUrl, file_url: fileUrl } = await falFetch(
+            `${restUrl}/storage/upload/initiate?storage_type=fal-cdn-v3`,
+            {
+                method: 'POST',
+                body: JSON.stringify({ content_type: contentType, file_name: fileName }),
+            },
+            log
+        );
+
+        const response = await fetch(uploadUrl, {
+            method: 'PUT',
+            headers: { 'Content-Type': contentType },
+            body,
+        });
+        if (!response.ok) {
+            throw new ProviderError('Fal storage upload failed', response.status, await response.text());
+        }
+
+        return fileUrl;
+    },
+};
@@ -0,0 +1,278 @@
+/**
+ * HTTP helpers shared by the generation providers, and the error format
+ * handlers use to relay provider failures to the client.
+ *
+ * Failures are normalized to one of these codes (`code` in error responses
+ * and stream `error` events), so the UI can tell the user what to do next:
+ *   rate_limited    - the provider is throttling requests (429)
+ *   invalid_input   - the provider rejected the request (other 4xx)
+ *   content_blocked - a safety filter rejected the prompt or an input image
+ *   provider_down   - the provider failed, is misconfigured or unreachable
+ *   timeout         - the provider did not answer in time
+ */
+
+/** HTTP status sent to the client for each error code (4xx upstream statuses are kept) */
+const ERROR_STATUSES = {
+    rate_limited: 429,
+    invalid_input: 400,
+    content_blocked: 422,
+    provider_down: 502,
+    timeout: 504,
+};
+
+/** Upstream messages that mean a safety filter rejected the request */
+const CONTENT_BLOCKED_PATTERN = /content[ _-]?policy|moderation|nsfw|safety (?:filter|system|check)|flagged|blocked/i;
+
+/** Retries after the first attempt, unless PROVIDER_MAX_RETRIES says otherwise */
+const DEFAULT_MAX_RETRIES = 2;
+const BASE_RETRY_DELAY_MS = 500;
+/** Longest wait before a retry; a longer Retry-After is passed on to the client instead */
+const MAX_RETRY_DELAY_MS = 10000;
+/** Per-attempt timeout, unless PROVIDER_TIMEOUT_MS says otherwise */
+const DEFAULT_TIMEOUT_MS = 300000;
+
+/** Statuses worth retrying for requests that are safe to repeat */
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+/** Statuses that guarantee the provider did not act on the request, so even a POST can be repeated */
+const NOT_PROCESSED_STATUSES = new Set([429, 503]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+
+/**
+ * Normalize an upstream failure to an error code
+ * @param {number} status - Upstream HTTP status
+ * @param {string} [details] - Upstream response body
+ * @returns {string}
+ */
+function classifyError(status, details) {
+    if (status === 429) return 'rate_limited';
+    if (status === 408 || status === 504) return 'timeout';
+    if (!status || status >= 500) return 'provider_down';
+    if (CONTENT_BLOCKED_PATTERN.test(details || '')) return 'content_blocked';
+    // Rejected credentials are a server problem the user can't fix
+    if (status === 401 || status === 403) return 'provider_down';
+    return 'invalid_input';
+}
+
+/**
+ * Pull a human-readable message out of an upstream error body
+ * @param {string} [details]
+ * @returns {string|undefined}
+ */
+function extractReason(details) {
+    if (!details) return undefined;
+
+    let reason = details;
+    try {
+        const body = JSON.parse(details);
+        // Fal: { detail }, OpenAI / OpenRouter: { error: { message } }, Replicate: { detail } or { error }
+        const detail = body.detail ?? body.error?.message ?? body.error ?? body.message;
+        if (Array.isArray(detail)) {
+            reason = detail.map((item) => item.msg || item.message).filter(Boolean).join('; ');
+        } else if (typeof detail === 'string') {
+            reason = detail;
+        } else {
+            return undefined;
+        }
+    } catch {
+        // Plain-text body
+    }
+
+    reason = reason.trim();
+    if (!reason || reason.startsWith('<')) return undefined;
+    return reason.length > 300 ? `${reason.slice(0, 297)}...` : reason;
+}
+
+/**
+ * Error carrying the upstream HTTP status and body
+ */
+class ProviderError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} status - Upstream HTTP status
+     * @param {string} [details] - Raw upstream response body
+     * @param {Object} [options]
+     * @param {string} [options.code] - Error code, derived from status and details if omitted
+     * @param {number} [options.retryAfter] - Seconds the provider asked us to wait
+     */
+    constructor(message, status, details, { code, retryAfter } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.details = details;
+        this.code = code || classifyError(status, details);
+        this.retryAfter = retryAfter ?? null;
+    }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} header
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} attempt - Zero-based retry number
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+    return delay / 2 + Math.random() * (delay / 2);
+}
+
+function getMaxRetries() {
+    const value = parseInt(process.env.PROVIDER_MAX_RETRIES, 10);
+    return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_RETRIES;
+}
+
+function getTimeoutMs() {
+    const value = parseInt(process.env.PROVIDER_TIMEOUT_MS, 10);
+    return value > 0 ? value : DEFAULT_TIMEOUT_MS;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Send a JSON request to a provider and return the successful response,
+ * for callers that read the body themselves (e.g. a streamed completion).
+ * Transient failures (429, 5xx, connection errors) are retried with
+ * exponential backoff, honoring Retry-After. POSTs are only retried when the
+ * provider cannot have acted on them, so a generation is never submitted twice.
+ * @param {string} url
+ * @param {RequestInit} options - Must include the provider's auth headers; `signal` cancels the request
+ * @param {string} providerLabel - Used in error messages
+ * @param {import('../logger').RequestLogger} log - Logger of the request this call serves, for retries
+ * @returns {Promise<Response>} A 2xx response with its body unread
+ * @throws {ProviderError} If the provider still fails after retrying
+ */
+async function providerRequest(url, options, providerLabel, log) {
+    const idempotent = IDEMPOTENT_METHODS.has((options.method || 'GET').toUpperCase());
+    const retryStatuses = idempotent ? RETRYABLE_STATUSES : NOT_PROCESSED_STATUSES;
+    const maxRetries = getMaxRetries();
+
+    for (let attempt = 0; ; attempt++) {
+        const canRetry = attempt < maxRetries;
+        const timeout = AbortSignal.timeout(getTimeoutMs());
+
+        let response;
+        try {
+            response = await fetch(url, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...options.headers,
+                },
+                signal: options.signal ? AbortSignal.any([options.signal, timeout]) : timeout,
+            });
+        } catch (error) {
+            // Cancelled by the caller: nothing to report or retry
+            if (options.signal?.aborted) throw error;
+            if (error.name === 'TimeoutError') {
+                throw new ProviderError(`${providerLabel} request timed out`, 504, error.message, { code: 'timeout' });
+            }
+            // A refused connection never reached the provider; anything else might have
+            if (canRetry && (idempotent || error.cause?.code === 'ECONNREFUSED')) {
+                log.warn('provider_retry', {
+                    provider: providerLabel,
+                    reason: error.cause?.code || error.message,
+                    attempt: attempt + 1,
+                    maxRetries,
+                });
+                await sleep(getBackoffDelay(attempt));
+                continue;
+            }
+            throw new ProviderError(`${providerLabel} could not be reached`, 502, error.cause?.message || error.message, {
+                code: 'provider_down',
+            });
+        }
+
+        if (response.ok) {
+            return response;
+        }
+
+        const errorText = await response.text();
+        const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+
+        if (canRetry && retryStatuses.has(response.status) && (retryAfterMs ?? 0) <= MAX_RETRY_DELAY_MS) {
+            log.warn('provider_retry', {
+                provider: providerLabel,
+                upstreamStatus: response.status,
+                attempt: attempt + 1,
+                maxRetries,
+            });
+            await sleep(retryAfterMs ?? getBackoffDelay(attempt));
+            continue;
+        }
+
+        throw new ProviderError(`${providerLabel} request failed`, response.status, errorText, {
+            retryAfter: retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000),
+        });
+    }
+}
+
+/**
+ * Send a JSON request to a provider and parse the JSON response, retrying
+ * transient failures like providerRequest
+ * @param {string} url
+ * @param {RequestInit} options - Must include the provider's auth headers
+ * @param {string} providerLabel - Used in error messages
+ * @param {import('../logger').RequestLogger} log - Logger of the request this call serves
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {ProviderError} If the provider still fails after retrying
+ */
+async function providerFetch(url, options, providerLabel, log) {
+    const response = await providerRequest(url, options, providerLabel, log);
+    return response.json();
+}
+
+/**
+ * Client-facing description of a failure, for JSON responses and stream events
+ * @param {Error} error
+ * @param {string} message - What failed, e.g. 'Failed to generate image'
+ * @returns {{error: string, code?: string, reason?: string, retryAfter?: number, details?: string}}
+ */
+function describeProviderError(error, message) {
+    if (!(error instanceof ProviderError)) {
+        return { error: message };
+    }
+
+    const body = { error: message, code: error.code };
+    const reason = extractReason(error.details);
+    if (reason) body.reason = reason;
+    if (error.retryAfter !== null) body.retryAfter = error.retryAfter;
+    if (error.details) body.details = error.details;
+    return body;
+}
+
+/**
+ * Respond with a provider failure: the normalized status (upstream 4xx other
+ * than auth errors are kept), a Retry-After header when known, and the body
+ * from describeProviderError
+ * @param {Object} res
+ * @param {ProviderError} error
+ * @param {string} message - What failed
+ */
+function sendProviderError(res, error, message) {
+    const keepStatus = error.status >= 400 && error.status < 500 && error.code !== 'provider_down';
+    if (error.retryAfter !== null) {
+        res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    return res.status(keepStatus ? error.status : ERROR_STATUSES[error.code]).json(describeProviderError(error, message));
+}
+
+module.exports = {
+    ProviderError,
+    providerRequest,
+    providerFetch,
+    describeProviderError,
+    sendProviderError,
+};
@@ -0,0 +1,74 @@
+/**
+ * Generation providers.
+ *
+ * Each model in the registry names a provider, which owns authentication,
+ * request mapping and response normalization for that backend. Every
+ * provider implements:
+ *
+ *   id, label       - identifiers shown in the model dropdown
+ *   requiredEnv     - environment variable that enables it
+ *   isConfigured()  - whether that variable is set
+ *   generate(model, payload, log) -> { images: [{ url }] }
+ *
+ * `log` is the request's logger (api/_lib/logger.js), handed on to
+ * providerRequest so retries show up under the request's ID.
+ *
+ * Providers with a job queue also implement submit / getStatus / getResult /
+ * cancel (see api/_lib/jobs.js); the others can only run synchronously.
+ *
+ * In mock mode (MOCK_PROVIDERS=1) every model runs on the offline mock provider.
+ */
+
+const { ProviderError, describeProviderError, sendProviderError } = require('./http');
+const { isMockMode } = require('../mock');
+const mockProvider = require('./mock');
+
+/** @type {Object<string, Object>} */
+const PROVIDERS = {
+    fal: require('./fal'),
+    replicate: require('./replicate'),
+    openai: require('./openai'),
+    a1111: require('./a1111'),
+};
+
+/**
+ * Provider that serves a model
+ * @param {Object} model - Registry entry
+ * @returns {Object}
+ */
+function getProvider(model) {
+    if (isMockMode()) return mockProvider;
+
+    const provider = PROVIDERS[model.provider];
+    if (!provider) {
+        throw new Error(`Unknown provider "${model.provider}" for model ${model.id}`);
+    }
+    return provider;
+}
+
+/**
+ * Whether a provider can run a model as a queued job
+ * @param {Object} provider
+ * @returns {boolean}
+ */
+function supportsJobs(provider) {
+    return typeof provider.submit === 'function';
+}
+
+/**
+ * Error message for a provider whose credentials are missing
+ * @param {Object} provider
+ * @returns {string}
+ */
+function describeMissingConfig(provider) {
+    return `${provider.requiredEnv} environment variable is not configured`;
+}
+
+module.exports = {
+    ProviderError,
+    describeProviderError,
+    sendProviderError,
+    getProvider,
+    supportsJobs,
+    describeMissingConfig,
+};
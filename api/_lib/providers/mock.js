@@ -0,0 +1,146 @@
+/**
+ * Mock provider used for every model when MOCK_PROVIDERS=1 (see api/_lib/mock.js).
+ *
+ * Renders synthetic images locally and simulates a queue without keeping any
+ * state: the request ID encodes everything needed to render the result and
+ * when it was submitted, so status and result calls work across restarts
+ * and serverless instances just like the real queues.
+ */
+
+const { ProviderError } = require('./http');
+const { resolveImageSize, resolveAspectRatio } = require('../image-size');
+const { getMockLatency, getInjectedError, hashString, renderMockImage } = require('../mock');
+
+/**
+ * Number of images to render, within what the model allows
+ * @param {Object} model - Registry entry
+ * @param {*} count
+ * @returns {number}
+ */
+function clampCount(model, count) {
+    return Math.min(Math.max(1, parseInt(count, 10) || 1), model.params.num_images?.max || 1);
+}
+
+/**
+ * Work out what to render from a registry payload
+ * @param {Object} model - Registry entry
+ * @param {Object} payload - Payload from buildPayload
+ * @returns {{promptHash: number, seed: number, width: number, height: number, format: string, count: number, errorStatus: number|null}}
+ */
+function describeRequest(model, payload) {
+    const countKey = model.params.num_images?.as || 'num_images';
+    const { width, height } = payload.image_size
+        ? resolveImageSize(payload.image_size, 'landscape_4_3')
+        : resolveAspectRatio(payload.aspect_ratio) || resolveImageSize(null, 'square_hd');
+
+    return {
+        promptHash: hashString(payload.prompt),
+        seed: typeof payload.seed === 'number' ? payload.seed : 0,
+        width,
+        height,
+        format: payload.output_format || 'png',
+        count: clampCount(model, payload[countKey]),
+        errorStatus: getInjectedError(payload.prompt),
+    };
+}
+
+/**
+ * Render the images for a request
+ * @param {Object} request - From describeRequest
+ * @returns {Object} Model output
+ * @throws {ProviderError} If an error was injected
+ */
+function renderResult(request) {
+    if (request.errorStatus) {
+        throw new ProviderError('Mock provider request failed', request.errorStatus,
+            JSON.stringify({ detail: `Injected mock error ${request.errorStatus}` }));
+    }
+
+    return {
+        images: Array.from({ length: request.count }, (_, index) => renderMockImage({
+            prompt: String(request.promptHash),
+            seed: request.seed + index,
+            width: request.width,
+            height: request.height,
+            format: request.format,
+        })),
+        seed: request.seed,
+    };
+}
+
+function encodeRequestId(request) {
+    return Buffer.from(JSON.stringify({ ...request, submittedAt: Date.now() })).toString('base64url');
+}
+
+/**
+ * @param {string} requestId
+ * @returns {Object}
+ * @throws {ProviderError} If the ID was not produced by this provider
+ */
+function decodeRequestId(requestId) {
+    try {
+        return JSON.parse(Buffer.from(requestId, 'base64url').toString('utf8'));
+    } catch {
+        throw new ProviderError('Mock provider request not found', 404, '');
+    }
+}
+
+module.exports = {
+    id: 'mock',
+    label: 'Mock (offline)',
+    requiredEnv: 'MOCK_PROVIDERS',
+
+    isConfigured() {
+        return true;
+    },
+
+    async generate(model, payload) {
+        await new Promise((resolve) => setTimeout(resolve, getMockLatency()));
+        return renderResult(describeRequest(model, payload));
+    },
+
+    async submit(model, payload) {
+        return {
+            requestId: encodeRequestId(describeRequest(model, payload)),
+            status: 'IN_QUEUE',
+            queuePosition: 0,
+        };
+    },
+
+    /**
+     * Queued for the first third of the latency, then in progress with one log line per step
+     */
+    async getStatus(model, requestId) {
+        const { submittedAt } = decodeRequestId(requestId);
+        const latency = getMockLatency();
+        const progress = latency > 0 ? (Date.now() - submittedAt) / latency : 1;
+
+        if (progress >= 1) {
+            return { status: 'COMPLETED', queuePosition: null, logs: [] };
+        }
+        if (progress < 1 / 3) {
+            return { status: 'IN_QUEUE', queuePosition: 0, logs: [] };
+        }
+
+        const steps = Math.floor(((progress - 1 / 3) * 3 / 2) * 10) + 1;
+        return {
+            status: 'IN_PROGRESS',
+            queuePosition: null,
+            logs: Array.from({ length: steps }, (_, index) => ({ message: `Mock step ${index + 1}/10` })),
+        };
+    },
+
+    async getResult(model, requestId) {
+        const request = decodeRequestId(requestId);
+        if (Date.now() - request.submittedAt < getMockLatency()) {
+            throw new ProviderError('Mock provider request is still in progress', 400, '');
+        }
+        // Anyone can craft a request ID, so don't trust its count
+        return renderResult({ ...request, count: clampCount(model, request.count) });
+    },
+
+    async cancel(model, requestId) {
+        decodeRequestId(requestId);
+        return { status: 'CANCELLATION_REQUESTED' };
+    },
+};
@@ -0,0 +1,55 @@
+/**
+ * OpenAI Images provider (POST /v1/images/generations).
+ *
+ * The API is synchronous, so this provider has no queue methods and is
+ * only reachable through /api/generate and /api/generate-stream. Images
+ * come back base64-encoded and are returned as data URIs; enable
+ * IMAGE_STORAGE to turn them into regular URLs.
+ */
+
+const { providerFetch } = require('./http');
+
+const DEFAULT_API_URL = 'https://api.openai.com/v1';
+
+/** Aspect ratios from the settings panel -> sizes the Images API accepts */
+const SIZES = {
+    '1:1': '1024x1024',
+    '3:2': '1536x1024',
+    '2:3': '1024x1536',
+};
+
+function getApiUrl() {
+    return (process.env.OPENAI_BASE_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+}
+
+module.exports = {
+    id: 'openai',
+    label: 'OpenAI',
+    requiredEnv: 'OPENAI_API_KEY',
+
+    isConfigured() {
+        return Boolean(process.env.OPENAI_API_KEY);
+    },
+
+    async generate(model, payload, log) {
+        const { prompt, aspect_ratio, sync_mode, ...options } = payload;
+
+        const data = await providerFetch(`${getApiUrl()}/images/generations`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` },
+            body: JSON.stringify({
+                model: model.endpoint,
+                prompt,
+                size: SIZES[aspect_ratio] || 'auto',
+                ...options,
+            }),
+        }, 'OpenAI', log);
+
+        const format = options.output_format || 'png';
+        return {
+            images: (data.data || []).map((image) => ({
+                url: image.url || `data:image/${format};base64,${image.b64_json}`,
+            })),
+        };
+    },
+};
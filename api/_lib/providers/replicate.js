@@ -0,0 +1,130 @@
+/**
+ * Replicate provider (https://replicate.com/docs/reference/http).
+ *
+ * `endpoint` is either an official model (`owner/name`) or a pinned
+ * version (`owner/name:version`). The registry payload is sent as the
+ * prediction `input`, so parameter names follow the model's schema.
+ */
+
+const { ProviderError, providerFetch } = require('./http');
+
+const DEFAULT_API_URL = 'https://api.replicate.com/v1';
+const POLL_INTERVAL_MS = 1000;
+
+/** Replicate prediction status -> job status used by /api/jobs */
+const STATUS_MAP = {
+    starting: 'IN_QUEUE',
+    processing: 'IN_PROGRESS',
+    succeeded: 'COMPLETED',
+    // Failed predictions report COMPLETED like Fal does; fetching the result surfaces the error
+    failed: 'COMPLETED',
+    canceled: 'CANCELLED',
+};
+
+function getApiUrl() {
+    return (process.env.REPLICATE_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Make an authenticated call to Replicate
+ * @param {string} path - Path under the API URL
+ * @param {RequestInit} options
+ * @param {import('../logger').RequestLogger} log
+ * @returns {Promise<Object>} Prediction object
+ */
+function replicateFetch(path, options, log) {
+    return providerFetch(`${getApiUrl()}${path}`, {
+        ...options,
+        headers: {
+            'Authorization': `Bearer ${process.env.REPLICATE_API_TOKEN}`,
+            ...options.headers,
+        },
+    }, 'Replicate', log);
+}
+
+/**
+ * Create a prediction
+ * @param {Object} model
+ * @param {Object} payload
+ * @param {import('../logger').RequestLogger} log
+ * @param {Object} [headers] - Extra headers (e.g. `Prefer: wait`)
+ * @returns {Promise<Object>} Prediction object
+ */
+function createPrediction(model, payload, log, headers) {
+    // Fal-only flag added by buildPayload
+    const { sync_mode, ...input } = payload;
+    const [name, version] = model.endpoint.split(':');
+
+    return replicateFetch(version ? '/predictions' : `/models/${name}/predictions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(version ? { version, input } : { input }),
+    }, log);
+}
+
+/**
+ * Normalize a finished prediction to `{ images: [{ url }] }`
+ * @param {Object} prediction
+ * @returns {Object}
+ * @throws {ProviderError} If the prediction failed, was cancelled or is still running
+ */
+function toResult(prediction) {
+    if (prediction.status === 'failed') {
+        throw new ProviderError('Replicate prediction failed', 422, prediction.error || '');
+    }
+    if (prediction.status !== 'succeeded') {
+        throw new ProviderError('Replicate prediction is not finished', 400, prediction.status);
+    }
+
+    const outputs = Array.isArray(prediction.output) ? prediction.output : [prediction.output];
+    return {
+        images: outputs.filter((url) => typeof url === 'string').map((url) => ({ url })),
+        seed: prediction.input?.seed,
+    };
+}
+
+module.exports = {
+    id: 'replicate',
+    label: 'Replicate',
+    requiredEnv: 'REPLICATE_API_TOKEN',
+
+    isConfigured() {
+        return Boolean(process.env.REPLICATE_API_TOKEN);
+    },
+
+    async generate(model, payload, log) {
+        // Replicate holds the request open for up to 60s, then we poll the rest
+        let prediction = await createPrediction(model, payload, log, { 'Prefer': 'wait=60' });
+        while (prediction.status === 'starting' || prediction.status === 'processing') {
+            await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+            prediction = await replicateFetch(`/predictions/${prediction.id}`, {}, log);
+        }
+        return toResult(prediction);
+    },
+
+    async submit(model, payload, log) {
+        const prediction = await createPrediction(model, payload, log);
+        return {
+            requestId: prediction.id,
+            status: STATUS_MAP[prediction.status] || 'IN_QUEUE',
+            queuePosition: null,
+        };
+    },
+
+    async getStatus(model, requestId, log) {
+        const prediction = await replicateFetch(`/predictions/${requestId}`, {}, log);
+        return {
+            status: STATUS_MAP[prediction.status] || 'IN_QUEUE',
+            queuePosition: null,
+            logs: (prediction.logs || '').split('\n').filter(Boolean).map((message) => ({ message })),
+        };
+    },
+
+    async getResult(model, requestId, log) {
+        return toResult(await replicateFetch(`/predictions/${requestId}`, {}, log));
+    },
+
+    async cancel(model, requestId, log) {
+        return replicateFetch(`/predictions/${requestId}/cancel`, { method: 'POST' }, log);
+    },
+};
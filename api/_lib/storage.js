@@ -0,0 +1,306 @@
+/**
+ * Persistent storage for generated images.
+ *
+ * Fal CDN URLs expire, so when IMAGE_STORAGE is set the API downloads each
+ * result into a storage backend and hands out stable `/api/images/:id` URLs
+ * instead (served by api/images/[id].js).
+ *
+ *   IMAGE_STORAGE=local  Files under IMAGE_STORAGE_DIR (default ./data/images).
+ *                        Needs a persistent disk, so use it with server.js.
+ *   IMAGE_STORAGE=s3     Any S3-compatible bucket (AWS, R2, MinIO, ...):
+ *                        S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID,
+ *                        S3_SECRET_ACCESS_KEY, optional S3_ENDPOINT and S3_PREFIX.
+ *
+ * Unset (the default) keeps the upstream URLs as before.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const IMAGE_ROUTE = '/api/images/';
+
+/** Largest image we will download and store */
+const MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+
+/** Stored content types and the file extension used in their IDs */
+const IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+};
+
+const EXTENSION_TYPES = Object.fromEntries(
+    Object.entries(IMAGE_TYPES).map(([type, extension]) => [extension, type])
+);
+
+/** Image IDs are a content-addressed hash plus extension, e.g. `3f2a...c9.png` */
+const IMAGE_ID_PATTERN = new RegExp(`^[a-f0-9]{32}\\.(${Object.values(IMAGE_TYPES).join('|')})$`);
+
+/**
+ * @typedef {Object} StorageBackend
+ * @property {(id: string, body: Buffer, contentType: string) => Promise<void>} put
+ * @property {(id: string) => Promise<Buffer|null>} get - Null if the image does not exist
+ */
+
+/**
+ * Store images as files in a directory
+ * @param {string} dir
+ * @returns {StorageBackend}
+ */
+function createLocalStorage(dir) {
+    return {
+        async put(id, body) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, id), body);
+        },
+
+        async get(id) {
+            try {
+                return await fs.readFile(path.join(dir, id));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+    };
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Store images in an S3-compatible bucket (path-style requests, Signature V4)
+ * @param {Object} config
+ * @param {string} config.bucket
+ * @param {string} config.region
+ * @param {string} config.endpoint - e.g. https://s3.us-east-1.amazonaws.com
+ * @param {string} config.prefix - Key prefix for stored images
+ * @param {string} config.accessKeyId
+ * @param {string} config.secretAccessKey
+ * @returns {StorageBackend}
+ */
+function createS3Storage(config) {
+    /**
+     * Send a signed request for one object
+     * @param {string} method
+     * @param {string} id
+     * @param {Buffer} [body]
+     * @param {string} [contentType]
+     * @returns {Promise<Response>}
+     */
+    async function s3Request(method, id, body, contentType) {
+        const url = new URL(`${config.endpoint}/${config.bucket}/${config.prefix}${id}`);
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const payloadHash = sha256Hex(body || '');
+
+        const headers = {
+            'host': url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate,
+        };
+        if (contentType) {
+            headers['content-type'] = contentType;
+        }
+
+        const headerNames = Object.keys(headers).sort();
+        const signedHeaders = headerNames.join(';');
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            '',
+            headerNames.map((name) => `${name}:${headers[name]}\n`).join(''),
+            signedHeaders,
+            payloadHash,
+        ].join('\n');
+
+        const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+        const signingKey = ['s3', 'aws4_request'].reduce(
+            hmac,
+            hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+        );
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        // fetch sets Host itself
+        delete headers.host;
+        headers['authorization'] = `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, ` +
+            `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+        return fetch(url, { method, headers, body });
+    }
+
+    return {
+        async put(id, body, contentType) {
+            const response = await s3Request('PUT', id, body, contentType);
+            if (!response.ok) {
+                throw new Error(`S3 upload failed with status ${response.status}: ${await response.text()}`);
+            }
+        },
+
+        async get(id) {
+            const response = await s3Request('GET', id);
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`S3 download failed with status ${response.status}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        },
+    };
+}
+
+/** @type {StorageBackend|null|undefined} */
+let storage;
+
+/**
+ * The configured storage backend
+ * @returns {StorageBackend|null} Null if image storage is disabled
+ * @throws {Error} If IMAGE_STORAGE names an unknown backend or S3 is misconfigured
+ */
+function getStorage() {
+    if (storage !== undefined) return storage;
+
+    const backend = (process.env.IMAGE_STORAGE || '').toLowerCase();
+
+    if (!backend) {
+        storage = null;
+    } else if (backend === 'local') {
+        storage = createLocalStorage(process.env.IMAGE_STORAGE_DIR || path.join(process.cwd(), 'data', 'images'));
+    } else if (backend === 's3') {
+        const { S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY } = process.env;
+        if (!S3_BUCKET || !S3_REGION || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) {
+            throw new Error('IMAGE_STORAGE=s3 requires S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+        storage = createS3Storage({
+            bucket: S3_BUCKET,
+            region: S3_REGION,
+            endpoint: (process.env.S3_ENDPOINT || `https://s3.${S3_REGION}.amazonaws.com`).replace(/\/+$/, ''),
+            prefix: process.env.S3_PREFIX ?? 'images/',
+            accessKeyId: S3_ACCESS_KEY_ID,
+            secretAccessKey: S3_SECRET_ACCESS_KEY,
+        });
+    } else {
+        throw new Error(`Unknown IMAGE_STORAGE backend: ${backend}`);
+    }
+
+    return storage;
+}
+
+/**
+ * Download one image into storage
+ * @param {StorageBackend} backend
+ * @param {string} sourceUrl
+ * @returns {Promise<string>} Stable `/api/images/:id` URL
+ */
+async function storeImage(backend, sourceUrl) {
+    const response = await fetch(sourceUrl);
+    if (!response.ok) {
+        throw new Error(`Image download failed with status ${response.status}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!IMAGE_TYPES[contentType]) {
+        throw new Error(`Unsupported image type: ${contentType || 'unknown'}`);
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+    if (body.length > MAX_IMAGE_BYTES) {
+        throw new Error(`Image is larger than ${MAX_IMAGE_BYTES} bytes`);
+    }
+
+    return putImage(backend, body, contentType);
+}
+
+/**
+ * Write image bytes to storage under a content-addressed ID, so storing
+ * the same image twice (e.g. re-fetching a job result) never duplicates it
+ * @param {StorageBackend} backend
+ * @param {Buffer} body
+ * @param {string} contentType - One of IMAGE_TYPES
+ * @returns {Promise<string>} Stable `/api/images/:id` URL
+ */
+async function putImage(backend, body, contentType) {
+    const id = `${sha256Hex(body).slice(0, 32)}.${IMAGE_TYPES[contentType]}`;
+    await backend.put(id, body, contentType);
+    return `${IMAGE_ROUTE}${id}`;
+}
+
+/**
+ * Store an image that is already in memory (e.g. an upload)
+ * @param {Buffer} body
+ * @param {string} contentType - image/png, image/jpeg, image/webp or image/gif
+ * @returns {Promise<string|null>} Stable `/api/images/:id` URL, or null if storage is disabled
+ */
+async function saveImage(body, contentType) {
+    const backend = getStorage();
+    if (!backend) return null;
+    if (!IMAGE_TYPES[contentType]) {
+        throw new Error(`Unsupported image type: ${contentType}`);
+    }
+    return putImage(backend, body, contentType);
+}
+
+/**
+ * Replace upstream image URLs in a model result with stored copies.
+ * Images that cannot be stored keep their upstream URL.
+ * @param {Object} data - Model output (e.g. `{ images: [{ url }] }`)
+ * @param {import('./logger').RequestLogger} log - Records images that could not be stored
+ * @returns {Promise<Object>} The same output with stable image URLs
+ */
+async function persistImages(data, log) {
+    if (!Array.isArray(data?.images)) return data;
+
+    let backend;
+    try {
+        backend = getStorage();
+    } catch (error) {
+        // A misconfigured backend should not cost the user an image they already paid for
+        log.error('storage_failed', { error: error.message, keptUpstreamUrls: true });
+        return data;
+    }
+    if (!backend) return data;
+
+    const images = await Promise.all(data.images.map(async (image) => {
+        if (!image?.url || image.url.startsWith(IMAGE_ROUTE)) return image;
+        try {
+            const stored = { ...image, url: await storeImage(backend, image.url) };
+            // Data URIs (inline provider output) would send the whole image back a second time
+            if (/^https?:\/\//i.test(image.url)) stored.source_url = image.url;
+            return stored;
+        } catch (error) {
+            log.error('storage_failed', { error: error.message, keptUpstreamUrls: true });
+            return image;
+        }
+    }));
+
+    return { ...data, images };
+}
+
+/**
+ * Read a stored image
+ * @param {string} id - Image ID from an `/api/images/:id` URL
+ * @returns {Promise<{body: Buffer, contentType: string}|null>} Null if the ID is invalid or unknown
+ */
+async function readImage(id) {
+    const backend = getStorage();
+    if (!backend || typeof id !== 'string' || !IMAGE_ID_PATTERN.test(id)) return null;
+
+    const body = await backend.get(id);
+    if (!body) return null;
+
+    return { body, contentType: EXTENSION_TYPES[id.split('.').pop()] };
+}
+
+module.exports = {
+    getStorage,
+    persistImages,
+    saveImage,
+    readImage,
+};
@@ -0,0 +1,119 @@
+/**
+ * Images for vision-capable OpenRouter models (VISION_MODEL), used by
+ * /api/describe and by enhancement of edit prompts.
+ *
+ * Models fetch http(s) URLs themselves, so stored `/api/images/:id` images
+ * and uploads are sent inline as data URIs instead; that way it works with a
+ * server OpenRouter can't reach (e.g. localhost with IMAGE_STORAGE=local).
+ */
+
+const crypto = require('crypto');
+const { readImage } = require('./storage');
+const { detectImage } = require('./image-info');
+const { BodyError } = require('./multipart');
+
+const DEFAULT_VISION_MODEL = 'google/gemini-2.5-flash';
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const IMAGE_ROUTE = '/api/images/';
+
+/** Data URIs of the types detectImage understands */
+const DATA_URI_PATTERN = /^data:image\/(png|jpeg|webp);base64,/;
+
+/**
+ * @typedef {Object} VisionImage
+ * @property {string} url - http(s) URL or data URI the model can read
+ * @property {string} key - Identifies the image (content hash or URL), for mock mode
+ * @property {{width: number, height: number}|null} size - Dimensions, when the bytes were read
+ * @property {'upload'|'stored'|'inline'|'remote'} source - Where the image came from, for logs
+ */
+
+/**
+ * The vision model for describing images and image-aware enhancement
+ * @returns {string} OpenRouter model ID
+ */
+function getVisionModel() {
+    return (process.env.VISION_MODEL || '').trim() || DEFAULT_VISION_MODEL;
+}
+
+/**
+ * Check image bytes and turn them into a data URI for the model
+ * @param {Buffer} body
+ * @param {'upload'|'stored'} source
+ * @returns {VisionImage}
+ * @throws {BodyError} 413 if too large, 415 for anything but PNG, JPEG or WebP
+ */
+function inlineImage(body, source) {
+    if (body.length > MAX_IMAGE_BYTES) {
+        throw new BodyError('Image file is too large (max 10MB)', 413);
+    }
+
+    // Trust the bytes, not the declared content type
+    const info = detectImage(body);
+    if (!info) {
+        throw new BodyError('Unsupported image type (use PNG, JPEG or WebP)', 415);
+    }
+
+    return {
+        url: `data:${info.contentType};base64,${body.toString('base64')}`,
+        key: crypto.createHash('sha256').update(body).digest('hex'),
+        size: { width: info.width, height: info.height },
+        source,
+    };
+}
+
+/**
+ * Turn an image URL from a request into one the model can read
+ * @param {*} url - http(s) URL, stored `/api/images/:id` image or image data URI
+ * @returns {Promise<VisionImage>}
+ * @throws {BodyError} With the status to respond with for unusable input
+ */
+async function resolveImageUrl(url) {
+    if (!url || typeof url !== 'string') {
+        throw new BodyError('Image URLs must be strings', 400);
+    }
+
+    // Passed on as they are; the model reads them directly
+    if (DATA_URI_PATTERN.test(url)) {
+        return { url, key: crypto.createHash('sha256').update(url).digest('hex'), size: null, source: 'inline' };
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url, 'http://localhost');
+    } catch {
+        throw new BodyError('Images must be http(s) URLs, stored images or image data URIs', 400);
+    }
+
+    if (parsed.pathname.startsWith(IMAGE_ROUTE)) {
+        const stored = await readImage(decodeURIComponent(parsed.pathname.slice(IMAGE_ROUTE.length)));
+        if (stored) {
+            return inlineImage(stored.body, 'stored');
+        }
+        // Relative paths can only mean this server's storage
+        if (!/^https?:\/\//i.test(url)) {
+            throw new BodyError('Image not found', 404);
+        }
+    }
+
+    if (!/^https?:\/\//i.test(url)) {
+        throw new BodyError('Images must be http(s) URLs, stored images or image data URIs', 400);
+    }
+    return { url, key: url, size: null, source: 'remote' };
+}
+
+/**
+ * Chat message content parts for images, in order
+ * @param {VisionImage[]} images
+ * @returns {Array<{type: 'image_url', image_url: {url: string}}>}
+ */
+function toImageParts(images) {
+    return images.map((image) => ({ type: 'image_url', image_url: { url: image.url } }));
+}
+
+module.exports = {
+    MAX_IMAGE_BYTES,
+    getVisionModel,
+    inlineImage,
+    resolveImageUrl,
+    toImageParts,
+};
@@ -0,0 +1,183 @@
+const { isMockMode, getMockLatency, mockDescribeImage } = require('./_lib/mock');
+const { ProviderError, providerFetch, sendProviderError } = require('./_lib/providers/http');
+const { createRequestLogger } = require('./_lib/logger');
+const { applyCors, authenticate } = require('./_lib/auth');
+const { checkRateLimit } = require('./_lib/limits');
+const { getModel } = require('./_lib/models');
+const { readMultipart, BodyError } = require('./_lib/multipart');
+const { MAX_IMAGE_BYTES, getVisionModel, inlineImage, resolveImageUrl } = require('./_lib/vision');
+const {
+    ASPECT_RATIOS,
+    nearestAspectRatio,
+    buildDescribeRequest,
+    parseDescription,
+} = require('./_lib/describe');
+
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+/**
+ * Write a prompt that reproduces an image, with a vision model on
+ * OpenRouter (see api/_lib/describe.js). Counts against the enhance rate limit.
+ *
+ * Accepts either multipart/form-data with a `file` field (PNG, JPEG or WebP,
+ * up to 10MB) or JSON `{ url }` with an http(s) URL or a stored
+ * `/api/images/:id` image. Both take an optional `imageModel`, the registry
+ * ID the prompt is for, so it matches that model's prompting style.
+ *
+ * Returns `{ prompt, negativePrompt, aspectRatio }`. When the image's own
+ * dimensions are known, they decide the aspect ratio.
+ */
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'describe');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'POST, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = authenticate(req, res, log);
+    if (!user) return;
+
+    if (!checkRateLimit(req, res, user, 'enhance')) {
+        log.warn('rate_limited', { user: user.name });
+        return;
+    }
+
+    let image;
+    try {
+        image = await readRequestImage(req);
+    } catch (error) {
+        if (error instanceof BodyError) {
+            log.info('rejected', { status: error.status, reason: error.message });
+            return res.status(error.status).json({ error: error.message });
+        }
+        log.error('failed', { user: user.name, error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    const model = getVisionModel();
+    const style = getModel(image.imageModel)?.promptStyle || 'natural';
+    const context = { model, style, source: image.source, user: user.name };
+
+    if (isMockMode()) {
+        await new Promise((resolve) => setTimeout(resolve, Math.min(getMockLatency(), 500)));
+        const description = {
+            ...mockDescribeImage(image.key, style),
+            aspectRatio: image.aspectRatio || ASPECT_RATIOS[0],
+        };
+        log.info('completed', { ...context, model: 'mock', status: 200, latencyMs: log.elapsed() });
+        return res.status(200).json(description);
+    }
+
+    const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+
+    if (!OPENROUTER_API_KEY) {
+        log.error('misconfigured', { ...context, missing: 'OPENROUTER_API_KEY' });
+        return res.status(500).json({ error: 'OPENROUTER_API_KEY environment variable is not configured' });
+    }
+
+    try {
+        const data = await providerFetch(OPENROUTER_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
+                'HTTP-Referer': req.headers.referer || 'https://ai-image-generator.vercel.app',
+                'X-Title': 'AI Image Generator'
+            },
+            body: JSON.stringify({
+                model,
+                ...buildDescribeRequest(image.url, style),
+            }),
+        }, 'OpenRouter', log);
+
+        const description = parseDescription(data.choices?.[0]?.message?.content, image.aspectRatio);
+
+        if (!description) {
+            log.error('empty_response', { ...context, latencyMs: log.elapsed() });
+            return res.status(502).json({ error: 'The model did not return a usable description' });
+        }
+
+        log.info('completed', {
+            ...context,
+            status: 200,
+            latencyMs: log.elapsed(),
+            promptLength: description.prompt.length,
+        });
+        return res.status(200).json(description);
+    } catch (error) {
+        if (error instanceof ProviderError) {
+            log.warn('failed', {
+                ...context,
+                upstreamStatus: error.status,
+                code: error.code,
+                latencyMs: log.elapsed(),
+                details: error.details,
+            });
+            return sendProviderError(res, error, 'Failed to describe image');
+        }
+        log.error('failed', { ...context, latencyMs: log.elapsed(), error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * @typedef {Object} RequestImage
+ * @property {string} url - http(s) URL or data URI to send to the model
+ * @property {string} key - Identifies the image (content hash or URL), for mock mode
+ * @property {string|null} aspectRatio - Closest offered ratio, when the dimensions are known
+ * @property {'upload'|'stored'|'remote'} source - Where the image came from, for logs
+ * @property {string|undefined} imageModel - Registry ID the prompt is for
+ */
+
+/**
+ * Read the image to describe from an upload or a URL. Uploads and stored
+ * images are sent to the model inline, so it never has to reach this server.
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<RequestImage>}
+ * @throws {BodyError} With the status to respond with for unusable input
+ */
+async function readRequestImage(req) {
+    let image;
+    let imageModel;
+
+    if ((req.headers['content-type'] || '').startsWith('multipart/form-data')) {
+        // Leave room for the multipart framing around the file
+        const parts = await readMultipart(req, MAX_IMAGE_BYTES + 64 * 1024);
+        const file = parts.find((part) => part.name === 'file' && part.filename !== null);
+        imageModel = parts.find((part) => part.name === 'imageModel')?.data.toString();
+
+        if (!file || file.data.length === 0) {
+            throw new BodyError('No file uploaded (expected a `file` field)', 400);
+        }
+        image = inlineImage(file.data, 'upload');
+    } else {
+        const { url } = req.body || {};
+        imageModel = req.body?.imageModel;
+        if (!url || typeof url !== 'string') {
+            throw new BodyError('Send an image as a `file` upload or a `url`', 400);
+        }
+        if (url.startsWith('data:')) {
+            throw new BodyError('url must be an http(s) URL or a stored image', 400);
+        }
+        image = await resolveImageUrl(url);
+    }
+
+    return {
+        url: image.url,
+        key: image.key,
+        aspectRatio: image.size ? nearestAspectRatio(image.size.width, image.size.height) : null,
+        source: image.source,
+        imageModel,
+    };
+}
@@ -1,80 +1,358 @@
+const { isMockMode, getMockLatency, getInjectedError, mockEnhancePrompt, mockRefinePrompt, mockEditPrompt } = require('./_lib/mock');
+const {
+    ProviderError,
+    providerRequest,
+    providerFetch,
+    describeProviderError,
+    sendProviderError,
+} = require('./_lib/providers/http');
+const { createRequestLogger } = require('./_lib/logger');
+const { applyCors, authenticate } = require('./_lib/auth');
+const { checkRateLimit } = require('./_lib/limits');
+const { getModel } = require('./_lib/models');
+const { BodyError } = require('./_lib/multipart');
+const { getVisionModel, resolveImageUrl } = require('./_lib/vision');
+const {
+    ENHANCE_MODES,
+    DEFAULT_MODE,
+    REFINE_MODE,
+    MAX_INSTRUCTION_LENGTH,
+    getEnhanceModels,
+    getEnhanceOptions,
+    buildEnhanceRequest,
+    validateConversation,
+    buildRefineRequest,
+    readCompletionStream,
+} = require('./_lib/enhance');
+
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+/** Delay between words of a streamed mock rewrite */
+const MOCK_TOKEN_DELAY_MS = 50;
+
+/**
+ * Rewrite a prompt with an LLM on OpenRouter (see api/_lib/enhance.js).
+ *   GET  - `{ modes, models, defaultMode }` for the enhance menu
+ *   POST - `{ prompt, mode?, model?, imageModel?, stream? }` returns `{ enhancedPrompt, mode, target }`;
+ *          `imageModel` is the registry ID the prompt is for, so the rewrite
+ *          matches its prompting style. With `stream: true` the response is
+ *          Server-Sent Events instead: `token` ({ text }) as the rewrite is
+ *          written, then `done` (the JSON body above) or `error`.
+ *          With `instruction` (and the earlier `conversation` turns) it is a
+ *          refinement instead: the change is applied to `prompt` and `mode`
+ *          comes back as `refine`.
+ *          `images` are the input images of an edit model (http(s) URLs,
+ *          stored images or data URIs). Visual modes and refinements send
+ *          them to the vision model (VISION_MODEL), which writes edit
+ *          instructions about what is in them.
+ */
 module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'enhance');
+
     // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (!applyCors(req, res, 'GET, POST, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
 
     // Handle preflight request
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
+    if (req.method === 'GET') {
+        return res.status(200).json(getEnhanceOptions());
+    }
+
     // Only allow POST requests
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    const { prompt } = req.body;
+    const user = authenticate(req, res, log);
+    if (!user) return;
 
+    if (!checkRateLimit(req, res, user, 'enhance')) {
+        log.warn('rate_limited', { user: user.name });
+        return;
+    }
+
+    const {
+        prompt,
+        mode: requestedMode = DEFAULT_MODE,
+        model: requestedModel,
+        imageModel,
+        instruction,
+        conversation = [],
+        images = [],
+        stream = false,
+    } = req.body || {};
+    const refining = instruction !== undefined;
+    const modeId = refining ? REFINE_MODE : requestedMode;
+    const enhanceModels = getEnhanceModels();
+    const mode = Object.hasOwn(ENHANCE_MODES, modeId) ? ENHANCE_MODES[modeId] : null;
+    const target = refining ? 'prompt' : mode?.target;
+    const imageRegistryModel = getModel(imageModel);
+    const style = imageRegistryModel?.promptStyle || 'natural';
+
+    let validationError = null;
     if (!prompt || typeof prompt !== 'string') {
-        return res.status(400).json({ error: 'Prompt is required' });
+        validationError = 'Prompt is required';
+    } else if (refining && (typeof instruction !== 'string' || !instruction.trim())) {
+        validationError = 'instruction must be a non-empty string';
+    } else if (refining && instruction.length > MAX_INSTRUCTION_LENGTH) {
+        validationError = `instruction can be at most ${MAX_INSTRUCTION_LENGTH} characters`;
+    } else if (refining) {
+        validationError = validateConversation(conversation);
+    } else if (!mode) {
+        validationError = `Unknown enhancement mode: ${modeId}`;
+    }
+    if (!validationError) {
+        validationError = validateImages(images, imageRegistryModel);
+    }
+    if (!validationError && requestedModel && !enhanceModels.includes(requestedModel)) {
+        validationError = `Enhancer model not allowed: ${requestedModel}`;
+    }
+    if (validationError) {
+        log.info('rejected', { status: 400, reason: validationError });
+        return res.status(400).json({ error: validationError });
+    }
+
+    // Modes that only fix wording don't need to see the images
+    let visionImages = [];
+    if (images.length > 0 && (refining || mode.visual)) {
+        try {
+            visionImages = await Promise.all(images.map(resolveImageUrl));
+        } catch (error) {
+            if (error instanceof BodyError) {
+                log.info('rejected', { status: error.status, reason: error.message });
+                return res.status(error.status).json({ error: error.message });
+            }
+            log.error('failed', { mode: modeId, user: user.name, error });
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    // Not every enhancer model can see images
+    const model = visionImages.length > 0 ? getVisionModel() : requestedModel || enhanceModels[0];
+    const context = { model, mode: modeId, style, images: visionImages.length, user: user.name };
+
+    if (isMockMode()) {
+        let enhancedPrompt;
+        if (refining) {
+            enhancedPrompt = mockRefinePrompt(prompt, instruction);
+        } else if (visionImages.length > 0) {
+            enhancedPrompt = mockEditPrompt(prompt, visionImages.map((image) => image.key), style);
+        } else {
+            enhancedPrompt = mockEnhancePrompt(prompt, modeId, style);
+        }
+        return sendMockEnhancement({ prompt, enhancedPrompt, modeId, target, stream }, res, log, { ...context, model: 'mock' });
     }
 
     const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 
     if (!OPENROUTER_API_KEY) {
+        log.error('misconfigured', { ...context, missing: 'OPENROUTER_API_KEY' });
         return res.status(500).json({ error: 'OPENROUTER_API_KEY environment variable is not configured' });
     }
+    log.debug('prompt', { ...context, prompt });
+
+    const request = {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
+            'HTTP-Referer': req.headers.referer || 'https://ai-image-generator.vercel.app',
+            'X-Title': 'AI Image Generator'
+        },
+        body: JSON.stringify({
+            model,
+            ...(refining
+                ? buildRefineRequest(prompt.trim(), instruction.trim(), conversation, style, visionImages)
+                : buildEnhanceRequest(mode, prompt.trim(), style, visionImages)),
+            stream: stream === true,
+        }),
+    };
 
     try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': req.headers.referer || 'https://ai-image-generator.vercel.app',
-                'X-Title': 'AI Image Generator'
-            },
-            body: JSON.stringify({
-                model: 'x-ai/grok-4-fast',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert prompt engineer for AI image generation. Rewrite the user\'s simple prompt into a detailed, descriptive, and artistic prompt suitable for high-quality text-to-image models. Keep it under 40 sentences. Output ONLY the raw prompt text, no markdown or conversational filler.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt.trim()
-                    }
-                ],
-                max_tokens: 500,
-                temperature: 0.7
-            }),
-        });
+        if (stream === true) {
+            // Stop paying for tokens nobody will read
+            const cancel = new AbortController();
+            res.on('close', () => cancel.abort());
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('OpenRouter API error:', errorText);
-            return res.status(response.status).json({
-                error: 'Failed to enhance prompt',
-                details: errorText
+            const response = await providerRequest(OPENROUTER_URL, { ...request, signal: cancel.signal }, 'OpenRouter', log);
+            return await sendEnhancementStream(res, (onText) => readCompletionStream(response, onText), {
+                modeId,
+                target,
+                promptLength: prompt.length,
+                log,
+                context,
             });
         }
 
-        const data = await response.json();
+        const data = await providerFetch(OPENROUTER_URL, request, 'OpenRouter', log);
 
         // Extract the content from the response
         const enhancedPrompt = data.choices?.[0]?.message?.content;
 
         if (!enhancedPrompt) {
+            log.error('empty_response', { ...context, latencyMs: log.elapsed() });
             return res.status(500).json({ error: 'No content returned from API' });
         }
 
+        log.info('completed', {
+            ...context,
+            status: 200,
+            latencyMs: log.elapsed(),
+            promptLength: prompt.length,
+            enhancedLength: enhancedPrompt.trim().length,
+        });
         return res.status(200).json({
-            enhancedPrompt: enhancedPrompt.trim()
+            enhancedPrompt: enhancedPrompt.trim(),
+            mode: modeId,
+            target,
         });
     } catch (error) {
-        console.error('Server error:', error);
+        if (error instanceof ProviderError) {
+            log.warn('failed', {
+                ...context,
+                upstreamStatus: error.status,
+                code: error.code,
+                latencyMs: log.elapsed(),
+                details: error.details,
+            });
+            return sendProviderError(res, error, 'Failed to enhance prompt');
+        }
+        log.error('failed', { ...context, latencyMs: log.elapsed(), error });
         return res.status(500).json({ error: 'Internal server error' });
     }
 }
+
+/**
+ * Check the input images sent along for the image model
+ * @param {*} images
+ * @param {Object|null} imageModel - Registry entry of the image model
+ * @returns {string|null} What is wrong with them, or null if they are usable
+ */
+function validateImages(images, imageModel) {
+    if (!Array.isArray(images) || !images.every((image) => typeof image === 'string' && image)) {
+        return 'images must be an array of image URLs';
+    }
+    if (images.length === 0) return null;
+    if (!imageModel?.input) {
+        return 'images can only be sent with an imageModel that takes input images';
+    }
+    if (images.length > imageModel.input.max) {
+        return `${imageModel.label} takes at most ${imageModel.input.max} input image${imageModel.input.max === 1 ? '' : 's'}`;
+    }
+    return null;
+}
+
+/**
+ * Stream a rewrite to the client as Server-Sent Events: `token` for each
+ * piece of text, then `done` with the whole rewrite, or `error`
+ * @param {Object} res
+ * @param {(onText: (text: string) => void) => Promise<string>} produce - Writes the rewrite, returns it whole
+ * @param {Object} options
+ * @param {string} options.modeId - Key of ENHANCE_MODES, or REFINE_MODE
+ * @param {'prompt'|'negative_prompt'} options.target - Field the rewrite replaces
+ * @param {number} options.promptLength
+ * @param {import('./_lib/logger').RequestLogger} options.log
+ * @param {Object} options.context - Fields for every log line
+ */
+async function sendEnhancementStream(res, produce, { modeId, target, promptLength, log, context }) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+
+    const sendEvent = (event, data) => {
+        if (!res.destroyed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        const enhancedPrompt = (await produce((text) => sendEvent('token', { text }))).trim();
+
+        if (!enhancedPrompt) {
+            log.error('empty_response', { ...context, latencyMs: log.elapsed() });
+            sendEvent('error', { error: 'No content returned from API' });
+        } else {
+            log.info('completed', {
+                ...context,
+                status: 200,
+                streamed: true,
+                latencyMs: log.elapsed(),
+                promptLength,
+                enhancedLength: enhancedPrompt.length,
+            });
+            sendEvent('done', { enhancedPrompt, mode: modeId, target });
+        }
+    } catch (error) {
+        if (res.destroyed) {
+            // The user cancelled (Escape) or left the page
+            log.info('client_closed', { ...context, latencyMs: log.elapsed() });
+        } else if (error instanceof ProviderError) {
+            log.warn('failed', {
+                ...context,
+                upstreamStatus: error.status,
+                code: error.code,
+                latencyMs: log.elapsed(),
+                details: error.details,
+            });
+            sendEvent('error', describeProviderError(error, 'Failed to enhance prompt'));
+        } else {
+            log.error('failed', { ...context, latencyMs: log.elapsed(), error });
+            sendEvent('error', { error: 'Internal server error' });
+        }
+    }
+
+    res.end();
+}
+
+/**
+ * Offline stand-in for the OpenRouter call (MOCK_PROVIDERS=1)
+ * @param {Object} request
+ * @param {string} request.prompt
+ * @param {string} request.enhancedPrompt - The mock rewrite
+ * @param {string} request.modeId - Key of ENHANCE_MODES, or REFINE_MODE
+ * @param {'prompt'|'negative_prompt'} request.target - Field the rewrite replaces
+ * @param {boolean} request.stream - Stream the rewrite word by word
+ * @param {Object} res
+ * @param {import('./_lib/logger').RequestLogger} log
+ * @param {Object} context - Fields for every log line
+ */
+async function sendMockEnhancement({ prompt, enhancedPrompt, modeId, target, stream }, res, log, context) {
+    // Rewrites are quick compared to image generation
+    await new Promise((resolve) => setTimeout(resolve, Math.min(getMockLatency(), 500)));
+
+    const errorStatus = getInjectedError(prompt);
+    if (errorStatus) {
+        const error = new ProviderError('Mock provider request failed', errorStatus,
+            JSON.stringify({ detail: `Injected mock error ${errorStatus}` }));
+        log.warn('failed', { ...context, upstreamStatus: errorStatus, code: error.code, latencyMs: log.elapsed() });
+        return sendProviderError(res, error, 'Failed to enhance prompt');
+    }
+
+    if (stream === true) {
+        return sendEnhancementStream(res, async (onText) => {
+            for (const word of enhancedPrompt.match(/\S+\s*/g) || []) {
+                await new Promise((resolve) => setTimeout(resolve, MOCK_TOKEN_DELAY_MS));
+                if (res.destroyed) throw new Error('Client closed the stream');
+                onText(word);
+            }
+            return enhancedPrompt;
+        }, { modeId, target, promptLength: prompt.length, log, context });
+    }
+
+    log.info('completed', {
+        ...context,
+        status: 200,
+        latencyMs: log.elapsed(),
+        promptLength: prompt.length,
+        enhancedLength: enhancedPrompt.length,
+    });
+    return res.status(200).json({ enhancedPrompt, mode: modeId, target });
+}
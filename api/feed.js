@@ -0,0 +1,59 @@
+const { createRequestLogger } = require('./_lib/logger');
+const { applyCors, authenticate } = require('./_lib/auth');
+const { isHistoryEnabled, listSharedRecords } = require('./_lib/history');
+
+/**
+ * Team feed: the newest images anyone has published from their history
+ * (see api/_lib/history.js). `GET /api/feed?limit=<n>` returns
+ * `{ images: [{ id, author, url, prompt, settings, createdAt, conversation? }] }`,
+ * newest first. The refinement conversation comes along so a remix can continue it.
+ */
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'feed');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'GET, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = authenticate(req, res, log);
+    if (!user) return;
+
+    if (!isHistoryEnabled()) {
+        return res.status(501).json({ error: 'History storage is not configured (set HISTORY_STORE)' });
+    }
+
+    const limit = Number(req.query.limit) || undefined;
+
+    try {
+        const records = await listSharedRecords(limit);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json({
+            // Spend and timings stay private to the author
+            images: records.map(({ id, owner, author, url, prompt, settings, createdAt, conversation }) => ({
+                id,
+                // Records saved before names were kept apart from owners only have the owner
+                author: author ?? owner,
+                url,
+                prompt,
+                settings,
+                createdAt,
+                ...(conversation && { conversation }),
+            })),
+        });
+    } catch (error) {
+        log.error('failed', { error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+}
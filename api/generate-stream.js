@@ -0,0 +1,254 @@
+const { prepareGeneration, splitPayload } = require('./_lib/models');
+const { getProvider, supportsJobs, describeMissingConfig, ProviderError, describeProviderError, sendProviderError } = require('./_lib/providers');
+const { submitJob, decodeJobId, getJobStatus, getJobResult } = require('./_lib/jobs');
+const { persistImages } = require('./_lib/storage');
+const { createRequestLogger } = require('./_lib/logger');
+const { applyCors, authenticate } = require('./_lib/auth');
+const { checkRateLimit, getImageUnits, reserveQuota } = require('./_lib/limits');
+
+const STATUS_POLL_INTERVAL_MS = 1000;
+
+/**
+ * Streaming variant of /api/generate.
+ *
+ * Submits one queue job per requested image and reports progress as
+ * Server-Sent Events until every job has finished. Providers without a
+ * queue run each image as a direct call instead, reported with `id: null`.
+ *   job    { index, id, numImages }         - job submitted (can be polled via /api/jobs/:id)
+ *   status { index, status, queuePosition } - IN_QUEUE / IN_PROGRESS transitions
+ *   log    { index, message }               - model log lines
+ *   image  { index, images }                - output of one job, as soon as it is ready
+ *   error  { index, error, code, reason }   - one job failed (see api/_lib/providers/http.js)
+ *   done   {}                               - all jobs finished
+ */
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'generate-stream');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'POST, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = authenticate(req, res, log);
+    if (!user) return;
+
+    if (!checkRateLimit(req, res, user, 'generate')) {
+        log.warn('rate_limited', { user: user.name });
+        return;
+    }
+
+    const { model, payload, error: validationError } = prepareGeneration(req.body);
+    if (validationError) {
+        log.info('rejected', { status: 400, reason: validationError });
+        return res.status(400).json({ error: validationError });
+    }
+
+    const provider = getProvider(model);
+    const context = { model: model.id, provider: provider.id, user: user.name };
+    if (!provider.isConfigured()) {
+        log.error('misconfigured', { ...context, missing: provider.requiredEnv });
+        return res.status(500).json({ error: describeMissingConfig(provider) });
+    }
+
+    const units = getImageUnits(model, payload);
+    const quota = reserveQuota(req, res, user, units);
+    if (!quota) {
+        log.warn('quota_exceeded', { ...context, units });
+        return;
+    }
+
+    log.debug('payload', { ...context, payload });
+    const queued = supportsJobs(provider);
+
+    // Submit every job before opening the stream so submission errors get a normal status code
+    const singles = splitPayload(model, payload);
+    const submissions = await Promise.allSettled(singles.map((single) => (
+        queued ? submitJob(model, single, log) : { id: null }
+    )));
+    const jobs = submissions.map((submission, index) => ({
+        index,
+        id: submission.status === 'fulfilled' ? submission.value.id : null,
+        payload: singles[index],
+        numImages: singles[index].num_images || singles[index].max_images || 1,
+        lastStatus: null,
+        lastQueuePosition: null,
+        logCount: 0,
+        finished: false,
+        imageCount: 0,
+        failed: false,
+    }));
+
+    // Nothing was accepted: fail the request. Otherwise the accepted jobs are
+    // running (and billed) upstream, so stream them and report the rest as failed
+    const rejected = submissions.filter((submission) => submission.status === 'rejected');
+    if (rejected.length === submissions.length) {
+        const error = rejected[0].reason;
+        quota.refund(units);
+        if (error instanceof ProviderError) {
+            log.warn('submit_failed', {
+                ...context,
+                upstreamStatus: error.status,
+                code: error.code,
+                latencyMs: log.elapsed(),
+                details: error.details,
+            });
+            return sendProviderError(res, error, 'Failed to submit generation job');
+        }
+        log.error('submit_failed', { ...context, latencyMs: log.elapsed(), error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    log.info('submitted', { ...context, jobCount: jobs.length - rejected.length, failedJobs: rejected.length, latencyMs: log.elapsed() });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+
+    // Jobs keep running upstream if the client goes away; it can resume them by ID
+    let clientClosed = false;
+    // The request has already closed once its body was read; the response closes with the connection
+    res.on('close', () => {
+        clientClosed = true;
+    });
+
+    const sendEvent = (event, data) => {
+        if (!clientClosed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    jobs.forEach(({ index, id, numImages }) => sendEvent('job', { index, id, numImages }));
+    submissions.forEach((submission, index) => {
+        if (submission.status === 'rejected') reportError(jobs[index], submission.reason, sendEvent, log);
+    });
+
+    if (queued) {
+        let pending = jobs.filter((job) => !job.finished);
+        while (pending.length > 0 && !clientClosed) {
+            await Promise.all(pending.map((job) => pollJob(job, sendEvent, log)));
+            pending = pending.filter((job) => !job.finished);
+            if (pending.length > 0) {
+                await new Promise((resolve) => setTimeout(resolve, STATUS_POLL_INTERVAL_MS));
+            }
+        }
+    } else {
+        // Direct calls can't be resumed by ID, so wait for them even after the
+        // client leaves: only then is it known which images to refund
+        await Promise.all(jobs.map((job) => runDirect(provider, model, job, sendEvent, log)));
+    }
+
+    // Failed images don't count against the quota
+    jobs.filter((job) => job.failed).forEach((job) => quota.refund(getImageUnits(model, job.payload)));
+
+    log.info(clientClosed ? 'client_closed' : 'completed', {
+        ...context,
+        status: 200,
+        latencyMs: log.elapsed(),
+        imageCount: jobs.reduce((sum, job) => sum + job.imageCount, 0),
+        failedJobs: jobs.filter((job) => job.failed).length,
+        promptLength: payload.prompt.length,
+    });
+
+    sendEvent('done', {});
+    res.end();
+}
+
+/**
+ * Poll one job once and emit any status, log, image or error events
+ * @param {Object} job - Stream job state (status fields are updated in place)
+ * @param {(event: string, data: Object) => void} sendEvent
+ * @param {import('./_lib/logger').RequestLogger} log
+ */
+async function pollJob(job, sendEvent, log) {
+    const { index } = job;
+    const decoded = decodeJobId(job.id);
+
+    try {
+        const { status, queuePosition, logs } = await getJobStatus(decoded, log);
+
+        if (status !== job.lastStatus || queuePosition !== job.lastQueuePosition) {
+            job.lastStatus = status;
+            job.lastQueuePosition = queuePosition;
+            sendEvent('status', { index, status, queuePosition });
+        }
+
+        logs.slice(job.logCount).forEach((log) => sendEvent('log', { index, message: log.message }));
+        job.logCount = logs.length;
+
+        if (status === 'COMPLETED') {
+            const data = await persistImages(await getJobResult(decoded, log), log);
+            reportImages(job, data.images || [], sendEvent);
+        }
+    } catch (error) {
+        reportError(job, error, sendEvent, log);
+    }
+}
+
+/**
+ * Run one image on a provider without a queue, reporting it when the call returns
+ * @param {Object} provider
+ * @param {Object} model - Registry entry
+ * @param {Object} job - Stream job state (`finished` is set when the call settles)
+ * @param {(event: string, data: Object) => void} sendEvent
+ * @param {import('./_lib/logger').RequestLogger} log
+ */
+async function runDirect(provider, model, job, sendEvent, log) {
+    const { index } = job;
+    sendEvent('status', { index, status: 'IN_PROGRESS', queuePosition: null });
+
+    try {
+        const data = await persistImages(await provider.generate(model, job.payload, log), log);
+        reportImages(job, data.images || [], sendEvent);
+    } catch (error) {
+        reportError(job, error, sendEvent, log);
+    }
+}
+
+/**
+ * Report a job's output and mark it finished
+ * @param {Object} job - Stream job state
+ * @param {Object[]} images
+ * @param {(event: string, data: Object) => void} sendEvent
+ */
+function reportImages(job, images, sendEvent) {
+    sendEvent('image', { index: job.index, images });
+    job.imageCount = images.length;
+    job.finished = true;
+}
+
+/**
+ * Report a failed job and mark it finished
+ * @param {Object} job - Stream job state
+ * @param {Error} error
+ * @param {(event: string, data: Object) => void} sendEvent
+ * @param {import('./_lib/logger').RequestLogger} log
+ */
+function reportError(job, error, sendEvent, log) {
+    if (error instanceof ProviderError) {
+        log.warn('job_failed', {
+            index: job.index,
+            upstreamStatus: error.status,
+            code: error.code,
+            latencyMs: log.elapsed(),
+            details: error.details,
+        });
+    } else {
+        log.error('job_failed', { index: job.index, latencyMs: log.elapsed(), error });
+    }
+    sendEvent('error', { index: job.index, ...describeProviderError(error, 'Failed to generate image') });
+    job.failed = true;
+    job.finished = true;
+}
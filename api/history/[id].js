@@ -0,0 +1,83 @@
+const { createRequestLogger } = require('../_lib/logger');
+const { applyCors, authenticate } = require('../_lib/auth');
+const {
+    isHistoryEnabled,
+    isValidRecordId,
+    validateRecord,
+    getRecord,
+    putRecord,
+    deleteRecord,
+} = require('../_lib/history');
+
+/**
+ * One generation history record (see api/_lib/history.js).
+ *   GET    - the record
+ *   PUT    - create or replace it; IDs are chosen by the client, so retries are safe
+ *   DELETE - delete it (other devices pick up the deletion on their next sync)
+ */
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'history-record');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'GET, PUT, DELETE, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = authenticate(req, res, log);
+    if (!user) return;
+
+    if (!isHistoryEnabled()) {
+        return res.status(501).json({ error: 'History storage is not configured (set HISTORY_STORE)' });
+    }
+
+    const id = req.query.id;
+    if (!isValidRecordId(id)) {
+        return res.status(400).json({ error: 'Invalid history ID' });
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const record = await getRecord(user.id, id);
+            if (!record) {
+                return res.status(404).json({ error: 'History record not found' });
+            }
+            res.setHeader('Cache-Control', 'no-store');
+            return res.status(200).json(record);
+        }
+
+        if (req.method === 'DELETE') {
+            const deleted = await deleteRecord(user.id, id);
+            if (!deleted) {
+                return res.status(404).json({ error: 'History record not found' });
+            }
+            return res.status(200).json({ id, deleted: true });
+        }
+
+        const { fields, error: validationError } = validateRecord(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { record, error } = await putRecord(user.id, id, { ...fields, author: user.name });
+        if (error === 'forbidden') {
+            return res.status(403).json({ error: 'This record belongs to another user' });
+        }
+        if (error === 'gone') {
+            return res.status(410).json({ error: 'This record has been deleted' });
+        }
+        return res.status(200).json(record);
+    } catch (error) {
+        log.error('failed', { method: req.method, error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+}
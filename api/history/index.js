@@ -0,0 +1,46 @@
+const { createRequestLogger } = require('../_lib/logger');
+const { applyCors, authenticate } = require('../_lib/auth');
+const { isHistoryEnabled, listRecords } = require('../_lib/history');
+
+/**
+ * List generation history changed since a sync cursor (see api/_lib/history.js).
+ * `GET /api/history?after=<cursor>` returns `{ records, cursor, hasMore }`;
+ * deleted records come back as `{ id, deleted: true }` tombstones.
+ */
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'history');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'GET, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = authenticate(req, res, log);
+    if (!user) return;
+
+    if (!isHistoryEnabled()) {
+        return res.status(501).json({ error: 'History storage is not configured (set HISTORY_STORE)' });
+    }
+
+    const after = Number(req.query.after) || 0;
+    const limit = Number(req.query.limit) || undefined;
+
+    try {
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json(await listRecords(user.id, after, limit));
+    } catch (error) {
+        log.error('failed', { error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+}
@@ -0,0 +1,43 @@
+const { readImage } = require('../_lib/storage');
+const { createRequestLogger } = require('../_lib/logger');
+const { applyCors } = require('../_lib/auth');
+
+/**
+ * Serve an image persisted by api/_lib/storage.js.
+ * IDs are content hashes, so responses can be cached forever.
+ */
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'images');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'GET, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const image = await readImage(req.query.id);
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        res.setHeader('Content-Type', image.contentType);
+        res.setHeader('Content-Length', image.body.length);
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        return res.status(200).send(image.body);
+    } catch (error) {
+        log.error('failed', { error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+}
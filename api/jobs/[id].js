@@ -0,0 +1,59 @@
+const { getProvider, describeMissingConfig, ProviderError, sendProviderError } = require('../_lib/providers');
+const { decodeJobId, getJobStatus, cancelJob } = require('../_lib/jobs');
+const { createRequestLogger } = require('../_lib/logger');
+const { applyCors, authenticate } = require('../_lib/auth');
+
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'job');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'GET, DELETE, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // GET returns status, DELETE cancels
+    if (req.method !== 'GET' && req.method !== 'DELETE') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!authenticate(req, res, log)) return;
+
+    const jobId = req.query.id;
+    const job = decodeJobId(jobId);
+    if (!job) {
+        log.info('rejected', { status: 400, reason: 'invalid job ID' });
+        return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const provider = getProvider(job.model);
+    if (!provider.isConfigured()) {
+        log.error('misconfigured', { model: job.model.id, provider: provider.id, missing: provider.requiredEnv });
+        return res.status(500).json({ error: describeMissingConfig(provider) });
+    }
+
+    try {
+        if (req.method === 'DELETE') {
+            await cancelJob(job, log);
+            return res.status(200).json({ id: jobId, status: 'CANCELLED' });
+        }
+
+        const status = await getJobStatus(job, log);
+        // Status changes constantly; never let a cache serve a stale one
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json({ id: jobId, ...status });
+    } catch (error) {
+        const context = { model: job.model.id, provider: provider.id, method: req.method };
+        if (error instanceof ProviderError) {
+            log.warn('failed', { ...context, upstreamStatus: error.status, code: error.code, details: error.details });
+            return sendProviderError(res, error, req.method === 'DELETE' ? 'Failed to cancel job' : 'Failed to get job status');
+        }
+        log.error('failed', { ...context, error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+}
@@ -0,0 +1,52 @@
+const { getProvider, describeMissingConfig, ProviderError, sendProviderError } = require('../../_lib/providers');
+const { decodeJobId, getJobResult } = require('../../_lib/jobs');
+const { persistImages } = require('../../_lib/storage');
+const { createRequestLogger } = require('../../_lib/logger');
+const { applyCors, authenticate } = require('../../_lib/auth');
+
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'job-result');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'GET, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!authenticate(req, res, log)) return;
+
+    const job = decodeJobId(req.query.id);
+    if (!job) {
+        log.info('rejected', { status: 400, reason: 'invalid job ID' });
+        return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const provider = getProvider(job.model);
+    if (!provider.isConfigured()) {
+        log.error('misconfigured', { model: job.model.id, provider: provider.id, missing: provider.requiredEnv });
+        return res.status(500).json({ error: describeMissingConfig(provider) });
+    }
+
+    try {
+        const data = await persistImages(await getJobResult(job, log), log);
+        return res.status(200).json(data);
+    } catch (error) {
+        const context = { model: job.model.id, provider: provider.id };
+        if (error instanceof ProviderError) {
+            log.warn('failed', { ...context, upstreamStatus: error.status, code: error.code, details: error.details });
+            return sendProviderError(res, error, 'Failed to generate image');
+        }
+        log.error('failed', { ...context, error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+}
@@ -0,0 +1,77 @@
+const { prepareGeneration } = require('../_lib/models');
+const { getProvider, supportsJobs, describeMissingConfig, ProviderError, sendProviderError } = require('../_lib/providers');
+const { submitJob } = require('../_lib/jobs');
+const { createRequestLogger } = require('../_lib/logger');
+const { applyCors, authenticate } = require('../_lib/auth');
+const { checkRateLimit, getImageUnits, reserveQuota } = require('../_lib/limits');
+
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'jobs');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'POST, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = authenticate(req, res, log);
+    if (!user) return;
+    if (!checkRateLimit(req, res, user, 'generate')) {
+        log.warn('rate_limited', { user: user.name });
+        return;
+    }
+
+    const { model, payload, error: validationError } = prepareGeneration(req.body);
+    if (validationError) {
+        log.info('rejected', { status: 400, reason: validationError });
+        return res.status(400).json({ error: validationError });
+    }
+
+    const provider = getProvider(model);
+    const context = { model: model.id, provider: provider.id, user: user.name };
+    if (!provider.isConfigured()) {
+        log.error('misconfigured', { ...context, missing: provider.requiredEnv });
+        return res.status(500).json({ error: describeMissingConfig(provider) });
+    }
+    if (!supportsJobs(provider)) {
+        log.info('rejected', { ...context, status: 400, reason: 'queued jobs not supported' });
+        return res.status(400).json({ error: `${model.label} does not support queued jobs; use /api/generate-stream` });
+    }
+
+    const units = getImageUnits(model, payload);
+    const quota = reserveQuota(req, res, user, units);
+    if (!quota) {
+        log.warn('quota_exceeded', { ...context, units });
+        return;
+    }
+
+    try {
+        const job = await submitJob(model, payload, log);
+        log.info('submitted', { ...context, status: 202, latencyMs: log.elapsed() });
+        return res.status(202).json(job);
+    } catch (error) {
+        quota.refund(units);
+        if (error instanceof ProviderError) {
+            log.warn('failed', {
+                ...context,
+                upstreamStatus: error.status,
+                code: error.code,
+                latencyMs: log.elapsed(),
+                details: error.details,
+            });
+            return sendProviderError(res, error, 'Failed to submit generation job');
+        }
+        log.error('failed', { ...context, latencyMs: log.elapsed(), error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+}
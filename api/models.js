@@ -0,0 +1,31 @@
+const { MODELS, DEFAULT_MODEL_ID, toPublicModel } = require('./_lib/models');
+const { createRequestLogger } = require('./_lib/logger');
+const { applyCors } = require('./_lib/auth');
+
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'models');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'GET, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // The registry only changes on deploy, so let browsers cache it briefly
+    res.setHeader('Cache-Control', 'public, max-age=300');
+
+    return res.status(200).json({
+        defaultModel: DEFAULT_MODEL_ID,
+        models: MODELS.map(toPublicModel)
+    });
+}
@@ -0,0 +1,69 @@
+const { isAuthEnabled, isSessionSigningEnabled, checkCredentials, startSession, endSession, getUser, applyCors } = require('./_lib/auth');
+const { createRequestLogger } = require('./_lib/logger');
+
+/** Slows down password guessing */
+const FAILED_LOGIN_DELAY_MS = 1000;
+
+/**
+ * Sign in and out of the app (see api/_lib/auth.js).
+ *   GET    - `{ authEnabled, user }`, user is null when signed out
+ *   POST   - `{ password, name }` signs in with the shared password or an API token
+ *   DELETE - signs out
+ */
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'session');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'GET, POST, DELETE, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Sessions are per browser; never cache them
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'GET') {
+        const user = getUser(req);
+        return res.status(200).json({ authEnabled: isAuthEnabled(), user: user?.name ? user : null });
+    }
+
+    if (req.method === 'DELETE') {
+        endSession(req, res);
+        return res.status(200).json({ authEnabled: isAuthEnabled(), user: null });
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!isAuthEnabled()) {
+        return res.status(400).json({ error: 'Sign-in is not enabled on this server' });
+    }
+
+    if (!isSessionSigningEnabled()) {
+        log.error('misconfigured', { missing: 'AUTH_SECRET' });
+        return res.status(500).json({ error: 'Sign-in is not configured on this server' });
+    }
+
+    const { password, name } = req.body || {};
+    const { user, error } = checkCredentials(password, name);
+
+    if (error === 'name_taken') {
+        log.info('rejected', { status: 400, reason: 'name_taken' });
+        return res.status(400).json({ error: 'That name belongs to an API token user; choose another', code: 'name_taken' });
+    }
+    if (!user) {
+        log.warn('login_failed', { status: 401 });
+        await new Promise((resolve) => setTimeout(resolve, FAILED_LOGIN_DELAY_MS));
+        return res.status(401).json({ error: 'Incorrect password', code: 'invalid_credentials' });
+    }
+
+    startSession(req, res, user);
+    log.info('login', { user: user.name });
+    return res.status(200).json({ authEnabled: true, user });
+}
@@ -0,0 +1,139 @@
+const falProvider = require('./_lib/providers/fal');
+const { ProviderError, sendProviderError } = require('./_lib/providers');
+const { isMockMode } = require('./_lib/mock');
+const { saveImage } = require('./_lib/storage');
+const { detectImage } = require('./_lib/image-info');
+const { readMultipart, BodyError } = require('./_lib/multipart');
+const { createRequestLogger } = require('./_lib/logger');
+const { applyCors, authenticate } = require('./_lib/auth');
+const { checkRateLimit } = require('./_lib/limits');
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MIN_DIMENSION = 64;
+const MAX_DIMENSION = 8192;
+
+/**
+ * Upload an input image for edit / reference models.
+ *
+ * Accepts multipart/form-data with one `file` field (PNG, JPEG or WebP, up
+ * to 10MB and 64-8192px per side) and returns `{ url, contentType, width,
+ * height, size }`. The URL goes into `image_url` / `image_urls` of a generate
+ * request instead of an inline data URI.
+ *
+ * Files go to Fal storage when FAL_KEY is set, otherwise to the image storage
+ * backend (IMAGE_STORAGE). With neither, responds 501 and the client falls
+ * back to sending a data URI.
+ */
+module.exports = async function handler(req, res) {
+    const log = createRequestLogger(req, res, 'upload');
+
+    // Set CORS headers
+    if (!applyCors(req, res, 'POST, OPTIONS')) {
+        log.info('rejected', { status: 403, reason: 'origin_not_allowed' });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const user = authenticate(req, res, log);
+    if (!user) return;
+
+    if (!checkRateLimit(req, res, user, 'upload')) {
+        log.warn('rate_limited', { user: user.name });
+        return;
+    }
+
+    try {
+        // Leave room for the multipart framing around the file
+        const parts = await readMultipart(req, MAX_UPLOAD_BYTES + 64 * 1024);
+        const file = parts.find((part) => part.name === 'file' && part.filename !== null);
+
+        if (!file || file.data.length === 0) {
+            return res.status(400).json({ error: 'No file uploaded (expected a `file` field)' });
+        }
+        if (file.data.length > MAX_UPLOAD_BYTES) {
+            return res.status(413).json({ error: 'Image file is too large (max 10MB)' });
+        }
+
+        // Trust the bytes, not the declared content type
+        const image = detectImage(file.data);
+        if (!image) {
+            return res.status(415).json({ error: 'Unsupported image type (use PNG, JPEG or WebP)' });
+        }
+
+        const { width, height } = image;
+        if (Math.min(width, height) < MIN_DIMENSION || Math.max(width, height) > MAX_DIMENSION) {
+            return res.status(422).json({
+                error: `Image must be between ${MIN_DIMENSION} and ${MAX_DIMENSION} pixels per side (got ${width}x${height})`
+            });
+        }
+
+        const url = await storeUpload(req, file, image.contentType, log);
+        if (!url) {
+            return res.status(501).json({ error: 'No upload storage configured (set FAL_KEY or IMAGE_STORAGE)' });
+        }
+
+        return res.status(200).json({
+            url,
+            contentType: image.contentType,
+            width,
+            height,
+            size: file.data.length,
+        });
+    } catch (error) {
+        if (error instanceof BodyError) {
+            return res.status(error.status).json({
+                error: error.status === 413 ? 'Image file is too large (max 10MB)' : error.message
+            });
+        }
+        if (error instanceof ProviderError) {
+            log.warn('failed', { provider: 'fal', upstreamStatus: error.status, code: error.code, details: error.details });
+            return sendProviderError(res, error, 'Failed to upload image');
+        }
+        log.error('failed', { error });
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Store an uploaded file where providers can fetch it
+ * @param {import('http').IncomingMessage} req
+ * @param {import('./_lib/multipart').MultipartPart} file
+ * @param {string} contentType - Detected content type
+ * @param {import('./_lib/logger').RequestLogger} log
+ * @returns {Promise<string|null>} Absolute URL, or null if no storage is available
+ */
+async function storeUpload(req, file, contentType, log) {
+    if (falProvider.isConfigured() && !isMockMode()) {
+        return falProvider.uploadFile(file.data, contentType, file.filename || 'upload', log);
+    }
+
+    const path = await saveImage(file.data, contentType);
+    if (!path) return null;
+
+    // Providers fetch input images themselves, so the URL must be absolute
+    const origin = process.env.PUBLIC_URL || getRequestOrigin(req);
+    return `${origin.replace(/\/+$/, '')}${path}`;
+}
+
+/**
+ * Origin the request was made to. X-Forwarded-Proto and X-Forwarded-Host can
+ * be set by anyone, so like client addresses (api/_lib/limits.js) they are
+ * only read on Vercel or with TRUST_PROXY set.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+function getRequestOrigin(req) {
+    const trusted = Boolean(process.env.VERCEL || process.env.TRUST_PROXY);
+    const protocol = (trusted && req.headers['x-forwarded-proto']) || (req.socket?.encrypted ? 'https' : 'http');
+    const host = (trusted && req.headers['x-forwarded-host']) || req.headers.host;
+    return `${protocol}://${host}`;
+}
@@ -3,11 +3,20 @@
  */
 
 const API_ENDPOINT = '/api/generate';
+const STREAM_ENDPOINT = '/api/generate-stream';
 const ENHANCE_ENDPOINT = '/api/enhance';
+const DESCRIBE_ENDPOINT = '/api/describe';
+const MODELS_ENDPOINT = '/api/models';
+const JOBS_ENDPOINT = '/api/jobs';
+const UPLOAD_ENDPOINT = '/api/upload';
+const SESSION_ENDPOINT = '/api/session';
+const HISTORY_ENDPOINT = '/api/history';
+const FEED_ENDPOINT = '/api/feed';
+const JOB_POLL_INTERVAL_MS = 1500;
 
 /**
  * @typedef {Object} GenerateOptions
- * @property {string} [model] - Model to use (z-image-turbo, wan-26-text-to-image, wan-26-image-to-image, nano-banana-pro-edit, fibo, etc.)
+ * @property {string} [model] - Model ID from the registry (see fetchModels)
  * @property {string} [image_size] - Image size preset or custom dimensions
  * @property {number} [num_inference_steps] - Number of inference steps
  * @property {number} [seed] - Seed for reproducibility
@@ -20,8 +29,8 @@ const ENHANCE_ENDPOINT = '/api/enhance';
  * @property {number} [guidance_scale] - CFG scale (Qwen, FLUX Kontext, Fibo)
  * @property {string} [negative_prompt] - Negative prompt (Qwen, HiDream, Wan, Fibo)
  * @property {boolean} [use_turbo] - Turbo mode (Qwen only)
- * @property {string} [image_url] - Input image URL or data URI for editing (Qwen, FLUX Kontext, Wan text-to-image, Fibo)
- * @property {string[]} [image_urls] - Input image URLs/data URIs list (Seedream 4.5 Edit, Wan image-to-image, Nano Banana Pro)
+ * @property {string} [image_url] - Input image URL from uploadImage for editing (Qwen, FLUX Kontext, Wan text-to-image, Fibo)
+ * @property {string[]} [image_urls] - Input image URLs from uploadImage (Seedream 4.5 Edit, Wan image-to-image, Nano Banana Pro)
  * @property {string} [aspect_ratio] - Aspect ratio (FLUX Kontext, Nano Banana Pro, Fibo)
  * @property {string} [safety_tolerance] - Safety tolerance level 1-6 (FLUX Kontext only)
  * @property {boolean} [enhance_prompt] - Enhance prompt (FLUX Kontext, Wan image-to-image)
@@ -36,13 +45,110 @@ const ENHANCE_ENDPOINT = '/api/enhance';
  */
 
 /**
- * Generate an image from a prompt
- * @param {string} prompt - Image description prompt
- * @param {GenerateOptions} [options] - Optional generation parameters
- * @returns {Promise<GenerateResponse>}
- * @throws {Error} If generation fails
+ * @typedef {Object} UploadResponse
+ * @property {string} url - URL to pass as `image_url` / `image_urls`
+ * @property {string} contentType - Detected image type
+ * @property {number} width
+ * @property {number} height
+ * @property {number} size - File size in bytes
  */
-export async function generateImage(prompt, options = {}) {
+
+/**
+ * @typedef {Object} JobStatus
+ * @property {string} id - Job ID
+ * @property {string} status - IN_QUEUE, IN_PROGRESS, COMPLETED or CANCELLED
+ * @property {number|null} [queuePosition] - Position in the queue while IN_QUEUE
+ * @property {Array<{message: string, level: string, timestamp: string}>} [logs] - Model logs
+ */
+
+/**
+ * @typedef {Object} QuotaInfo
+ * @property {'day'|'month'} period - Which quota ran out
+ * @property {number} limit - Images allowed per period (a 2K image counts as 2, 4K as 4)
+ * @property {number} remaining - Images left this period
+ * @property {number} requested - Images the rejected request needed
+ * @property {string} resetAt - ISO time the quota resets
+ */
+
+/**
+ * Error from an API call. Provider failures carry a normalized `code`
+ * (rate_limited, invalid_input, content_blocked, provider_down or timeout;
+ * see api/_lib/providers/http.js) so the UI can say what to do about them.
+ * Our own limits use `too_many_requests` and `quota_exceeded` (with `quota`;
+ * see api/_lib/limits.js). `requestId` is the server's X-Request-Id, for
+ * finding the request in the logs.
+ * @typedef {Error & {status?: number, code?: string, reason?: string, retryAfter?: number, quota?: QuotaInfo, requestId?: string}} ApiError
+ */
+
+/** @type {((error: ApiError) => void)|null} */
+let unauthorizedHandler = null;
+
+/**
+ * Register a callback for requests rejected because the user is signed out
+ * (auth is enabled and the session is missing or expired)
+ * @param {(error: ApiError) => void} handler
+ */
+export function onUnauthorized(handler) {
+    unauthorizedHandler = handler;
+}
+
+/**
+ * Build an ApiError from a failed response
+ * @param {Response} response
+ * @returns {Promise<ApiError>}
+ */
+async function toApiError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    error.code = errorData.code;
+    error.reason = errorData.reason;
+    error.retryAfter = errorData.retryAfter;
+    error.quota = errorData.quota;
+    error.requestId = response.headers.get('X-Request-Id') || undefined;
+    if (error.code === 'unauthorized' && unauthorizedHandler) {
+        unauthorizedHandler(error);
+    }
+    return error;
+}
+
+/**
+ * Send a JSON request and parse the JSON response
+ * @param {string} url - Endpoint URL
+ * @param {RequestInit} [options] - Fetch options
+ * @returns {Promise<Object>}
+ * @throws {ApiError} With the server's error message if the response is not ok
+ */
+async function requestJson(url, options = {}) {
+    try {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...options.headers,
+            },
+        });
+
+        if (!response.ok) {
+            throw await toApiError(response);
+        }
+
+        return await response.json();
+    } catch (error) {
+        if (error.name === 'TypeError' && error.message.includes('fetch')) {
+            throw new Error('Network error: please check your connection');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Validate a prompt and build the generation request body
+ * @param {string} prompt
+ * @param {GenerateOptions} options
+ * @returns {Object}
+ */
+function buildGenerateBody(prompt, options) {
     if (!prompt || typeof prompt !== 'string') {
         throw new Error('Prompt is required');
     }
@@ -52,49 +158,254 @@ export async function generateImage(prompt, options = {}) {
         throw new Error('Prompt cannot be empty');
     }
 
-    // Build request body with prompt and options
-    const requestBody = {
+    return {
         prompt: trimmedPrompt,
         ...options
     };
+}
+
+/**
+ * Validate that a generation response contains images
+ * @param {Object} data - Response body
+ * @returns {GenerateResponse}
+ */
+function assertImages(data) {
+    if (!data.images || !Array.isArray(data.images) || data.images.length === 0) {
+        throw new Error('Invalid response: no images returned');
+    }
+    return data;
+}
 
+/**
+ * Upload an input image so generate requests can reference it by URL
+ * instead of carrying it inline as a data URI
+ * @param {File} file - PNG, JPEG or WebP image (max 10MB)
+ * @returns {Promise<UploadResponse>}
+ * @throws {ApiError} If the upload is rejected; `error.status` holds the HTTP status
+ *   (501 means the server has no upload storage configured)
+ */
+export async function uploadImage(file) {
+    const formData = new FormData();
+    formData.append('file', file, file.name);
+
+    let response;
     try {
-        const response = await fetch(API_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestBody),
-        });
+        // No Content-Type header: the browser sets the multipart boundary
+        response = await fetch(UPLOAD_ENDPOINT, { method: 'POST', body: formData });
+    } catch (error) {
+        if (error.name === 'TypeError' && error.message.includes('fetch')) {
+            throw new Error('Network error: please check your connection');
+        }
+        throw error;
+    }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    if (!response.ok) {
+        throw await toApiError(response);
+    }
+
+    return response.json();
+}
+
+/**
+ * Get the status of a generation job
+ * @param {string} jobId
+ * @returns {Promise<JobStatus>}
+ */
+export async function getJobStatus(jobId) {
+    return requestJson(`${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}`);
+}
+
+/**
+ * Get the images of a completed generation job
+ * @param {string} jobId
+ * @returns {Promise<GenerateResponse>}
+ */
+export async function getJobResult(jobId) {
+    return assertImages(await requestJson(`${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}/result`));
+}
+
+/**
+ * Poll a job until it completes and return its images
+ * @param {string} jobId
+ * @param {Object} [options]
+ * @param {(status: JobStatus) => void} [options.onStatus] - Called after every poll
+ * @param {AbortSignal} [options.signal] - Stops polling when aborted
+ * @returns {Promise<GenerateResponse>}
+ * @throws {Error} If the job is cancelled, fails, or polling is aborted
+ */
+export async function waitForJob(jobId, { onStatus, signal } = {}) {
+    while (true) {
+        if (signal?.aborted) {
+            throw new Error('Generation cancelled');
         }
 
-        const data = await response.json();
+        const status = await getJobStatus(jobId);
+        onStatus?.(status);
 
-        // Validate response structure
-        if (!data.images || !Array.isArray(data.images) || data.images.length === 0) {
-            throw new Error('Invalid response: no images returned');
+        if (status.status === 'COMPLETED') {
+            return getJobResult(jobId);
+        }
+        if (status.status === 'CANCELLED') {
+            throw new Error('Generation cancelled');
         }
 
-        return data;
+        await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+}
+
+/**
+ * Read Server-Sent Events from a fetch response body
+ * @param {Response} response - Response with a text/event-stream body
+ * @param {(event: string, data: Object) => void} onEvent - Called once per event
+ */
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            frame.split('\n').forEach((line) => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+
+            if (data) {
+                onEvent(event, JSON.parse(data));
+            }
+        }
+    }
+}
+
+/**
+ * Generate images with live progress. One queue job is submitted per image
+ * and progress arrives as events (see api/generate-stream.js):
+ * `job`, `status`, `log`, `image`, `error` and `done`, each tagged with the
+ * image `index`; `error` events also carry the stream's `requestId`.
+ * Resolves when the stream ends; jobs that have not reported an image or
+ * error by then can still be awaited with waitForJob (unless their `job`
+ * event had a null ID, which means the provider has no queue).
+ * @param {string} prompt - Image description prompt
+ * @param {GenerateOptions} options - Generation parameters
+ * @param {Object} handlers
+ * @param {(event: string, data: Object) => void} handlers.onEvent - Called for every event
+ * @param {AbortSignal} [handlers.signal] - Aborts the stream (jobs keep running)
+ * @returns {Promise<void>}
+ * @throws {ApiError} If the generation cannot be started
+ */
+export async function streamGeneration(prompt, options, { onEvent, signal } = {}) {
+    const body = buildGenerateBody(prompt, options);
+
+    let response;
+    try {
+        response = await fetch(STREAM_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+            },
+            body: JSON.stringify(body),
+            signal,
+        });
     } catch (error) {
         if (error.name === 'TypeError' && error.message.includes('fetch')) {
             throw new Error('Network error: please check your connection');
         }
         throw error;
     }
+
+    if (!response.ok) {
+        throw await toApiError(response);
+    }
+
+    const requestId = response.headers.get('X-Request-Id') || undefined;
+    await readEventStream(response, (event, data) => {
+        onEvent(event, event === 'error' ? { ...data, requestId } : data);
+    });
+}
+
+/**
+ * Generate an image from a prompt
+ * @param {string} prompt - Image description prompt
+ * @param {GenerateOptions} [options] - Optional generation parameters
+ * @returns {Promise<GenerateResponse>}
+ * @throws {Error} If generation fails
+ */
+export async function generateImage(prompt, options = {}) {
+    const data = await requestJson(API_ENDPOINT, {
+        method: 'POST',
+        body: JSON.stringify(buildGenerateBody(prompt, options)),
+    });
+
+    return assertImages(data);
+}
+
+/**
+ * @typedef {Object} EnhanceMode
+ * @property {string} id - e.g. expand, shorten, negative
+ * @property {string} label - Shown in the enhance menu
+ * @property {'prompt'|'negative_prompt'} target - Settings field the result replaces
+ * @property {boolean} visual - Looks at an edit model's input images when they are sent
+ */
+
+/**
+ * One turn of a refinement conversation
+ * @typedef {Object} RefineTurn
+ * @property {string} instruction - The change asked for, e.g. "make it night time"
+ * @property {string} prompt - The updated prompt that came back
+ */
+
+/**
+ * @typedef {Object} EnhanceOptions
+ * @property {EnhanceMode[]} modes
+ * @property {string[]} models - Enhancer models (OpenRouter IDs), default first
+ * @property {string} defaultMode
+ */
+
+/**
+ * @typedef {Object} EnhanceResult
+ * @property {string} enhancedPrompt
+ * @property {string} mode
+ * @property {'prompt'|'negative_prompt'} target - Settings field the result replaces
+ */
+
+/**
+ * Fetch the enhancement modes and enhancer models the server offers
+ * @returns {Promise<EnhanceOptions>}
+ */
+export async function fetchEnhanceOptions() {
+    return requestJson(ENHANCE_ENDPOINT);
 }
 
 /**
- * Enhance a prompt using AI
+ * Enhance a prompt using AI. With `onToken` the rewrite is streamed and
+ * each piece of text is passed on as it is written (see api/enhance.js).
  * @param {string} currentPrompt - The current prompt to enhance
- * @returns {Promise<string>} The enhanced prompt
- * @throws {Error} If enhancement fails
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Enhancement mode (server default: expand)
+ * @param {string} [options.model] - Enhancer model (server default: the first configured)
+ * @param {string} [options.imageModel] - Image model the prompt is for, to match its prompting style
+ * @param {string[]} [options.images] - Input images of an edit model, so the rewrite can refer to what is in them
+ * @param {string} [options.instruction] - Refine instead: the change to apply to the prompt
+ * @param {RefineTurn[]} [options.conversation] - Earlier refinement turns, oldest first
+ * @param {(text: string) => void} [options.onToken] - Called with each new piece of the rewrite
+ * @param {AbortSignal} [options.signal] - Cancels the enhancement (rejects with an AbortError)
+ * @returns {Promise<EnhanceResult>}
+ * @throws {ApiError} If enhancement fails
  */
-export async function enhancePrompt(currentPrompt) {
+export async function enhancePrompt(currentPrompt, { mode, model, imageModel, images, instruction, conversation, onToken, signal } = {}) {
     if (!currentPrompt || typeof currentPrompt !== 'string') {
         throw new Error('Prompt is required');
     }
@@ -104,31 +415,265 @@ export async function enhancePrompt(currentPrompt) {
         throw new Error('Prompt cannot be empty');
     }
 
+    const body = { prompt: trimmedPrompt, mode, model, imageModel, images: images?.length ? images : undefined, instruction, conversation };
+
+    if (!onToken) {
+        const data = await requestJson(ENHANCE_ENDPOINT, {
+            method: 'POST',
+            body: JSON.stringify(body),
+            signal,
+        });
+
+        if (!data.enhancedPrompt) {
+            throw new Error('Invalid response: no enhanced prompt returned');
+        }
+        return data;
+    }
+
+    let response;
     try {
-        const response = await fetch(ENHANCE_ENDPOINT, {
+        response = await fetch(ENHANCE_ENDPOINT, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
             },
-            body: JSON.stringify({ prompt: trimmedPrompt }),
+            body: JSON.stringify({ ...body, stream: true }),
+            signal,
         });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+    } catch (error) {
+        if (error.name === 'TypeError' && error.message.includes('fetch')) {
+            throw new Error('Network error: please check your connection');
         }
+        throw error;
+    }
 
-        const data = await response.json();
+    if (!response.ok) {
+        throw await toApiError(response);
+    }
 
-        if (!data.enhancedPrompt) {
-            throw new Error('Invalid response: no enhanced prompt returned');
-        }
+    /** @type {EnhanceResult|null} */
+    let result = null;
+    /** @type {Object|null} */
+    let failure = null;
+    await readEventStream(response, (event, data) => {
+        if (event === 'token') onToken(data.text);
+        else if (event === 'done') result = data;
+        else if (event === 'error') failure = data;
+    });
+
+    if (failure || !result) {
+        const error = new Error(failure?.error || 'Enhancement stream ended early');
+        error.code = failure?.code;
+        error.reason = failure?.reason;
+        error.retryAfter = failure?.retryAfter;
+        error.requestId = response.headers.get('X-Request-Id') || undefined;
+        throw error;
+    }
+    return result;
+}
+
+/**
+ * @typedef {Object} ImageDescription
+ * @property {string} prompt - Prompt that reproduces the image
+ * @property {string} negativePrompt - What to avoid, may be empty
+ * @property {string} aspectRatio - e.g. 16:9
+ */
+
+/**
+ * Reverse-engineer a prompt from an image with a vision model
+ * @param {Blob|string} image - Image file, or its URL (data URIs are sent as files)
+ * @param {Object} [options]
+ * @param {string} [options.imageModel] - Image model the prompt is for, to match its prompting style
+ * @returns {Promise<ImageDescription>}
+ * @throws {ApiError} If the image cannot be described
+ */
+export async function describeImage(image, { imageModel } = {}) {
+    if (typeof image === 'string' && image.startsWith('data:')) {
+        image = await (await fetch(image)).blob();
+    }
 
-        return data.enhancedPrompt;
+    if (typeof image === 'string') {
+        return requestJson(DESCRIBE_ENDPOINT, {
+            method: 'POST',
+            body: JSON.stringify({ url: image, imageModel }),
+        });
+    }
+
+    const formData = new FormData();
+    formData.append('file', image, image.name || 'image');
+    if (imageModel) {
+        formData.append('imageModel', imageModel);
+    }
+
+    let response;
+    try {
+        // No Content-Type header: the browser sets the multipart boundary
+        response = await fetch(DESCRIBE_ENDPOINT, { method: 'POST', body: formData });
     } catch (error) {
         if (error.name === 'TypeError' && error.message.includes('fetch')) {
             throw new Error('Network error: please check your connection');
         }
         throw error;
     }
+
+    if (!response.ok) {
+        throw await toApiError(response);
+    }
+
+    return response.json();
+}
+
+/**
+ * @typedef {Object} ModelParam
+ * @property {string} [type] - int, float, bool, enum, string, text or size
+ * @property {number} [min] - Minimum numeric value
+ * @property {number} [max] - Maximum numeric value
+ * @property {*} [default] - Default value
+ * @property {string[]} [options] - Allowed values for enum parameters
+ * @property {Object<string, {width: number, height: number}>} [presets] - Preset dimensions for size parameters
+ */
+
+/**
+ * @typedef {Object} ModelInfo
+ * @property {string} id - Model ID sent as `model` to /api/generate
+ * @property {string} label - Display name
+ * @property {string} provider - Provider ID (fal, replicate, openai, a1111)
+ * @property {string} providerLabel - Provider display name
+ * @property {boolean} available - False if the provider's credentials are not configured on the server
+ * @property {Object<string, ModelParam>} params - Supported parameters keyed by request name
+ * @property {{field: string, min: number, max: number, hint: string}|null} input - Input image requirements
+ * @property {import('./pricing.js').ModelPricing|null} pricing - List prices, null if unknown
+ */
+
+/**
+ * @typedef {Object} ModelsResponse
+ * @property {string} defaultModel - ID of the default model
+ * @property {ModelInfo[]} models - Available models
+ */
+
+/**
+ * Fetch the model registry used to build the settings panel
+ * @returns {Promise<ModelsResponse>}
+ * @throws {Error} If the registry cannot be loaded
+ */
+export async function fetchModels() {
+    const data = await requestJson(MODELS_ENDPOINT);
+
+    if (!Array.isArray(data.models) || data.models.length === 0) {
+        throw new Error('Invalid response: no models returned');
+    }
+
+    return data;
+}
+
+/**
+ * @typedef {Object} SessionInfo
+ * @property {boolean} authEnabled - Whether the server requires signing in
+ * @property {{id: string, name: string, via: string}|null} user - Signed-in user, null when signed out or auth is off
+ */
+
+/**
+ * Check whether the server requires signing in, and who is signed in
+ * @returns {Promise<SessionInfo>}
+ */
+export async function getSession() {
+    return requestJson(SESSION_ENDPOINT);
+}
+
+/**
+ * Sign in with the shared password (or an API token)
+ * @param {string} password
+ * @param {string} [name] - Display name for the shared password
+ * @returns {Promise<SessionInfo>}
+ * @throws {ApiError} With code `invalid_credentials` if the password is wrong
+ */
+export async function signIn(password, name) {
+    return requestJson(SESSION_ENDPOINT, {
+        method: 'POST',
+        body: JSON.stringify({ password, name }),
+    });
+}
+
+/**
+ * Sign out of the current session
+ * @returns {Promise<SessionInfo>}
+ */
+export async function signOut() {
+    return requestJson(SESSION_ENDPOINT, { method: 'DELETE' });
+}
+
+/**
+ * @typedef {Object} HistoryRecord
+ * @property {string} id - Gallery image ID
+ * @property {string} url - Image URL
+ * @property {string} prompt - Generation prompt
+ * @property {Object} settings - Generation settings
+ * @property {number} createdAt - When the image was generated
+ * @property {number} [durationMs] - Time from submission to result
+ * @property {number} [cost] - USD, if the model has pricing
+ * @property {boolean} [shared] - Published to the team feed
+ * @property {RefineTurn[]} [conversation] - Refinement chat that led to the prompt
+ * @property {boolean} [deleted] - Set on tombstones of deleted records
+ */
+
+/**
+ * @typedef {Object} HistoryPage
+ * @property {HistoryRecord[]} records - Records changed since the cursor, oldest change first
+ * @property {number} cursor - Pass as `after` to get the next changes
+ * @property {boolean} hasMore - Whether another page is waiting
+ */
+
+/**
+ * Fetch history records changed since a sync cursor
+ * @param {number} [after] - Cursor from the previous page (0 for everything)
+ * @returns {Promise<HistoryPage>}
+ * @throws {ApiError} With status 501 if the server has no history store
+ */
+export async function fetchHistory(after = 0) {
+    return requestJson(`${HISTORY_ENDPOINT}?after=${encodeURIComponent(after)}`);
+}
+
+/**
+ * Create or replace a history record
+ * @param {HistoryRecord} record
+ * @returns {Promise<HistoryRecord>}
+ * @throws {ApiError} With status 410 if the record was deleted on another device
+ */
+export async function saveHistoryRecord(record) {
+    return requestJson(`${HISTORY_ENDPOINT}/${encodeURIComponent(record.id)}`, {
+        method: 'PUT',
+        body: JSON.stringify(record),
+    });
+}
+
+/**
+ * Delete a history record
+ * @param {string} id
+ * @returns {Promise<void>}
+ * @throws {ApiError} With status 404 if there is no such record
+ */
+export async function deleteHistoryRecord(id) {
+    await requestJson(`${HISTORY_ENDPOINT}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * @typedef {Object} FeedImage
+ * @property {string} id - Gallery image ID
+ * @property {string|null} author - User who generated it
+ * @property {string} url - Image URL
+ * @property {string} prompt - Generation prompt
+ * @property {Object} settings - Generation settings, for remix
+ * @property {number} createdAt - When the image was generated
+ * @property {RefineTurn[]} [conversation] - Refinement chat, for remix to continue
+ */
+
+/**
+ * Fetch the newest images published to the team feed
+ * @returns {Promise<FeedImage[]>} Newest first
+ * @throws {ApiError} With status 501 if the server has no history store
+ */
+export async function fetchFeed() {
+    const data = await requestJson(FEED_ENDPOINT);
+    return data.images;
 }
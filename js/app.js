@@ -2,11 +2,188 @@
  * Main application entry point
  */
 
-import { generateImage, enhancePrompt } from './api.js';
+import { streamGeneration, waitForJob, enhancePrompt, describeImage, fetchEnhanceOptions, fetchModels, uploadImage, getSession, signIn, signOut, onUnauthorized, fetchFeed } from './api.js';
 import { state } from './state.js';
-import { generateId } from './utils.js';
-import { initGallery, showPlaceholder, removePlaceholder, removeAllPlaceholders, initLightbox, closeLightbox } from './gallery.js';
+import { generateId, createElement, debounce, diffWords } from './utils.js';
+import { initGallery, showPlaceholder, updatePlaceholder, removePlaceholder, initLightbox, closeLightbox, setGalleryFilter, setGalleryCollection, setGallerySearch } from './gallery.js';
+import { initGalleryToolbar } from './organize.js';
 import { getRandomPrompt } from './prompts.js';
+import { estimateCost, getImageCost, formatCost } from './pricing.js';
+import { startHistorySync } from './sync.js';
+import { promptHistory } from './prompt-history.js';
+import { initRefinePanel, getConversationFor, continueConversation } from './refine.js';
+
+/**
+ * Settings panel controls keyed by registry parameter name.
+ * `group` is the wrapper that is only shown when the selected model supports the parameter,
+ * `display` is the optional label that mirrors a range input's value.
+ */
+const SETTING_CONTROLS = {
+    image_size: { input: 'setting-image-size', group: 'image-size-group' },
+    aspect_ratio: { input: 'setting-aspect-ratio', group: 'aspect-ratio-group' },
+    num_inference_steps: { input: 'setting-steps', group: 'steps-group', display: 'steps-value' },
+    guidance_scale: { input: 'setting-guidance', group: 'guidance-group', display: 'guidance-value' },
+    negative_prompt: { input: 'setting-negative-prompt', group: 'negative-prompt-group' },
+    use_turbo: { input: 'setting-turbo', group: 'turbo-group' },
+    enhance_prompt: { input: 'setting-enhance-prompt', group: 'enhance-prompt-group' },
+    resolution: { input: 'setting-resolution', group: 'resolution-group' },
+    enable_web_search: { input: 'setting-enable-web-search', group: 'web-search-group' },
+    limit_generations: { input: 'setting-limit-generations', group: 'limit-generations-group' },
+    num_images: { input: 'setting-num-images', group: 'num-images-group' },
+    output_format: { input: 'setting-format', group: 'format-group' },
+    acceleration: { input: 'setting-acceleration', group: 'acceleration-group' },
+    seed: { input: 'setting-seed', group: 'seed-group' },
+    enable_safety_checker: { input: 'setting-safety', group: 'safety-group' },
+};
+
+/**
+ * Aspect ratios as `image_size` presets, for models that take a size instead
+ * @type {Object<string, string>}
+ */
+const ASPECT_RATIO_SIZES = {
+    '1:1': 'square_hd',
+    '4:3': 'landscape_4_3',
+    '3:4': 'portrait_4_3',
+    '16:9': 'landscape_16_9',
+    '9:16': 'portrait_16_9',
+};
+
+/** @type {Map<string, import('./api.js').ModelInfo>} */
+const modelRegistry = new Map();
+
+/**
+ * What to tell the user for each API error code (see ApiError in js/api.js)
+ * @type {Object<string, (error: Object) => string>}
+ */
+const ERROR_MESSAGES = {
+    rate_limited: (error) => (error.retryAfter
+        ? `The provider is rate limiting requests. Try again in ${error.retryAfter} seconds.`
+        : 'The provider is rate limiting requests. Wait a minute and try again.'),
+    invalid_input: (error) => (error.reason
+        ? `The provider rejected the request: ${error.reason.replace(/\.$/, '')}. Adjust the settings or input images and try again.`
+        : 'The provider rejected the request. Check the settings and input images, then try again.'),
+    content_blocked: () => 'Blocked by the provider\'s safety filter. Rephrase the prompt or use a different input image.',
+    provider_down: () => 'The provider is having problems right now. Try again in a few minutes, or pick a model from another provider.',
+    timeout: () => 'The provider took too long to respond. Try again, or ask for fewer images or a lower resolution.',
+    unauthorized: () => 'Your session has expired. Sign in and try again.',
+    too_many_requests: (error) => `You're sending requests too quickly. Try again in ${error.retryAfter || 60} seconds.`,
+    quota_exceeded: (error) => describeQuotaError(error.quota),
+};
+
+/** @type {import('./api.js').EnhanceOptions|null} Enhancement modes and models, once loaded */
+let enhanceOptions = null;
+
+/** Pause in typing after which the prompt is recorded for undo */
+const PROMPT_HISTORY_DELAY_MS = 700;
+
+/** How long the undo toast stays after images move to the trash */
+const UNDO_TOAST_MS = 6000;
+
+/** How often a long-open tab purges images that have been in the trash too long */
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/** @type {HTMLElement|null} */
+let undoToast = null;
+
+/**
+ * Enhancement waiting to be accepted or rejected
+ * @type {{field: HTMLTextAreaElement, originalText: string, enhancedText: string, mode: string|undefined}|null}
+ */
+let pendingReview = null;
+
+/** @type {{promise: Promise<void>, resolve: () => void}|null} Sign-in the app is waiting for */
+let pendingSignIn = null;
+
+/**
+ * @typedef {Object} InputImage
+ * @property {string} previewUrl - Object URL of the local file, for the preview
+ * @property {string|null} url - Uploaded URL (or data URI fallback), null until the upload finishes
+ * @property {Promise<void>} upload - Settles when the upload finishes or fails
+ */
+
+/** @type {InputImage|null} Input image for single-image models */
+let inputImage = null;
+
+/** @type {InputImage[]} Reference images for multi-image models, in prompt order */
+let multiImages = [];
+
+/**
+ * Get the registry entry for the model currently selected in the settings panel
+ * @returns {import('./api.js').ModelInfo|undefined}
+ */
+function getSelectedModel() {
+    const modelSelect = document.getElementById('setting-model');
+    return modelRegistry.get(modelSelect?.value);
+}
+
+/**
+ * Read a parameter value from its settings control
+ * @param {string} name - Registry parameter name
+ * @param {import('./api.js').ModelParam} spec - Parameter descriptor
+ * @returns {*} Value, or undefined when the control is empty
+ */
+function readSettingControl(name, spec) {
+    const element = document.getElementById(SETTING_CONTROLS[name]?.input);
+    if (!element) return undefined;
+
+    if (name === 'image_size') {
+        if (element.value === 'custom') {
+            return {
+                width: parseInt(document.getElementById('setting-width')?.value || 1024, 10),
+                height: parseInt(document.getElementById('setting-height')?.value || 768, 10)
+            };
+        }
+        return element.value;
+    }
+
+    switch (spec.type) {
+        case 'bool':
+            return element.checked;
+        case 'int':
+        case 'float': {
+            if (element.value.trim() === '') return undefined;
+            const value = spec.type === 'int' ? parseInt(element.value, 10) : parseFloat(element.value);
+            return Number.isNaN(value) ? undefined : value;
+        }
+        case 'text':
+            return element.value.trim() || undefined;
+        default:
+            return element.value;
+    }
+}
+
+/**
+ * Write a saved parameter value back into its settings control
+ * @param {string} name - Registry parameter name
+ * @param {*} value - Saved value
+ */
+function writeSettingControl(name, value) {
+    const element = document.getElementById(SETTING_CONTROLS[name]?.input);
+    if (!element || value === undefined) return;
+
+    if (name === 'image_size') {
+        const customSizeGroup = document.getElementById('custom-size-group');
+        const isCustom = typeof value === 'object';
+        element.value = isCustom ? 'custom' : value;
+        customSizeGroup?.classList.toggle('settings-group--hidden', !isCustom);
+        if (isCustom) {
+            const widthInput = document.getElementById('setting-width');
+            const heightInput = document.getElementById('setting-height');
+            if (widthInput) widthInput.value = value.width || 1024;
+            if (heightInput) heightInput.value = value.height || 768;
+        }
+        return;
+    }
+
+    if (element.type === 'checkbox') {
+        element.checked = Boolean(value);
+    } else {
+        element.value = value;
+    }
+
+    const display = document.getElementById(SETTING_CONTROLS[name].display);
+    if (display) display.textContent = element.value;
+}
 
 /**
  * Get current generation settings from the UI
@@ -14,164 +191,65 @@ import { getRandomPrompt } from './prompts.js';
  */
 function getGenerationSettings() {
     const modelSelect = document.getElementById('setting-model');
-    const imageSizeSelect = document.getElementById('setting-image-size');
-    const stepsInput = document.getElementById('setting-steps');
-    const numImagesSelect = document.getElementById('setting-num-images');
-    const formatSelect = document.getElementById('setting-format');
-    const accelerationSelect = document.getElementById('setting-acceleration');
-    const seedInput = document.getElementById('setting-seed');
-    const safetyCheckbox = document.getElementById('setting-safety');
     const syncCheckbox = document.getElementById('setting-sync');
-    const widthInput = document.getElementById('setting-width');
-    const heightInput = document.getElementById('setting-height');
-    // Qwen-specific elements
-    const guidanceInput = document.getElementById('setting-guidance');
-    const negativePromptInput = document.getElementById('setting-negative-prompt');
-    const turboCheckbox = document.getElementById('setting-turbo');
-    // FLUX Kontext elements
-    const aspectRatioSelect = document.getElementById('setting-aspect-ratio');
-    const enhancePromptCheckbox = document.getElementById('setting-enhance-prompt');
-
-    const model = modelSelect?.value || 'z-image-turbo';
-
-    // Get input image data URI if available (stored globally)
-    const inputImageDataUri = window.__inputImageDataUri || null;
-    const multiImageDataUris = window.__multiImageDataUris || [];
+    const model = getSelectedModel();
 
     const settings = {
-        model,
-        num_inference_steps: parseInt(stepsInput?.value || 30, 10),
-        num_images: parseInt(numImagesSelect?.value || 2, 10),
-        output_format: formatSelect?.value || 'webp',
-        enable_safety_checker: safetyCheckbox?.checked ?? false,
+        model: modelSelect?.value || 'z-image-turbo',
         sync_mode: syncCheckbox?.checked ?? false,
     };
 
-    // Model-specific settings
-    if (model === 'nano-banana-pro-edit') {
-        // Nano Banana Pro Edit - requires at least one image
-        if (multiImageDataUris.length > 0) {
-            settings.image_urls = multiImageDataUris;
-        } else if (inputImageDataUri) {
-            settings.image_urls = [inputImageDataUri];
-        }
-        settings.resolution = document.getElementById('setting-resolution')?.value || '1K';
-        settings.limit_generations = document.getElementById('setting-limit-generations')?.checked ?? false;
-        settings.enable_web_search = document.getElementById('setting-enable-web-search')?.checked ?? false;
-    } else if (model === 'fibo') {
-        // Fibo Text-to-Image settings
-        settings.guidance_scale = parseFloat(guidanceInput?.value || 5);
-        const negativePrompt = negativePromptInput?.value?.trim();
-        if (negativePrompt) {
-            settings.negative_prompt = negativePrompt;
+    // Read every parameter the selected model supports
+    Object.entries(model?.params || {}).forEach(([name, spec]) => {
+        const value = readSettingControl(name, spec);
+        if (value !== undefined) {
+            settings[name] = value;
         }
-        // Optional reference image
-        if (inputImageDataUri) {
-            settings.image_url = inputImageDataUri;
-        }
-    } else if (model === 'wan-26-text-to-image') {
-        // Wan v2.6 Text-to-Image settings
-        const negativePrompt = negativePromptInput?.value?.trim();
-        if (negativePrompt) {
-            settings.negative_prompt = negativePrompt;
-        }
-        // Optional single reference image
-        if (inputImageDataUri) {
-            settings.image_url = inputImageDataUri;
-        }
-    } else if (model === 'wan-26-image-to-image') {
-        // Wan v2.6 Image-to-Image settings - requires 1-3 images
-        if (multiImageDataUris.length > 0) {
-            settings.image_urls = multiImageDataUris.slice(0, 3);
-        }
-        const negativePrompt = negativePromptInput?.value?.trim();
-        if (negativePrompt) {
-            settings.negative_prompt = negativePrompt;
-        }
-        settings.enhance_prompt = enhancePromptCheckbox?.checked ?? true;
-    } else if (model === 'qwen-image') {
-        // Qwen-specific settings
-        settings.guidance_scale = parseFloat(guidanceInput?.value || 2.5);
-        settings.use_turbo = turboCheckbox?.checked ?? false;
-        const negativePrompt = negativePromptInput?.value?.trim();
-        if (negativePrompt) {
-            settings.negative_prompt = negativePrompt;
-        }
-        // Qwen also supports acceleration
-        settings.acceleration = accelerationSelect?.value || 'none';
-        // Add input image if available
-        if (inputImageDataUri) {
-            settings.image_url = inputImageDataUri;
-        }
-    } else if (model === 'flux-kontext') {
-        // FLUX Kontext settings
-        settings.guidance_scale = parseFloat(guidanceInput?.value || 3.5);
-        settings.aspect_ratio = aspectRatioSelect?.value || '1:1';
-        settings.enhance_prompt = enhancePromptCheckbox?.checked ?? false;
-        settings.safety_tolerance = '5'; // More permissive safety level
-        // Input image is required for Kontext
-        if (inputImageDataUri) {
-            settings.image_url = inputImageDataUri;
-        }
-    } else if (model === 'seedream-45-edit') {
-        // Seedream 4.5 Edit settings - requires at least one image
-        if (inputImageDataUri) {
-            settings.image_urls = [inputImageDataUri];
-        } else {
-            settings.image_urls = [];
-        }
-    } else if (model === 'hidream-i1-fast') {
-        // HiDream I1 Fast settings
-        const negativePrompt = negativePromptInput?.value?.trim();
-        if (negativePrompt) {
-            settings.negative_prompt = negativePrompt;
-        }
-    } else if (model === 'hunyuan-image') {
-        // Hunyuan Image 3.0 settings
-        settings.guidance_scale = parseFloat(guidanceInput?.value || 7.5);
-        settings.enable_prompt_expansion = enhancePromptCheckbox?.checked ?? false;
-        const negativePrompt = negativePromptInput?.value?.trim();
-        if (negativePrompt) {
-            settings.negative_prompt = negativePrompt;
-        }
-    } else if (model === 'flux-dev') {
-        // FLUX.1 [dev] settings
-        settings.guidance_scale = parseFloat(guidanceInput?.value || 3.5);
-        settings.acceleration = accelerationSelect?.value || 'none';
-    } else if (model === 'flux-kontext-lora-t2i') {
-        // FLUX Kontext LoRA Text-to-Image settings
-        settings.guidance_scale = parseFloat(guidanceInput?.value || 2.5);
-        settings.acceleration = accelerationSelect?.value || 'none';
-    } else if (model === 'piflow') {
-        // Piflow settings - simple model with minimal params
-    } else if (model === 'reve') {
-        // Reve settings - uses aspect_ratio instead of image_size
-        settings.aspect_ratio = aspectRatioSelect?.value || '3:2';
-    } else {
-        // Z-Image Turbo settings
-        settings.acceleration = accelerationSelect?.value || 'none';
-    }
+    });
 
-    // Handle image size
-    const imageSizeValue = imageSizeSelect?.value || 'square_hd';
-    if (imageSizeValue === 'custom') {
-        settings.image_size = {
-            width: parseInt(widthInput?.value || 1024, 10),
-            height: parseInt(heightInput?.value || 768, 10)
-        };
-    } else {
-        settings.image_size = imageSizeValue;
-    }
+    // Attach input images that have finished uploading
+    if (model?.input) {
+        const inputImageUrl = inputImage?.url || null;
+        const multiImageUrls = multiImages.map((image) => image.url).filter(Boolean);
 
-    // Handle seed (only include if provided)
-    const seedValue = seedInput?.value;
-    if (seedValue && seedValue.trim() !== '') {
-        settings.seed = parseInt(seedValue, 10);
+        if (model.input.field === 'image_urls') {
+            settings.image_urls = model.input.max > 1
+                ? multiImageUrls.slice(0, model.input.max)
+                : (inputImageUrl ? [inputImageUrl] : []);
+        } else if (inputImageUrl) {
+            settings.image_url = inputImageUrl;
+        }
     }
 
     return settings;
 }
 
+/**
+ * Input images the selected model would be given, so enhancement can write
+ * edit instructions about what is in them
+ * @returns {string[]} Image URLs, in the order the model gets them
+ */
+function getEnhanceImages() {
+    const settings = getGenerationSettings();
+    return settings.image_urls || (settings.image_url ? [settings.image_url] : []);
+}
+
+/**
+ * Describe a model's missing input images for an error toast
+ * @param {import('./api.js').ModelInfo} model
+ * @returns {string}
+ */
+function describeInputRequirement(model) {
+    const { min, max } = model.input;
+    if (min === 1 && max === 1) {
+        return `${model.label} requires an input image.`;
+    }
+    if (min === 1) {
+        return `${model.label} requires at least one input image.`;
+    }
+    return `${model.label} requires ${min}-${max} input images.`;
+}
+
 /**
  * Initialize the application
  */
@@ -192,6 +270,14 @@ function init() {
         initGallery(galleryContainer, emptyState);
     }
 
+    // Album and tag chips above the gallery
+    initGalleryToolbar({ onChange: setGalleryCollection });
+
+    // Search box above the gallery
+    document.getElementById('gallery-search')?.addEventListener('input', debounce((e) => {
+        setGallerySearch(e.target.value);
+    }, 150));
+
     // Initialize lightbox
     initLightbox();
 
@@ -213,7 +299,36 @@ function init() {
 
     // Set up enhance button listener
     if (enhanceBtn && promptInput) {
-        enhanceBtn.addEventListener('click', () => handleEnhance(promptInput, enhanceBtn));
+        initEnhanceMenu(promptInput, enhanceBtn);
+        initEnhanceReview(promptInput, enhanceBtn);
+    }
+
+    // Undo/redo for the prompt
+    if (promptInput) {
+        initPromptHistory(promptInput);
+    }
+
+    // Refinement chat
+    if (promptInput && generateBtn) {
+        initRefinePanel({
+            getPrompt: () => promptInput.value,
+            usePrompt: (prompt) => {
+                // A rewrite streaming into the input would overwrite it
+                if (promptInput.readOnly) return;
+                if (pendingReview) {
+                    acceptEnhancement(promptInput);
+                }
+                setPromptText(promptInput, prompt);
+                flashInput(promptInput);
+            },
+            generate: () => handleGenerate(promptInput, generateBtn),
+            getModels: () => ({
+                model: document.getElementById('setting-enhancer-model')?.value || undefined,
+                imageModel: document.getElementById('setting-model')?.value || undefined,
+                images: getEnhanceImages()
+            }),
+            onError: (error) => showError(error, 'Failed to refine the prompt. Please try again.')
+        });
     }
 
     // Set up surprise me button listener
@@ -242,12 +357,236 @@ function init() {
     // Initialize settings UI interactions
     initSettingsUI();
 
+    // Sign-in screen and account controls (used when the server requires a password)
+    initSignIn();
+
+    // Mine / Everyone gallery filter (shown once the team feed loads)
+    initTeamFeed();
+
+    // Show today's and this month's spend, and keep it current
+    renderSpendSummary();
+    state.subscribe((action, data) => {
+        if (action === 'spend') renderSpendSummary();
+        // Saving the gallery failed (usually the storage quota is used up)
+        if (action === 'storage-error') showError(data.message);
+        if (action === 'trash') showUndoToast(data);
+    });
+
+    // Sync purges the trash once it is running; this catches tabs left open
+    setInterval(() => state.purgeExpired(), TRASH_PURGE_INTERVAL_MS);
+
     // Listen for remix-image event from lightbox
     window.addEventListener('remix-image', handleRemixImage);
 
+    // Listen for describe-image event from lightbox
+    window.addEventListener('describe-image', handleDescribeImage);
+
+    // Sign in if the server requires it, build the model list and model-specific
+    // settings from the registry, then pick up generations that were still
+    // running when the page was closed (their cost is priced from the registry
+    // once they finish)
+    ensureSignedIn().then(loadModels).then(resumePendingJobs);
+
+    // Enhancement modes for the enhance menu (public, like the model list)
+    loadEnhanceOptions();
+
     console.log('AI Image Generator initialized');
 }
 
+/**
+ * Set up the sign-in form and the account controls in the settings panel
+ */
+function initSignIn() {
+    const form = document.getElementById('login-form');
+    const signOutBtn = document.getElementById('sign-out-btn');
+
+    if (form) {
+        form.addEventListener('submit', handleSignIn);
+    }
+    if (signOutBtn) {
+        signOutBtn.addEventListener('click', handleSignOut);
+    }
+
+    // Any request rejected for a missing or expired session brings the sign-in screen back
+    onUnauthorized(() => {
+        renderAccount({ authEnabled: true, user: null });
+        showSignInScreen();
+    });
+}
+
+/**
+ * Wait until the user is signed in, if the server requires it, and start
+ * syncing their gallery with the server history and the team feed
+ * @returns {Promise<void>}
+ */
+async function ensureSignedIn() {
+    let session;
+    try {
+        session = await getSession();
+    } catch (error) {
+        // Let the app start; protected requests will ask for a sign-in if needed
+        console.warn('Failed to check sign-in status:', error);
+        return;
+    }
+
+    renderAccount(session);
+    if (session.authEnabled && !session.user) {
+        // handleSignIn starts the sync
+        await showSignInScreen();
+        return;
+    }
+    startSync(session.user?.id ?? null);
+}
+
+/**
+ * Sync the signed-in user's gallery with the server and load the team feed
+ * @param {string|null} user - User ID, null when the server has no access control
+ */
+function startSync(user) {
+    // Purge the trash once sync is listening, so the deletes reach the server too
+    startHistorySync(user).then(() => state.purgeExpired());
+    refreshFeed();
+}
+
+/**
+ * Set up the Mine / Everyone gallery filter
+ */
+function initTeamFeed() {
+    document.querySelectorAll('.gallery-filter__option').forEach((option) => {
+        option.addEventListener('click', () => handleGalleryFilter(option));
+    });
+
+    // Show what teammates published while the tab was in the background
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && state.getFeed() !== null) {
+            refreshFeed();
+        }
+    });
+}
+
+/**
+ * Switch the gallery between the user's own images and everyone's
+ * @param {HTMLButtonElement} button - The filter option that was clicked
+ */
+function handleGalleryFilter(button) {
+    document.querySelectorAll('.gallery-filter__option').forEach((option) => {
+        const active = option === button;
+        option.classList.toggle('gallery-filter__option--active', active);
+        option.setAttribute('aria-pressed', String(active));
+    });
+
+    setGalleryFilter(button.dataset.filter);
+    if (button.dataset.filter === 'everyone') {
+        refreshFeed();
+    }
+}
+
+/**
+ * Load the newest images published to the team feed, and show the gallery
+ * filter once the server turns out to have one
+ */
+async function refreshFeed() {
+    try {
+        state.setFeed(await fetchFeed());
+        document.getElementById('gallery-filter')?.classList.remove('gallery-filter--hidden');
+    } catch (error) {
+        // 501: the server keeps no history, so there is no feed to show
+        if (error.status !== 501) {
+            console.warn('Failed to load the team feed:', error);
+        }
+    }
+}
+
+/**
+ * Show the sign-in screen
+ * @returns {Promise<void>} Resolves once the user has signed in
+ */
+function showSignInScreen() {
+    const screen = document.getElementById('login-screen');
+    const passwordInput = document.getElementById('login-password');
+
+    if (!pendingSignIn) {
+        let resolve;
+        const promise = new Promise((r) => { resolve = r; });
+        pendingSignIn = { promise, resolve };
+    }
+
+    if (screen) {
+        screen.classList.remove('login--hidden');
+    }
+    if (passwordInput) {
+        passwordInput.focus();
+    }
+    return pendingSignIn.promise;
+}
+
+/**
+ * Submit the sign-in form
+ * @param {SubmitEvent} event
+ */
+async function handleSignIn(event) {
+    event.preventDefault();
+
+    const screen = document.getElementById('login-screen');
+    const nameInput = document.getElementById('login-name');
+    const passwordInput = document.getElementById('login-password');
+    const errorText = document.getElementById('login-error');
+    const submitBtn = document.getElementById('login-submit');
+
+    submitBtn.disabled = true;
+    errorText.hidden = true;
+
+    try {
+        const session = await signIn(passwordInput.value, nameInput.value);
+        passwordInput.value = '';
+        renderAccount(session);
+        screen.classList.add('login--hidden');
+        startSync(session.user.id);
+
+        pendingSignIn?.resolve();
+        pendingSignIn = null;
+    } catch (error) {
+        errorText.textContent = error.code === 'invalid_credentials'
+            ? 'Incorrect password or token.'
+            : error.code === 'name_taken'
+                ? 'That name belongs to another user. Choose a different one.'
+                : describeError(error, 'Failed to sign in. Please try again.');
+        errorText.hidden = false;
+        passwordInput.select();
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+/**
+ * Sign out and show the sign-in screen
+ */
+async function handleSignOut() {
+    try {
+        await signOut();
+    } catch (error) {
+        showError(error, 'Failed to sign out. Please try again.');
+        return;
+    }
+
+    renderAccount({ authEnabled: true, user: null });
+    showSignInScreen();
+}
+
+/**
+ * Show who is signed in, in the settings panel
+ * @param {import('./api.js').SessionInfo} session
+ */
+function renderAccount(session) {
+    const group = document.getElementById('account-group');
+    const name = document.getElementById('account-name');
+    if (!group || !name) return;
+
+    const signedIn = session.authEnabled && session.user;
+    group.classList.toggle('settings-group--hidden', !signedIn);
+    name.textContent = signedIn ? session.user.name : '';
+}
+
 /**
  * Initialize settings UI interactions
  */
@@ -260,13 +599,6 @@ function initSettingsUI() {
     const guidanceInput = document.getElementById('setting-guidance');
     const guidanceValue = document.getElementById('guidance-value');
 
-    // Model-specific settings groups
-    const stepsGroup = document.getElementById('steps-group');
-    const guidanceGroup = document.getElementById('guidance-group');
-    const negativePromptGroup = document.getElementById('negative-prompt-group');
-    const turboGroup = document.getElementById('turbo-group');
-    const accelerationGroup = document.getElementById('acceleration-group');
-
     // Toggle settings based on model selection
     if (modelSelect) {
         modelSelect.addEventListener('change', () => {
@@ -299,15 +631,63 @@ function initSettingsUI() {
         });
     }
 
+    // Re-estimate the cost whenever a setting changes
+    const settingsPanel = document.getElementById('settings-panel');
+    if (settingsPanel) {
+        settingsPanel.addEventListener('input', updateCostEstimate);
+        settingsPanel.addEventListener('change', updateCostEstimate);
+    }
+
     // Initialize image upload handlers
     initImageUpload();
 
-    // Initialize multi-image upload handlers for Wan v2.6 image-to-image
+    // Initialize multi-image upload handlers for multi-reference models
     initMultiImageUpload();
 }
 
 /**
- * Initialize image upload handlers for Qwen image editing
+ * Load the model registry and populate the model dropdown
+ */
+async function loadModels() {
+    const modelSelect = document.getElementById('setting-model');
+    if (!modelSelect) return;
+
+    try {
+        const { models, defaultModel } = await fetchModels();
+        const selected = modelSelect.value || defaultModel;
+
+        modelRegistry.clear();
+        modelSelect.innerHTML = '';
+
+        // One option group per provider; models whose provider has no credentials stay visible but disabled
+        const groups = new Map();
+        models.forEach((model) => {
+            modelRegistry.set(model.id, model);
+
+            if (!groups.has(model.provider)) {
+                const group = createElement('optgroup', { label: model.providerLabel });
+                groups.set(model.provider, group);
+                modelSelect.appendChild(group);
+            }
+
+            const option = createElement('option', { value: model.id },
+                model.available ? model.label : `${model.label} (not configured)`);
+            option.disabled = !model.available;
+            groups.get(model.provider).appendChild(option);
+        });
+
+        const isSelectable = (id) => modelRegistry.get(id)?.available;
+        const fallback = isSelectable(defaultModel) ? defaultModel : models.find((model) => model.available)?.id;
+        modelSelect.value = isSelectable(selected) ? selected : (fallback || defaultModel);
+        updateSettingsForModel(modelSelect.value);
+    } catch (error) {
+        console.error('Failed to load models:', error);
+        showError('Failed to load model list. Using default settings.');
+    }
+}
+
+/**
+ * Initialize image upload handlers for single-image models
  */
 function initImageUpload() {
     const imageInput = document.getElementById('setting-input-image');
@@ -316,9 +696,6 @@ function initImageUpload() {
     const imagePreviewImg = document.getElementById('image-preview-img');
     const imageClearBtn = document.getElementById('image-preview-clear');
 
-    // Initialize global storage for image data URI
-    window.__inputImageDataUri = null;
-
     if (!imageInput || !imageLabel || !imagePreview || !imagePreviewImg || !imageClearBtn) {
         return;
     }
@@ -361,6 +738,67 @@ function initImageUpload() {
         e.stopPropagation();
         clearImageUpload(imageInput, imageLabel, imagePreview, imagePreviewImg);
     });
+
+    // Write a prompt from the input image
+    const imageDescribeBtn = document.getElementById('image-preview-describe');
+    imageDescribeBtn?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!inputImage) return;
+
+        // The local file, so it works before the upload finishes
+        const file = await (await fetch(inputImage.previewUrl)).blob();
+        handleDescribe(file, imageDescribeBtn);
+    });
+}
+
+/**
+ * Read a file as a data URI
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readFileAsDataUri(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Failed to read image file'));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Start uploading an input image. The preview shows immediately from a local
+ * object URL; `url` is filled in once the upload finishes. Servers without
+ * upload storage answer 501, in which case the image is sent inline as a
+ * data URI like before.
+ * @param {File} file - The image file
+ * @param {(error: Error) => void} onError - Called if the upload fails
+ * @returns {InputImage}
+ */
+function startImageUpload(file, onError) {
+    /** @type {InputImage} */
+    const image = { previewUrl: URL.createObjectURL(file), url: null, upload: null };
+
+    image.upload = uploadImage(file)
+        .then((result) => result.url)
+        .catch((error) => {
+            if (error.status === 501) return readFileAsDataUri(file);
+            throw error;
+        })
+        .then((url) => {
+            image.url = url;
+        })
+        .catch(onError);
+
+    return image;
+}
+
+/**
+ * Release the preview of an input image that is no longer used
+ * @param {InputImage|null} image
+ */
+function releaseInputImage(image) {
+    if (image) URL.revokeObjectURL(image.previewUrl);
 }
 
 /**
@@ -382,22 +820,27 @@ function handleImageFile(file, label, preview, previewImg) {
         return;
     }
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        const dataUri = e.target?.result;
-        if (dataUri) {
-            // Store the data URI globally
-            window.__inputImageDataUri = dataUri;
-            // Show preview
-            previewImg.src = dataUri;
-            preview.classList.remove('image-upload__preview--hidden');
-            label.style.display = 'none';
+    releaseInputImage(inputImage);
+
+    const image = startImageUpload(file, (error) => {
+        // Ignore failures of an image that has since been replaced
+        if (inputImage !== image) return;
+        showError(`Failed to upload image: ${describeError(error)}`);
+        clearImageUpload(document.getElementById('setting-input-image'), label, preview, previewImg);
+    });
+    inputImage = image;
+
+    // Show preview while the upload runs
+    previewImg.src = image.previewUrl;
+    preview.classList.remove('image-upload__preview--hidden');
+    preview.classList.add('image-upload__preview--uploading');
+    label.style.display = 'none';
+
+    image.upload.then(() => {
+        if (inputImage === image) {
+            preview.classList.remove('image-upload__preview--uploading');
         }
-    };
-    reader.onerror = () => {
-        showError('Failed to read image file');
-    };
-    reader.readAsDataURL(file);
+    });
 }
 
 /**
@@ -408,24 +851,23 @@ function handleImageFile(file, label, preview, previewImg) {
  * @param {HTMLImageElement} previewImg - The preview image element
  */
 function clearImageUpload(input, label, preview, previewImg) {
-    window.__inputImageDataUri = null;
+    releaseInputImage(inputImage);
+    inputImage = null;
     input.value = '';
     previewImg.src = '';
     preview.classList.add('image-upload__preview--hidden');
+    preview.classList.remove('image-upload__preview--uploading');
     label.style.display = 'flex';
 }
 
 /**
- * Initialize multi-image upload handlers for Wan v2.6 image-to-image
+ * Initialize multi-image upload handlers for multi-reference models
  */
 function initMultiImageUpload() {
     const multiImageInput = document.getElementById('setting-multi-images');
     const multiImageLabel = document.getElementById('multi-image-upload-label');
     const multiImagePreviews = document.getElementById('multi-image-previews');
 
-    // Initialize global storage for multiple image data URIs
-    window.__multiImageDataUris = [];
-
     if (!multiImageInput || !multiImageLabel || !multiImagePreviews) {
         return;
     }
@@ -463,16 +905,18 @@ function initMultiImageUpload() {
     });
 }
 
+
 /**
  * Handle multiple uploaded image files
  * @param {File[]} files - The image files
  * @param {HTMLElement} previewsContainer - The previews container
  */
 function handleMultipleImageFiles(files, previewsContainer) {
-    // Limit to 3 images for Wan v2.6
-    if (files.length > 3) {
-        showError('Maximum 3 images allowed');
-        files = files.slice(0, 3);
+    // Limit to the number of references the selected model accepts
+    const maxImages = getSelectedModel()?.input?.max ?? 3;
+    if (files.length > maxImages) {
+        showError(`Maximum ${maxImages} images allowed`);
+        files = files.slice(0, maxImages);
     }
 
     // Validate files
@@ -487,41 +931,47 @@ function handleMultipleImageFiles(files, previewsContainer) {
         }
     }
 
-    // Clear existing previews
-    window.__multiImageDataUris = [];
-    previewsContainer.innerHTML = '';
+    // Replace existing images; order follows the selection, not upload completion
+    multiImages.forEach(releaseInputImage);
+    multiImages = files.map((file) => {
+        const image = startImageUpload(file, (error) => {
+            if (!multiImages.includes(image)) return;
+            showError(`Failed to upload "${file.name}": ${describeError(error)}`);
+            removeMultiImage(image, previewsContainer);
+        });
+        image.upload.then(() => renderMultiImagePreviews(previewsContainer));
+        return image;
+    });
 
-    // Process each file
-    files.forEach((file, index) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const dataUri = e.target?.result;
-            if (dataUri) {
-                window.__multiImageDataUris.push(dataUri);
-                addMultiImagePreview(dataUri, index + 1, previewsContainer);
-            }
-        };
-        reader.onerror = () => {
-            showError(`Failed to read image file: ${file.name}`);
-        };
-        reader.readAsDataURL(file);
+    renderMultiImagePreviews(previewsContainer);
+}
+
+/**
+ * Rebuild the multi-image previews from the current images
+ * @param {HTMLElement} container - The container element
+ */
+function renderMultiImagePreviews(container) {
+    container.innerHTML = '';
+    multiImages.forEach((image, i) => {
+        addMultiImagePreview(image, i + 1, container);
     });
 }
 
 /**
  * Add a preview for a multi-image upload
- * @param {string} dataUri - The image data URI
+ * @param {InputImage} image - The input image
  * @param {number} index - The image number (1-based)
  * @param {HTMLElement} container - The container element
  */
-function addMultiImagePreview(dataUri, index, container) {
+function addMultiImagePreview(image, index, container) {
     const preview = document.createElement('div');
     preview.className = 'multi-image-preview';
+    preview.classList.toggle('multi-image-preview--uploading', !image.url);
     preview.dataset.index = index;
 
     const img = document.createElement('img');
     img.className = 'multi-image-preview__img';
-    img.src = dataUri;
+    img.src = image.previewUrl;
     img.alt = `Image ${index}`;
 
     const label = document.createElement('div');
@@ -535,7 +985,7 @@ function addMultiImagePreview(dataUri, index, container) {
     removeBtn.addEventListener('click', (e) => {
         e.preventDefault();
         e.stopPropagation();
-        removeMultiImagePreview(index, container);
+        removeMultiImage(image, container);
     });
 
     preview.appendChild(img);
@@ -545,594 +995,107 @@ function addMultiImagePreview(dataUri, index, container) {
 }
 
 /**
- * Remove a multi-image preview
- * @param {number} index - The image number (1-based)
+ * Remove one of the multi-image uploads
+ * @param {InputImage} image - The image to remove
  * @param {HTMLElement} container - The container element
  */
-function removeMultiImagePreview(index, container) {
-    // Remove from data array
-    window.__multiImageDataUris.splice(index - 1, 1);
-
-    // Clear and rebuild previews
-    container.innerHTML = '';
-    window.__multiImageDataUris.forEach((dataUri, i) => {
-        addMultiImagePreview(dataUri, i + 1, container);
-    });
+function removeMultiImage(image, container) {
+    multiImages = multiImages.filter((entry) => entry !== image);
+    releaseInputImage(image);
+    renderMultiImagePreviews(container);
 
     // Update file input
     const multiImageInput = document.getElementById('setting-multi-images');
-    if (multiImageInput && window.__multiImageDataUris.length === 0) {
+    if (multiImageInput && multiImages.length === 0) {
         multiImageInput.value = '';
     }
 }
 
 /**
  * Update visible settings based on selected model
- * @param {string} model - The selected model ID
+ * @param {string} modelId - The selected model ID
  */
-function updateSettingsForModel(model) {
-    const stepsGroup = document.getElementById('steps-group');
-    const stepsInput = document.getElementById('setting-steps');
-    const stepsValue = document.getElementById('steps-value');
-    const guidanceGroup = document.getElementById('guidance-group');
-    const guidanceInput = document.getElementById('setting-guidance');
-    const guidanceValue = document.getElementById('guidance-value');
-    const negativePromptGroup = document.getElementById('negative-prompt-group');
-    const turboGroup = document.getElementById('turbo-group');
-    const accelerationGroup = document.getElementById('acceleration-group');
-    const formatSelect = document.getElementById('setting-format');
-    const inputImageGroup = document.getElementById('input-image-group');
-    const multiImageGroup = document.getElementById('multi-image-group');
-    const inputImageHint = document.getElementById('input-image-hint');
-    const imageSizeGroup = document.getElementById('image-size-group');
-    const aspectRatioGroup = document.getElementById('aspect-ratio-group');
-    const enhancePromptGroup = document.getElementById('enhance-prompt-group');
-    const safetyCheckbox = document.getElementById('setting-safety');
-    const resolutionGroup = document.getElementById('resolution-group');
-    const webSearchGroup = document.getElementById('web-search-group');
-    const limitGenerationsGroup = document.getElementById('limit-generations-group');
-
-    if (model === 'wan-26-text-to-image') {
-        // Wan v2.6 Text-to-Image settings
-        guidanceGroup?.classList.add('settings-group--hidden');
-        negativePromptGroup?.classList.remove('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.remove('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.add('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update hint for optional single reference image
-        if (inputImageHint) {
-            inputImageHint.textContent = 'Optional: Upload 0-1 reference image for style guidance (max 10MB, 384-5000px)';
-        }
+function updateSettingsForModel(modelId) {
+    const model = modelRegistry.get(modelId);
+    if (!model) return;
 
-        // Update format options (Wan outputs PNG)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = true;
-                if (formatSelect.value === 'webp') {
-                    formatSelect.value = 'png';
-                }
-            }
+    Object.entries(SETTING_CONTROLS).forEach(([name, control]) => {
+        const spec = model.params[name];
+        document.getElementById(control.group)?.classList.toggle('settings-group--hidden', !spec);
+        if (spec) {
+            applyParamDefaults(name, spec);
         }
+    });
 
-        // Default to lowest safety
-        if (safetyCheckbox) {
-            safetyCheckbox.checked = false;
-        }
-    } else if (model === 'nano-banana-pro-edit') {
-        // Nano Banana Pro Edit - image editing model
-        guidanceGroup?.classList.add('settings-group--hidden');
-        negativePromptGroup?.classList.add('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        multiImageGroup?.classList.remove('settings-group--hidden');
-        inputImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.add('settings-group--hidden');
-        aspectRatioGroup?.classList.remove('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.add('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.remove('settings-group--hidden');
-        webSearchGroup?.classList.remove('settings-group--hidden');
-        limitGenerationsGroup?.classList.remove('settings-group--hidden');
-
-        // Update format options (supports jpeg, png, webp)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) webpOption.disabled = false;
-        }
+    // Custom size fields only apply to models that take image_size
+    if (!model.params.image_size) {
+        document.getElementById('custom-size-group')?.classList.add('settings-group--hidden');
+    } else if (document.getElementById('setting-image-size')?.value === 'custom') {
+        document.getElementById('custom-size-group')?.classList.remove('settings-group--hidden');
+    }
 
-        // Default to lowest safety
-        if (safetyCheckbox) {
-            safetyCheckbox.checked = false;
-        }
-    } else if (model === 'fibo') {
-        // Fibo - text-to-image with licensed data
-        guidanceGroup?.classList.remove('settings-group--hidden');
-        negativePromptGroup?.classList.remove('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.remove('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.add('settings-group--hidden');
-        aspectRatioGroup?.classList.remove('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.remove('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update hint for optional reference image
-        if (inputImageHint) {
-            inputImageHint.textContent = 'Optional: Upload a reference image for style guidance';
-        }
-
-        // Update guidance scale for Fibo (default 5)
-        if (guidanceInput && guidanceValue) {
-            guidanceInput.value = '5';
-            guidanceValue.textContent = '5';
-        }
-
-        // Update steps range for Fibo (default 50)
-        if (stepsInput) {
-            stepsInput.max = '100';
-            stepsInput.value = '50';
-            if (stepsValue) stepsValue.textContent = '50';
-        }
-
-        // Update format options (supports all)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) webpOption.disabled = false;
-        }
-
-        // Default to lowest safety
-        if (safetyCheckbox) {
-            safetyCheckbox.checked = false;
-        }
-    } else if (model === 'wan-26-image-to-image') {
-        // Wan v2.6 Image-to-Image settings
-        guidanceGroup?.classList.add('settings-group--hidden');
-        negativePromptGroup?.classList.remove('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.add('settings-group--hidden');
-        multiImageGroup?.classList.remove('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.remove('settings-group--hidden');
-        stepsGroup?.classList.add('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update format options (Wan outputs PNG)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = true;
-                if (formatSelect.value === 'webp') {
-                    formatSelect.value = 'png';
-                }
-            }
-        }
-
-        // Default to lowest safety and enable prompt expansion
-        if (safetyCheckbox) {
-            safetyCheckbox.checked = false;
-        }
-        const enhancePromptCheckbox = document.getElementById('setting-enhance-prompt');
-        if (enhancePromptCheckbox) {
-            enhancePromptCheckbox.checked = true;
-        }
-    } else if (model === 'qwen-image') {
-        // Show Qwen-specific settings
-        guidanceGroup?.classList.remove('settings-group--hidden');
-        negativePromptGroup?.classList.remove('settings-group--hidden');
-        turboGroup?.classList.remove('settings-group--hidden');
-        inputImageGroup?.classList.remove('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.remove('settings-group--hidden');
-        accelerationGroup?.classList.remove('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update hint for optional image
-        if (inputImageHint) {
-            inputImageHint.textContent = 'Optional: Upload an image to edit with your prompt';
-        }
-
-        // Update guidance scale for Qwen (default 2.5)
-        if (guidanceInput && guidanceValue) {
-            guidanceInput.value = '2.5';
-            guidanceValue.textContent = '2.5';
-        }
-
-        // Update steps range for Qwen (default 30, max higher)
-        if (stepsInput) {
-            stepsInput.max = '50';
-            if (parseInt(stepsInput.value) > 50) {
-                stepsInput.value = '30';
-                if (stepsValue) stepsValue.textContent = '30';
-            }
-        }
-
-        // Update format options (Qwen only supports png/jpeg)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = true;
-                if (formatSelect.value === 'webp') {
-                    formatSelect.value = 'png';
-                }
-            }
-        }
-    } else if (model === 'flux-kontext') {
-        // Show FLUX Kontext settings
-        guidanceGroup?.classList.remove('settings-group--hidden');
-        negativePromptGroup?.classList.add('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.remove('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.add('settings-group--hidden');
-        aspectRatioGroup?.classList.remove('settings-group--hidden');
-        enhancePromptGroup?.classList.remove('settings-group--hidden');
-        stepsGroup?.classList.add('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update hint for required image
-        if (inputImageHint) {
-            inputImageHint.textContent = 'Required: Upload an image to edit';
-        }
-
-        // Update guidance scale for Kontext (default 3.5)
-        if (guidanceInput && guidanceValue) {
-            guidanceInput.value = '3.5';
-            guidanceValue.textContent = '3.5';
-        }
-
-        // Update format options (Kontext only supports jpeg/png)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = true;
-                if (formatSelect.value === 'webp') {
-                    formatSelect.value = 'jpeg';
-                }
-            }
-        }
-    } else if (model === 'hidream-i1-fast') {
-        // Show HiDream I1 Fast settings
-        guidanceGroup?.classList.add('settings-group--hidden');
-        negativePromptGroup?.classList.remove('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.add('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.remove('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update steps range for HiDream (default 50 for best quality)
-        if (stepsInput) {
-            stepsInput.max = '50';
-            stepsInput.value = '50';
-            if (stepsValue) stepsValue.textContent = '50';
-        }
-
-        // Update format options (HiDream only supports jpeg/png)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = true;
-                if (formatSelect.value === 'webp') {
-                    formatSelect.value = 'jpeg';
-                }
-            }
-        }
-    } else if (model === 'hunyuan-image') {
-        // Show Hunyuan Image 3.0 settings
-        guidanceGroup?.classList.remove('settings-group--hidden');
-        negativePromptGroup?.classList.remove('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.add('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.remove('settings-group--hidden');
-        stepsGroup?.classList.remove('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update guidance scale for Hunyuan (default 7.5)
-        if (guidanceInput && guidanceValue) {
-            guidanceInput.value = '7.5';
-            guidanceValue.textContent = '7.5';
-        }
-
-        // Update steps range for Hunyuan (default 28)
-        if (stepsInput) {
-            stepsInput.max = '50';
-            stepsInput.value = '28';
-            if (stepsValue) stepsValue.textContent = '28';
-        }
-
-        // Update format options (Hunyuan only supports jpeg/png)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = true;
-                if (formatSelect.value === 'webp') {
-                    formatSelect.value = 'png';
-                }
-            }
-        }
-    } else if (model === 'flux-dev') {
-        // Show FLUX.1 [dev] settings
-        guidanceGroup?.classList.remove('settings-group--hidden');
-        negativePromptGroup?.classList.add('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.add('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.remove('settings-group--hidden');
-        accelerationGroup?.classList.remove('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update guidance scale for FLUX.1 [dev] (default 3.5)
-        if (guidanceInput && guidanceValue) {
-            guidanceInput.value = '3.5';
-            guidanceValue.textContent = '3.5';
-        }
-
-        // Update steps range for FLUX.1 [dev] (default 28, max 50)
-        if (stepsInput) {
-            stepsInput.max = '50';
-            stepsInput.value = '50';
-            if (stepsValue) stepsValue.textContent = '50';
-        }
-
-        // Update format options (FLUX.1 [dev] only supports jpeg/png)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = true;
-                if (formatSelect.value === 'webp') {
-                    formatSelect.value = 'jpeg';
-                }
-            }
-        }
-    } else if (model === 'flux-kontext-lora-t2i') {
-        // Show FLUX Kontext LoRA Text-to-Image settings
-        guidanceGroup?.classList.remove('settings-group--hidden');
-        negativePromptGroup?.classList.add('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.add('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.remove('settings-group--hidden');
-        accelerationGroup?.classList.remove('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update guidance scale for FLUX Kontext LoRA T2I (default 2.5)
-        if (guidanceInput && guidanceValue) {
-            guidanceInput.value = '2.5';
-            guidanceValue.textContent = '2.5';
-        }
-
-        // Update steps range for FLUX Kontext LoRA T2I (default 30, max 30)
-        if (stepsInput) {
-            stepsInput.max = '30';
-            stepsInput.value = '30';
-            if (stepsValue) stepsValue.textContent = '30';
-        }
-
-        // Update format options (FLUX Kontext LoRA T2I only supports jpeg/png)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = true;
-                if (formatSelect.value === 'webp') {
-                    formatSelect.value = 'png';
-                }
-            }
-        }
-    } else if (model === 'piflow') {
-        // Show Piflow settings - minimal options
-        guidanceGroup?.classList.add('settings-group--hidden');
-        negativePromptGroup?.classList.add('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.add('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.remove('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update steps range for Piflow (default 8, max 8)
-        if (stepsInput) {
-            stepsInput.max = '8';
-            stepsInput.value = '8';
-            if (stepsValue) stepsValue.textContent = '8';
-        }
-
-        // Update format options (Piflow only supports jpeg/png)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = true;
-                if (formatSelect.value === 'webp') {
-                    formatSelect.value = 'jpeg';
-                }
-            }
-        }
-    } else if (model === 'reve') {
-        // Show Reve settings - uses aspect ratio, no steps
-        guidanceGroup?.classList.add('settings-group--hidden');
-        negativePromptGroup?.classList.add('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.add('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.add('settings-group--hidden');
-        aspectRatioGroup?.classList.remove('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.add('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Update format options (Reve supports all formats including webp)
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = false;
-            }
-        }
-    } else if (model === 'seedream-45') {
-        // Show Seedream 4.5 settings - simple text-to-image
-        guidanceGroup?.classList.add('settings-group--hidden');
-        negativePromptGroup?.classList.add('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.add('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.remove('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Keep steps within default range
-        if (stepsInput) {
-            stepsInput.max = '30';
-            if (parseInt(stepsInput.value, 10) > 30) {
-                stepsInput.value = '30';
-                if (stepsValue) stepsValue.textContent = '30';
-            }
-        }
-
-        // Allow all formats
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = false;
-            }
-        }
+    updateInputImageGroups(model);
+    updateCostEstimate();
+}
 
-        // Default to lowest safety for this model
-        if (safetyCheckbox) {
-            safetyCheckbox.checked = false;
-        }
-    } else if (model === 'seedream-45-edit') {
-        // Show Seedream 4.5 Edit settings - image-to-image editing
-        guidanceGroup?.classList.add('settings-group--hidden');
-        negativePromptGroup?.classList.add('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.remove('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.remove('settings-group--hidden');
-        accelerationGroup?.classList.add('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Require at least one image; update hint
-        if (inputImageHint) {
-            inputImageHint.textContent = 'Required: Upload at least one image (supports 1-10)';
+/**
+ * Apply a model's range, options and default to a settings control
+ * @param {string} name - Registry parameter name
+ * @param {import('./api.js').ModelParam} spec - Parameter descriptor
+ */
+function applyParamDefaults(name, spec) {
+    const element = document.getElementById(SETTING_CONTROLS[name].input);
+    if (!element || name === 'image_size') return;
+
+    if (element.type === 'checkbox') {
+        element.checked = spec.default ?? false;
+    } else if (element.type === 'range') {
+        element.min = String(spec.min ?? element.min);
+        element.max = String(spec.max ?? element.max);
+        if (spec.default !== undefined) {
+            writeSettingControl(name, spec.default);
+        }
+    } else if (element instanceof HTMLSelectElement) {
+        // Disable options the model doesn't support and move off an unsupported selection
+        const isSupported = (value) => spec.options
+            ? spec.options.includes(value)
+            : Number(value) >= (spec.min ?? -Infinity) && Number(value) <= (spec.max ?? Infinity);
+        Array.from(element.options).forEach((option) => {
+            option.disabled = !isSupported(option.value);
+        });
+        if (!isSupported(element.value) && spec.default !== undefined) {
+            element.value = spec.default;
         }
+    }
+}
 
-        // Keep steps within default range
-        if (stepsInput) {
-            stepsInput.max = '30';
-            if (parseInt(stepsInput.value, 10) > 30) {
-                stepsInput.value = '30';
-                if (stepsValue) stepsValue.textContent = '30';
-            }
-        }
+/**
+ * Show the single or multi image upload group a model needs
+ * @param {import('./api.js').ModelInfo} model
+ */
+function updateInputImageGroups(model) {
+    const inputImageGroup = document.getElementById('input-image-group');
+    const inputImageHint = document.getElementById('input-image-hint');
+    const multiImageGroup = document.getElementById('multi-image-group');
+    const multiImageLabel = document.getElementById('multi-image-label');
+    const multiImageHint = document.getElementById('multi-image-hint');
+    const input = model.input;
 
-        // Allow all formats
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = false;
-            }
-        }
+    const isMulti = Boolean(input) && input.max > 1;
+    inputImageGroup?.classList.toggle('settings-group--hidden', !input || isMulti);
+    multiImageGroup?.classList.toggle('settings-group--hidden', !isMulti);
 
-        // Default to lowest safety for this model
-        if (safetyCheckbox) {
-            safetyCheckbox.checked = false;
-        }
-    } else {
-        // Show Z-Image Turbo settings (default)
-        guidanceGroup?.classList.add('settings-group--hidden');
-        negativePromptGroup?.classList.add('settings-group--hidden');
-        turboGroup?.classList.add('settings-group--hidden');
-        inputImageGroup?.classList.add('settings-group--hidden');
-        multiImageGroup?.classList.add('settings-group--hidden');
-        imageSizeGroup?.classList.remove('settings-group--hidden');
-        aspectRatioGroup?.classList.add('settings-group--hidden');
-        enhancePromptGroup?.classList.add('settings-group--hidden');
-        stepsGroup?.classList.remove('settings-group--hidden');
-        accelerationGroup?.classList.remove('settings-group--hidden');
-        resolutionGroup?.classList.add('settings-group--hidden');
-        webSearchGroup?.classList.add('settings-group--hidden');
-        limitGenerationsGroup?.classList.add('settings-group--hidden');
-
-        // Reset steps range for Z-Image Turbo
-        if (stepsInput) {
-            stepsInput.max = '30';
-            if (parseInt(stepsInput.value) > 30) {
-                stepsInput.value = '30';
-                if (stepsValue) stepsValue.textContent = '30';
-            }
-        }
+    if (!input) return;
 
-        // Re-enable webp format
-        if (formatSelect) {
-            const webpOption = formatSelect.querySelector('option[value="webp"]');
-            if (webpOption) {
-                webpOption.disabled = false;
-            }
+    if (isMulti) {
+        if (multiImageLabel) {
+            multiImageLabel.textContent = input.min > 0
+                ? `Reference Images (${input.min}-${input.max} required)`
+                : `Reference Images (up to ${input.max})`;
         }
+        if (multiImageHint) multiImageHint.textContent = input.hint;
+    } else if (inputImageHint) {
+        inputImageHint.textContent = input.hint;
     }
 }
 
@@ -1170,8 +1133,13 @@ function closeSettings(button, panel) {
  * @param {HTMLButtonElement} button - Generate button element
  */
 async function handleGenerate(input, button) {
-    // Guard against rapid clicks
-    if (button.disabled) return;
+    // Guard against rapid clicks and prompts still being enhanced
+    if (button.disabled || input.readOnly) return;
+
+    // Generating with an enhancement under review keeps it
+    if (pendingReview) {
+        acceptEnhancement(input);
+    }
 
     const prompt = input.value.trim();
 
@@ -1181,17 +1149,23 @@ async function handleGenerate(input, button) {
         return;
     }
 
+    // Input images are sent by URL, so wait for uploads still in flight
+    const uploads = [inputImage, ...multiImages].filter((image) => image && !image.url);
+    if (uploads.length > 0) {
+        setLoading(input, button, true);
+        await Promise.all(uploads.map((image) => image.upload));
+        setLoading(input, button, false);
+    }
+
     // Get generation settings
     const settings = getGenerationSettings();
-    const numImages = settings.num_images;
+    const numImages = settings.num_images || 1;
 
-    // Validate required inputs for specific models
-    if (settings.model === 'flux-kontext' && !settings.image_url) {
-        showError('FLUX Kontext requires an input image.');
-        return;
-    }
-    if (settings.model === 'seedream-45-edit' && (!settings.image_urls || settings.image_urls.length === 0)) {
-        showError('Seedream 4.5 Edit requires at least one input image.');
+    // Validate required input images for the selected model
+    const model = getSelectedModel();
+    const inputCount = (settings.image_urls?.length || 0) + (settings.image_url ? 1 : 0);
+    if (model?.input && inputCount < model.input.min) {
+        showError(describeInputRequirement(model));
         return;
     }
 
@@ -1199,61 +1173,377 @@ async function handleGenerate(input, button) {
     setLoading(input, button, true);
 
     // Show placeholder cards for each image
-    for (let i = 0; i < numImages; i++) {
-        showPlaceholder();
-    }
-
-    try {
-        const response = await generateImage(prompt, settings);
-
-        // Always remove all placeholders first
-        removeAllPlaceholders();
-
-        if (response.images && response.images.length > 0) {
-            // Create storable settings (exclude large data URIs to prevent localStorage overflow)
-            const storableSettings = { ...settings };
-            delete storableSettings.image_url;
-            delete storableSettings.image_urls;
-
-            // Add each generated image to state with settings for remix
-            response.images.forEach((image) => {
-                state.addImage({
-                    id: generateId(),
-                    url: image.url,
-                    prompt: prompt,
-                    createdAt: Date.now(),
-                    settings: storableSettings
-                });
+    const placeholders = showPlaceholders(numImages);
+
+    // Images remember the refinement chat that led to their prompt
+    const conversation = getConversationFor(prompt);
+
+    /** @type {Map<number, {pendingJob: Object, placeholders: HTMLElement[], finished: boolean}>} */
+    const jobs = new Map();
+    /** @type {Array<Error|Object>} Failed jobs' errors or stream `error` events */
+    const errors = [];
+    let nextPlaceholder = 0;
+
+    const onEvent = (event, data) => {
+        if (event === 'job') {
+            const pendingJob = {
+                id: data.id,
+                prompt,
+                settings: getStorableSettings(settings),
+                numImages: data.numImages,
+                createdAt: Date.now(),
+                ...(conversation && { conversation })
+            };
+            // Persist queued jobs so a reload can pick them up where they left off
+            // (direct calls to providers without a queue have no ID to resume)
+            if (data.id) {
+                state.addPendingJob(pendingJob);
+            }
+            jobs.set(data.index, {
+                pendingJob,
+                placeholders: placeholders.slice(nextPlaceholder, nextPlaceholder + data.numImages),
+                finished: false
             });
+            nextPlaceholder += data.numImages;
+            return;
+        }
 
-            // Clear input and reset height
-            input.value = '';
-            autoResizeTextarea(input);
+        const job = jobs.get(data.index);
+        if (!job) return;
 
-            // Clear the image upload preview
-            clearImageUpload(
-                document.getElementById('setting-input-image'),
-                document.getElementById('image-upload-label'),
-                document.getElementById('image-preview'),
-                document.getElementById('image-preview-img')
-            );
+        if (event === 'status') {
+            job.placeholders.forEach((placeholder) => updatePlaceholder(placeholder, data));
+        } else if (event === 'log') {
+            job.placeholders.forEach((placeholder) => updatePlaceholder(placeholder, { message: data.message }));
+        } else if (event === 'image' || event === 'error') {
+            if (event === 'image') {
+                addGeneratedImages(data.images, job.pendingJob);
+            } else {
+                errors.push(data);
+            }
+            job.finished = true;
+            job.placeholders.forEach(removePlaceholder);
+            if (job.pendingJob.id) {
+                state.removePendingJob(job.pendingJob.id);
+            }
         }
+    };
+
+    try {
+        try {
+            await streamGeneration(prompt, settings, { onEvent });
+        } catch (error) {
+            // Once jobs are submitted a dropped stream is not fatal; fall back to polling them
+            if (jobs.size === 0) throw error;
+            console.warn('Progress stream interrupted, polling jobs instead:', error);
+        }
+
+        const unfinished = [...jobs.values()].filter((job) => !job.finished);
+        const results = await Promise.allSettled(unfinished.map((job) => job.pendingJob.id
+            ? completeJob(job.pendingJob, job.placeholders)
+            : Promise.reject(new Error('Connection lost before the image was ready'))
+        ));
+        results.forEach((result) => {
+            if (result.status === 'rejected') errors.push(result.reason);
+        });
+
+        if (errors.length > 0) {
+            const failed = errors.length === jobs.size ? 'Generation failed' : `${errors.length} of ${jobs.size} images failed`;
+            const error = new Error(`${failed}: ${describeError(errors[0])}`);
+            error.requestId = errors[0].requestId;
+            throw error;
+        }
+
+        // Clear input and reset height
+        setPromptText(input, '');
+
+        // Clear the image upload preview
+        clearImageUpload(
+            document.getElementById('setting-input-image'),
+            document.getElementById('image-upload-label'),
+            document.getElementById('image-preview'),
+            document.getElementById('image-preview-img')
+        );
     } catch (error) {
         console.error('Generation failed:', error);
-        // Remove all placeholders on error
-        removeAllPlaceholders();
-        showError(error.message || 'Failed to generate image. Please try again.');
+        showError(error, 'Failed to generate image. Please try again.');
     } finally {
+        placeholders.forEach(removePlaceholder);
         setLoading(input, button, false);
     }
 }
 
 /**
- * Handle prompt enhancement
- * @param {HTMLInputElement} input - Prompt input element
+ * Create storable settings (exclude large data URIs to prevent localStorage overflow)
+ * @param {Object} settings - Generation settings
+ * @returns {Object}
+ */
+function getStorableSettings(settings) {
+    const storableSettings = { ...settings };
+    delete storableSettings.image_url;
+    delete storableSettings.image_urls;
+    return storableSettings;
+}
+
+/**
+ * Show placeholder cards for a generation
+ * @param {number} count - Number of placeholders
+ * @returns {HTMLElement[]}
+ */
+function showPlaceholders(count) {
+    return Array.from({ length: count }, () => showPlaceholder()).filter(Boolean);
+}
+
+/**
+ * Add generated images to the gallery with the job's settings for remix,
+ * and record what they cost
+ * @param {Array<{url: string, width?: number, height?: number}>} images
+ * @param {import('./state.js').PendingJob} job
+ */
+function addGeneratedImages(images, job) {
+    const model = modelRegistry.get(job.settings.model);
+    let totalCost = 0;
+
+    images.forEach((image) => {
+        /** @type {import('./state.js').ImageData} */
+        const entry = {
+            id: generateId(),
+            url: image.url,
+            prompt: job.prompt,
+            createdAt: Date.now(),
+            settings: job.settings,
+            durationMs: Date.now() - job.createdAt
+        };
+
+        if (job.conversation) {
+            entry.conversation = job.conversation;
+        }
+
+        const cost = getImageCost(model, job.settings, image);
+        if (cost !== null) {
+            entry.cost = cost;
+            totalCost += cost;
+        }
+
+        state.addImage(entry);
+    });
+
+    state.recordSpend(totalCost);
+}
+
+/**
+ * Show the estimated cost of the current settings next to the generate button
+ */
+function updateCostEstimate() {
+    const element = document.getElementById('cost-estimate');
+    if (!element) return;
+
+    const estimate = estimateCost(getSelectedModel(), getGenerationSettings());
+    element.classList.toggle('input-bar__cost--hidden', !estimate);
+    if (!estimate) return;
+
+    element.textContent = estimate.total === 0 ? 'Free' : `~${formatCost(estimate.total)}`;
+    element.title = estimate.count > 1 && estimate.perImage > 0
+        ? `Estimated cost: ${estimate.count} images × ${formatCost(estimate.perImage)}`
+        : 'Estimated cost';
+}
+
+/**
+ * Show today's and this month's spend in the settings panel
+ */
+function renderSpendSummary() {
+    const todayElement = document.getElementById('spend-today');
+    const monthElement = document.getElementById('spend-month');
+    const { today, month } = state.getSpendTotals();
+
+    if (todayElement) todayElement.textContent = formatSpend(today);
+    if (monthElement) monthElement.textContent = formatSpend(month);
+}
+
+/**
+ * Format a spend total (zero reads as $0.00 rather than "Free")
+ * @param {number} usd
+ * @returns {string}
+ */
+function formatSpend(usd) {
+    return usd === 0 ? '$0.00' : formatCost(usd);
+}
+
+/**
+ * Wait for a queued job, add its images to the gallery and forget the job
+ * @param {import('./state.js').PendingJob} job
+ * @param {HTMLElement[]} [placeholders] - Placeholder cards to keep updated with progress
+ */
+async function completeJob(job, placeholders = []) {
+    try {
+        const response = await waitForJob(job.id, {
+            onStatus: ({ status, queuePosition, logs }) => {
+                const message = logs?.length ? logs[logs.length - 1].message : undefined;
+                placeholders.forEach((placeholder) => updatePlaceholder(placeholder, { status, queuePosition, message }));
+            }
+        });
+        addGeneratedImages(response.images, job);
+    } finally {
+        state.removePendingJob(job.id);
+    }
+}
+
+/**
+ * Resume polling for jobs that were in flight when the page was last closed
+ */
+function resumePendingJobs() {
+    state.getPendingJobs().forEach(async (job) => {
+        const placeholders = showPlaceholders(job.numImages || 1);
+        try {
+            await completeJob(job, placeholders);
+        } catch (error) {
+            console.error('Resumed generation failed:', error);
+            showError(`A generation from your last visit failed: ${describeError(error)}`);
+        } finally {
+            placeholders.forEach(removePlaceholder);
+        }
+    });
+}
+
+/**
+ * Set up the enhance button and its menu of enhancement modes
+ * @param {HTMLTextAreaElement} input - Prompt input element
  * @param {HTMLButtonElement} button - Enhance button element
  */
-async function handleEnhance(input, button) {
+function initEnhanceMenu(input, button) {
+    const menu = document.getElementById('enhance-menu');
+
+    button.addEventListener('click', () => {
+        // Without the mode list (request failed), expand the prompt right away
+        if (!menu || !enhanceOptions) {
+            handleEnhance(input, button);
+            return;
+        }
+
+        if (menu.classList.contains('enhance-menu--hidden')) {
+            openEnhanceMenu(menu, button);
+        } else {
+            closeEnhanceMenu(menu, button);
+        }
+    });
+
+    if (!menu) return;
+
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('.enhance-menu__item');
+        if (!item || item.disabled) return;
+
+        closeEnhanceMenu(menu, button);
+        handleEnhance(input, button, item.dataset.mode);
+    });
+
+    // Close on click outside
+    document.addEventListener('click', (e) => {
+        if (!menu.classList.contains('enhance-menu--hidden') &&
+            !menu.contains(e.target) &&
+            !button.contains(e.target)) {
+            closeEnhanceMenu(menu, button);
+        }
+    });
+
+    // Close on escape key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !menu.classList.contains('enhance-menu--hidden')) {
+            closeEnhanceMenu(menu, button);
+            button.focus();
+        }
+    });
+}
+
+/**
+ * Load the enhancement modes and enhancer models the server offers
+ */
+async function loadEnhanceOptions() {
+    const menu = document.getElementById('enhance-menu');
+    const modelSelect = document.getElementById('setting-enhancer-model');
+    const modelGroup = document.getElementById('enhancer-model-group');
+
+    try {
+        enhanceOptions = await fetchEnhanceOptions();
+    } catch (error) {
+        console.warn('Failed to load enhancement modes:', error);
+        return;
+    }
+
+    if (menu) {
+        menu.innerHTML = '';
+        enhanceOptions.modes.forEach((mode) => {
+            menu.appendChild(createElement('button', {
+                type: 'button',
+                className: 'enhance-menu__item',
+                role: 'menuitem',
+                dataset: { mode: mode.id, target: mode.target, visual: String(mode.visual === true) }
+            }, mode.label));
+        });
+    }
+
+    if (modelSelect && modelGroup) {
+        modelSelect.innerHTML = '';
+        enhanceOptions.models.forEach((model) => {
+            modelSelect.appendChild(createElement('option', { value: model }, model));
+        });
+        modelGroup.classList.toggle('settings-group--hidden', enhanceOptions.models.length < 2);
+    }
+}
+
+/**
+ * Show the enhance menu
+ * @param {HTMLElement} menu
+ * @param {HTMLButtonElement} button - Enhance button
+ */
+function openEnhanceMenu(menu, button) {
+    // A negative prompt only helps models that take one
+    const model = modelRegistry.get(document.getElementById('setting-model')?.value);
+    const hasNegativePrompt = Boolean(model?.params.negative_prompt);
+    menu.querySelectorAll('[data-target="negative_prompt"]').forEach((item) => {
+        item.disabled = !hasNegativePrompt;
+        item.title = hasNegativePrompt ? '' : 'The selected model does not use a negative prompt';
+    });
+
+    // Mark the modes that will look at the input images
+    const imageCount = getEnhanceImages().length;
+    menu.querySelectorAll('[data-visual="true"]').forEach((item) => {
+        item.classList.toggle('enhance-menu__item--visual', imageCount > 0);
+        item.title = imageCount > 0 ? `Looks at your input image${imageCount === 1 ? '' : 's'}` : '';
+    });
+
+    menu.classList.remove('enhance-menu--hidden');
+    button.setAttribute('aria-expanded', 'true');
+    menu.querySelector('.enhance-menu__item:not(:disabled)')?.focus();
+}
+
+/**
+ * Hide the enhance menu
+ * @param {HTMLElement} menu
+ * @param {HTMLButtonElement} button - Enhance button
+ */
+function closeEnhanceMenu(menu, button) {
+    menu.classList.add('enhance-menu--hidden');
+    button.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Handle prompt enhancement. The rewrite streams into its field as it is
+ * written; Escape cancels it and puts the original text back. Once done it
+ * waits for review (see showEnhanceReview).
+ * @param {HTMLTextAreaElement} input - Prompt input element
+ * @param {HTMLButtonElement} button - Enhance button element
+ * @param {string} [mode] - Enhancement mode (server default when omitted)
+ */
+async function handleEnhance(input, button, mode) {
+    if (input.readOnly) return;
+
+    // Enhancing again on top of an enhancement under review keeps it
+    if (pendingReview) {
+        acceptEnhancement(input);
+    }
+    promptHistory.record(input.value);
+
     const prompt = input.value.trim();
 
     if (!prompt) {
@@ -1262,30 +1552,275 @@ async function handleEnhance(input, button) {
         return;
     }
 
-    // Set loading state
+    // Negative prompt modes write into the settings panel instead
+    const modeId = mode || enhanceOptions?.defaultMode;
+    const target = enhanceOptions?.modes.find((option) => option.id === modeId)?.target || 'prompt';
+    const field = target === 'negative_prompt'
+        ? document.getElementById(SETTING_CONTROLS.negative_prompt.input)
+        : input;
+    if (!field) return;
+
+    if (field !== input) {
+        const settingsBtn = document.getElementById('settings-btn');
+        const settingsPanel = document.getElementById('settings-panel');
+        if (settingsBtn && settingsPanel) {
+            openSettings(settingsBtn, settingsPanel);
+        }
+    }
+
+    const originalText = field.value;
+    const controller = new AbortController();
+    const cancelOnEscape = (e) => {
+        if (e.key === 'Escape') {
+            controller.abort();
+        }
+    };
+
+    // Set loading state; read-only (not disabled) keeps focus so Escape works
     setEnhanceLoading(button, true);
-    input.disabled = true;
+    input.readOnly = true;
+    field.readOnly = true;
+    document.addEventListener('keydown', cancelOnEscape);
+
+    let streamed = '';
+    const showText = (text) => {
+        field.value = text;
+        if (field === input) {
+            autoResizeTextarea(input);
+        }
+    };
 
     try {
-        const enhanced = await enhancePrompt(prompt);
+        const result = await enhancePrompt(prompt, {
+            mode,
+            model: document.getElementById('setting-enhancer-model')?.value || undefined,
+            // Match the prompting style (sentences or tags) of the selected model
+            imageModel: document.getElementById('setting-model')?.value || undefined,
+            // Edit models: instructions about what is actually in the input images
+            images: getEnhanceImages(),
+            onToken: (text) => {
+                streamed += text;
+                showText(streamed);
+            },
+            signal: controller.signal
+        });
 
-        // Update input with enhanced prompt
-        input.value = enhanced;
+        showText(result.enhancedPrompt);
 
         // Trigger visual flash to show update
-        flashInput(input);
-
-        // Focus input
-        input.focus();
+        if (field === input) {
+            flashInput(input);
+        }
+        showEnhanceReview(field, originalText, result.enhancedPrompt, mode);
+        field.focus();
     } catch (error) {
-        console.error('Enhancement failed:', error);
-        showError(error.message || 'Failed to enhance prompt. Please try again.');
+        showText(originalText);
+        if (error.name !== 'AbortError') {
+            console.error('Enhancement failed:', error);
+            showError(error, 'Failed to enhance prompt. Please try again.');
+        }
     } finally {
+        document.removeEventListener('keydown', cancelOnEscape);
         setEnhanceLoading(button, false);
-        input.disabled = false;
+        input.readOnly = false;
+        field.readOnly = false;
+    }
+}
+
+/**
+ * Set up the accept, reject and "enhance again" actions of the review panel
+ * @param {HTMLTextAreaElement} input - Prompt input element
+ * @param {HTMLButtonElement} button - Enhance button element
+ */
+function initEnhanceReview(input, button) {
+    document.getElementById('enhance-accept')?.addEventListener('click', () => acceptEnhancement(input));
+    document.getElementById('enhance-reject')?.addEventListener('click', () => rejectEnhancement(input));
+    document.getElementById('enhance-again')?.addEventListener('click', () => {
+        if (!pendingReview) return;
+        const { mode } = pendingReview;
+        rejectEnhancement(input);
+        handleEnhance(input, button, mode);
+    });
+
+    // Editing the enhanced text keeps it
+    input.addEventListener('input', () => {
+        if (pendingReview?.field === input) {
+            acceptEnhancement(input);
+        }
+    });
+}
+
+/**
+ * Show what an enhancement changed, word by word, until it is accepted or rejected
+ * @param {HTMLTextAreaElement} field - Field holding the enhanced text
+ * @param {string} originalText - Text before the enhancement
+ * @param {string} enhancedText
+ * @param {string} [mode] - Enhancement mode, to run it again
+ */
+function showEnhanceReview(field, originalText, enhancedText, mode) {
+    const panel = document.getElementById('enhance-review');
+    const diff = document.getElementById('enhance-review-diff');
+    if (!panel || !diff) return;
+
+    pendingReview = { field, originalText, enhancedText, mode };
+
+    const modeId = mode || enhanceOptions?.defaultMode;
+    const label = enhanceOptions?.modes.find((option) => option.id === modeId)?.label;
+    document.getElementById('enhance-review-title').textContent = label ? `Enhanced: ${label}` : 'Enhanced prompt';
+
+    diff.replaceChildren(...diffWords(originalText, enhancedText).map((part) => (
+        part.type === 'same'
+            ? document.createTextNode(part.text)
+            : createElement('span', { className: `enhance-review__${part.type}` }, part.text)
+    )));
+    panel.classList.remove('enhance-review--hidden');
+    updateUndoButtons();
+}
+
+/**
+ * Close the review panel
+ */
+function hideEnhanceReview() {
+    pendingReview = null;
+    document.getElementById('enhance-review')?.classList.add('enhance-review--hidden');
+    updateUndoButtons();
+}
+
+/**
+ * Keep the enhancement under review
+ * @param {HTMLTextAreaElement} input - Prompt input element
+ */
+function acceptEnhancement(input) {
+    if (!pendingReview) return;
+
+    const { field, enhancedText } = pendingReview;
+    hideEnhanceReview();
+    if (field === input) {
+        promptHistory.record(enhancedText);
+    }
+}
+
+/**
+ * Put back the text from before the enhancement under review
+ * @param {HTMLTextAreaElement} input - Prompt input element
+ */
+function rejectEnhancement(input) {
+    if (!pendingReview) return;
+
+    const { field, originalText } = pendingReview;
+    hideEnhanceReview();
+    field.value = originalText;
+    if (field === input) {
+        autoResizeTextarea(input);
+    }
+    field.focus();
+}
+
+/**
+ * Set up undo/redo for the prompt: the buttons, Ctrl+Z / Ctrl+Shift+Z
+ * (Cmd on macOS) and Ctrl+Y, and recording typing once it pauses
+ * @param {HTMLTextAreaElement} input - Prompt input element
+ */
+function initPromptHistory(input) {
+    promptHistory.subscribe(updateUndoButtons);
+
+    document.getElementById('undo-btn')?.addEventListener('click', () => {
+        undoPrompt(input);
+        updateUndoButtons();
+    });
+    document.getElementById('redo-btn')?.addEventListener('click', () => {
+        redoPrompt(input);
+        updateUndoButtons();
+    });
+
+    const recordTyping = debounce(() => promptHistory.record(input.value), PROMPT_HISTORY_DELAY_MS);
+    input.addEventListener('input', () => {
+        recordTyping();
+        updateUndoButtons();
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoPrompt(input);
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoPrompt(input);
+        } else {
+            return;
+        }
+        updateUndoButtons();
+    });
+}
+
+/**
+ * Enable the undo and redo buttons when there is something to step to
+ */
+function updateUndoButtons() {
+    const input = document.getElementById('prompt-input');
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    if (!input) return;
+
+    // Unrecorded typing and enhancements under review can always be undone
+    const edited = input.value !== promptHistory.current();
+    if (undoBtn) undoBtn.disabled = !promptHistory.canUndo() && !edited && !pendingReview;
+    if (redoBtn) redoBtn.disabled = !promptHistory.canRedo() || edited || Boolean(pendingReview);
+}
+
+/**
+ * Step the prompt back one change. An enhancement under review is rejected.
+ * @param {HTMLTextAreaElement} input - Prompt input element
+ */
+function undoPrompt(input) {
+    if (input.readOnly) return;
+
+    if (pendingReview) {
+        rejectEnhancement(input);
+        return;
+    }
+
+    // Keep typing that has not been recorded yet, so redo brings it back
+    promptHistory.record(input.value);
+    const text = promptHistory.undo();
+    if (text !== null) {
+        input.value = text;
+        autoResizeTextarea(input);
+    }
+}
+
+/**
+ * Step the prompt forward one undone change
+ * @param {HTMLTextAreaElement} input - Prompt input element
+ */
+function redoPrompt(input) {
+    if (input.readOnly || pendingReview) return;
+
+    // Typing since the last undo replaces what could be redone
+    if (input.value !== promptHistory.current()) return;
+
+    const text = promptHistory.redo();
+    if (text !== null) {
+        input.value = text;
+        autoResizeTextarea(input);
     }
 }
 
+/**
+ * Replace the prompt text as one undoable change
+ * @param {HTMLTextAreaElement} input - Prompt input element
+ * @param {string} text
+ */
+function setPromptText(input, text) {
+    promptHistory.record(input.value);
+    input.value = text;
+    autoResizeTextarea(input);
+    promptHistory.record(text);
+}
+
 /**
  * Handle "Surprise Me" button - fill input with random creative prompt
  * @param {HTMLTextAreaElement} input - Prompt input element
@@ -1293,7 +1828,11 @@ async function handleEnhance(input, button) {
 async function handleSurpriseMe(input) {
     const randomPrompt = getRandomPrompt();
 
-    // Clear existing text
+    // Clear existing text, keeping it for undo
+    if (pendingReview) {
+        acceptEnhancement(input);
+    }
+    promptHistory.record(input.value);
     input.value = '';
 
     // Typing animation effect
@@ -1308,6 +1847,8 @@ async function handleSurpriseMe(input) {
             setTimeout(typeNextChar, typingSpeed);
         } else {
             // Done typing - flash and focus
+            promptHistory.record(input.value);
+            updateUndoButtons();
             flashInput(input);
             input.focus();
         }
@@ -1316,6 +1857,85 @@ async function handleSurpriseMe(input) {
     typeNextChar();
 }
 
+/**
+ * Handle describe-image event from lightbox
+ * @param {CustomEvent} event - Custom event with image data
+ */
+function handleDescribeImage(event) {
+    const image = event.detail;
+    if (!image?.url) return;
+
+    const button = document.querySelector('#lightbox-modal .modal__describe-btn');
+    handleDescribe(image.url, button, closeLightbox);
+}
+
+/**
+ * Write a prompt that reproduces an image, with a matching negative prompt
+ * and aspect ratio, into the prompt input and settings panel
+ * @param {Blob|string} image - Image file or URL
+ * @param {HTMLButtonElement|null} button - Button that started it, busy until done
+ * @param {() => void} [onDone] - Called after the description is applied
+ */
+async function handleDescribe(image, button, onDone) {
+    if (button?.disabled) return;
+
+    const label = button?.textContent;
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Describing…';
+    }
+
+    try {
+        const description = await describeImage(image, {
+            // Match the prompting style (sentences or tags) of the selected model
+            imageModel: document.getElementById('setting-model')?.value || undefined
+        });
+        applyDescription(description);
+        onDone?.();
+    } catch (error) {
+        console.error('Describe failed:', error);
+        showError(error, 'Failed to describe the image. Please try again.');
+    } finally {
+        if (button) {
+            button.disabled = false;
+            button.textContent = label;
+        }
+    }
+}
+
+/**
+ * Fill the prompt and the settings the selected model supports from an image description
+ * @param {import('./api.js').ImageDescription} description
+ */
+function applyDescription(description) {
+    const promptInput = document.getElementById('prompt-input');
+    const model = getSelectedModel();
+
+    if (promptInput) {
+        if (pendingReview) {
+            acceptEnhancement(promptInput);
+        }
+        setPromptText(promptInput, description.prompt);
+        flashInput(promptInput);
+    }
+
+    if (model?.params.negative_prompt && description.negativePrompt) {
+        writeSettingControl('negative_prompt', description.negativePrompt);
+    }
+
+    // Only offered values, so the select never ends up blank
+    const hasOption = (name, value) => Boolean(
+        document.getElementById(SETTING_CONTROLS[name].input)?.querySelector(`option[value="${value}"]`)
+    );
+    if (model?.params.aspect_ratio && hasOption('aspect_ratio', description.aspectRatio)) {
+        writeSettingControl('aspect_ratio', description.aspectRatio);
+    } else if (model?.params.image_size && hasOption('image_size', ASPECT_RATIO_SIZES[description.aspectRatio])) {
+        writeSettingControl('image_size', ASPECT_RATIO_SIZES[description.aspectRatio]);
+    }
+
+    updateCostEstimate();
+}
+
 /**
  * Handle remix-image event from lightbox
  * @param {CustomEvent} event - Custom event with image data
@@ -1330,8 +1950,10 @@ function handleRemixImage(event) {
 
     // 1. Set the prompt input value
     if (promptInput) {
-        promptInput.value = image.prompt || '';
-        autoResizeTextarea(promptInput);
+        if (pendingReview) {
+            acceptEnhancement(promptInput);
+        }
+        setPromptText(promptInput, image.prompt || '');
     }
 
     // 2. Restore settings if available
@@ -1344,6 +1966,11 @@ function handleRemixImage(event) {
         openSettings(settingsBtn, settingsPanel);
     }
 
+    // Pick up the refinement chat where it left off
+    if (image.conversation?.length) {
+        continueConversation(image.conversation);
+    }
+
     // 4. Close the lightbox
     closeLightbox();
 
@@ -1361,66 +1988,19 @@ function handleRemixImage(event) {
 function restoreSettings(settings) {
     // Model selection (must be first to trigger UI updates)
     const modelSelect = document.getElementById('setting-model');
-    if (modelSelect && settings.model) {
+    if (modelSelect && settings.model && modelRegistry.get(settings.model)?.available) {
         modelSelect.value = settings.model;
         updateSettingsForModel(settings.model);
     }
 
-    // Image size
-    const imageSizeSelect = document.getElementById('setting-image-size');
-    const customSizeGroup = document.getElementById('custom-size-group');
-    const widthInput = document.getElementById('setting-width');
-    const heightInput = document.getElementById('setting-height');
-
-    if (imageSizeSelect && settings.image_size) {
-        if (typeof settings.image_size === 'object') {
-            // Custom size
-            imageSizeSelect.value = 'custom';
-            if (customSizeGroup) customSizeGroup.classList.remove('settings-group--hidden');
-            if (widthInput) widthInput.value = settings.image_size.width || 1024;
-            if (heightInput) heightInput.value = settings.image_size.height || 768;
-        } else {
-            imageSizeSelect.value = settings.image_size;
-            if (customSizeGroup) customSizeGroup.classList.add('settings-group--hidden');
-        }
-    }
-
-    // Inference steps
-    const stepsInput = document.getElementById('setting-steps');
-    const stepsValue = document.getElementById('steps-value');
-    if (stepsInput && settings.num_inference_steps !== undefined) {
-        stepsInput.value = settings.num_inference_steps;
-        if (stepsValue) stepsValue.textContent = settings.num_inference_steps;
-    }
-
-    // Number of images
-    const numImagesSelect = document.getElementById('setting-num-images');
-    if (numImagesSelect && settings.num_images !== undefined) {
-        numImagesSelect.value = settings.num_images;
-    }
-
-    // Output format
-    const formatSelect = document.getElementById('setting-format');
-    if (formatSelect && settings.output_format) {
-        formatSelect.value = settings.output_format;
-    }
-
-    // Acceleration
-    const accelerationSelect = document.getElementById('setting-acceleration');
-    if (accelerationSelect && settings.acceleration) {
-        accelerationSelect.value = settings.acceleration;
-    }
-
-    // Seed
-    const seedInput = document.getElementById('setting-seed');
-    if (seedInput) {
-        seedInput.value = settings.seed !== undefined ? settings.seed : '';
-    }
+    // Parameter controls
+    Object.keys(SETTING_CONTROLS).forEach((name) => {
+        writeSettingControl(name, settings[name]);
+    });
 
-    // Safety checker
-    const safetyCheckbox = document.getElementById('setting-safety');
-    if (safetyCheckbox && settings.enable_safety_checker !== undefined) {
-        safetyCheckbox.checked = settings.enable_safety_checker;
+    // Seed is cleared when the saved image used a random seed
+    if (settings.seed === undefined) {
+        writeSettingControl('seed', '');
     }
 
     // Sync mode
@@ -1428,6 +2008,8 @@ function restoreSettings(settings) {
     if (syncCheckbox && settings.sync_mode !== undefined) {
         syncCheckbox.checked = settings.sync_mode;
     }
+
+    updateCostEstimate();
 }
 
 /**
@@ -1513,11 +2095,51 @@ function shakeElement(element) {
     }, 500);
 }
 
+/**
+ * Turn an API error or stream `error` event into a message the user can act on
+ * @param {import('./api.js').ApiError|{error: string, code?: string, reason?: string, retryAfter?: number}} error
+ * @param {string} [fallback] - Used when the error has neither a known code nor a message
+ * @returns {string}
+ */
+function describeError(error, fallback = 'Something went wrong. Please try again.') {
+    const describe = ERROR_MESSAGES[error?.code];
+    if (describe) return describe(error);
+    return error?.message || error?.error || fallback;
+}
+
+/**
+ * Message for a generation rejected by the daily or monthly image quota
+ * @param {import('./api.js').QuotaInfo} [quota]
+ * @returns {string}
+ */
+function describeQuotaError(quota) {
+    if (!quota) return 'You\'ve reached your image quota. Try again later.';
+
+    const period = quota.period === 'day' ? 'daily' : 'monthly';
+    const resetAt = new Date(quota.resetAt);
+    const resets = quota.period === 'day'
+        ? `at ${resetAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : `on ${resetAt.toLocaleDateString()}`;
+
+    if (quota.remaining > 0) {
+        return `Only ${quota.remaining} of your ${period} quota of ${quota.limit} images left, and this needs ${quota.requested}. ` +
+            `Ask for fewer images or a lower resolution, or wait until it resets ${resets}.`;
+    }
+    return `You've used your ${period} quota of ${quota.limit} images. It resets ${resets}.`;
+}
+
 /**
  * Show error message
- * @param {string} message
+ * @param {string|Object} error - Message, or an error to describe with describeError
+ * @param {string} [fallback] - Message for errors that don't describe themselves
  */
-function showError(message) {
+function showError(error, fallback) {
+    let message = typeof error === 'string' ? error : describeError(error, fallback);
+    // Lets users quote the failing request so it can be found in the server logs
+    if (error?.requestId) {
+        message += ` (ref: ${error.requestId})`;
+    }
+
     // Create toast notification
     const toast = document.createElement('div');
     toast.className = 'toast toast--error';
@@ -1544,6 +2166,37 @@ function showError(message) {
     }, 4000);
 }
 
+/**
+ * Offer to undo moving images to the trash. A newer deletion replaces the offer.
+ * @param {import('./state.js').ImageData[]} images
+ */
+function showUndoToast(images) {
+    undoToast?.remove();
+
+    const ids = images.map((image) => image.id);
+    let timer = null;
+    const toast = createElement('div', { className: 'undo-toast', role: 'status' }, [
+        createElement('span', {}, images.length === 1 ? 'Moved to trash' : `Moved ${images.length} images to trash`),
+        createElement('button', {
+            type: 'button',
+            className: 'undo-toast__button',
+            onClick: () => {
+                clearTimeout(timer);
+                toast.remove();
+                state.restoreImages(ids);
+            }
+        }, 'Undo'),
+    ]);
+
+    undoToast = toast;
+    document.body.appendChild(toast);
+
+    timer = setTimeout(() => {
+        toast.classList.add('undo-toast--leaving');
+        setTimeout(() => toast.remove(), 300);
+    }, UNDO_TOAST_MS);
+}
+
 // Add shake animation styles
 const style = document.createElement('style');
 style.textContent = `
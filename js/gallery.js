@@ -2,8 +2,11 @@
  * Gallery module for rendering the grid
  */
 
-import { createElement, downloadImage } from './utils.js';
+import { createElement, downloadImage, formatDate } from './utils.js';
 import { state } from './state.js';
+import { isSyncable } from './sync.js';
+import { renderImageOrganizer } from './organize.js';
+import { parseSearchQuery, isSearchActive, matchesSearch, highlightMatches, describeSize } from './search.js';
 
 /** @type {HTMLElement|null} */
 let galleryElement = null;
@@ -14,6 +17,9 @@ let emptyStateElement = null;
 /** @type {HTMLElement[]} */
 let placeholderElements = [];
 
+/** @type {number|null} */
+let placeholderTimer = null;
+
 /** @type {Map<string, number>} */
 let confirmationTimeouts = new Map();
 
@@ -23,6 +29,15 @@ let pendingDeletions = new Set();
 /** @type {HTMLElement|null} */
 let lastFocusedElement = null;
 
+/** @type {'mine'|'everyone'} Whose images the gallery shows */
+let galleryFilter = 'mine';
+
+/** @type {import('./organize.js').GalleryCollection|null} Album or tag the gallery is narrowed to */
+let galleryCollection = null;
+
+/** @type {import('./search.js').SearchQuery|null} Search box query, null when the box is empty */
+let gallerySearch = null;
+
 /** @type {HTMLElement|null} */
 let lightboxModalContentElement = null;
 
@@ -102,7 +117,7 @@ function resetConfirmationState(imageId) {
     if (deleteBtn) {
         deleteBtn.classList.remove('gallery__delete-btn--confirm');
         deleteBtn.textContent = '✕';
-        deleteBtn.title = 'Delete image';
+        deleteBtn.title = deleteBtn.dataset.title;
     }
 }
 
@@ -155,16 +170,44 @@ function handleStateChange(action, data) {
             // Preload image before showing to ensure seamless transition
             preloadAndShowImage(data);
             break;
-        case 'remove':
-            removeImageCard(data.id);
-            updateEmptyState();
+        case 'trash':
+            // Deleted images leave the grid, or join it in the trash view
+            if (galleryCollection?.type === 'trash') {
+                updateImageCards();
+            } else {
+                data.forEach(image => removeImageCard(image.id));
+                updateEmptyState();
+            }
             break;
-        case 'clear':
-            // Clean up all confirmation states
-            confirmationTimeouts.forEach(timeout => clearTimeout(timeout));
-            confirmationTimeouts.clear();
-            pendingDeletions.clear();
-            renderGallery();
+        case 'restore':
+            updateImageCards();
+            break;
+        case 'purge':
+            if (galleryCollection?.type === 'trash') updateImageCards();
+            break;
+        case 'trash-settings':
+            // Cards show when the trash will purge them
+            if (galleryCollection?.type === 'trash') renderImageCards();
+            break;
+        case 'update':
+            // An image taken out of the album or tag being shown disappears
+            if (galleryCollection) {
+                renderImageCards();
+            } else {
+                replaceImageCard(data);
+            }
+            break;
+        case 'albums':
+            if (galleryCollection) renderImageCards();
+            break;
+        case 'load':
+        case 'sync':
+            // The stored gallery finished loading, or images arrived from
+            // or were deleted on another device
+            renderImageCards();
+            break;
+        case 'feed':
+            if (galleryFilter === 'everyone') renderImageCards();
             break;
     }
 }
@@ -174,14 +217,19 @@ function handleStateChange(action, data) {
  * @param {Object} image - Image data
  */
 function preloadAndShowImage(image) {
+    // New images aren't in any album or tag yet, and may not match the search
+    if (!isShown(image)) {
+        updateEmptyState();
+        return;
+    }
+
     const img = new Image();
-    img.src = image.url;
+    img.src = state.getDisplayUrl(image);
 
     const showImage = () => {
         // Clean up event handlers to allow garbage collection
         img.onload = null;
         img.onerror = null;
-        removePlaceholder();
         prependImageCard(image, true); // true = already loaded
         updateEmptyState();
     };
@@ -194,6 +242,98 @@ function preloadAndShowImage(image) {
     }
 }
 
+/**
+ * Show only the user's own images, or add what teammates published to the feed
+ * @param {'mine'|'everyone'} filter
+ */
+export function setGalleryFilter(filter) {
+    if (filter === galleryFilter) return;
+    galleryFilter = filter;
+    renderImageCards();
+}
+
+/**
+ * Show only one album or tag (from the chips above the grid)
+ * @param {import('./organize.js').GalleryCollection|null} collection - Null shows everything
+ */
+export function setGalleryCollection(collection) {
+    galleryCollection = collection;
+    renderImageCards();
+}
+
+/**
+ * Show only images matching a search box query
+ * @param {string} text - Query, e.g. `model:flux-dev seed:42 "neon"` (see js/search.js)
+ */
+export function setGallerySearch(text) {
+    const query = parseSearchQuery(text);
+    gallerySearch = isSearchActive(query) ? query : null;
+    updateImageCards();
+}
+
+/**
+ * Whether an image passes the album or tag and the search being shown
+ * @param {Object} image
+ * @returns {boolean}
+ */
+function isShown(image) {
+    return isInCollection(image) && (!gallerySearch || matchesSearch(image, gallerySearch));
+}
+
+/**
+ * Whether an image belongs to the album or tag being shown
+ * @param {Object} image
+ * @returns {boolean}
+ */
+function isInCollection(image) {
+    if (!galleryCollection) return true;
+    if (galleryCollection.type === 'trash') {
+        return Boolean(image.deletedAt);
+    }
+    if (galleryCollection.type === 'favorites') {
+        return Boolean(image.favorite);
+    }
+    if (galleryCollection.type === 'album') {
+        return Boolean(image.albumIds?.includes(galleryCollection.id));
+    }
+    const tag = galleryCollection.tag.toLowerCase();
+    return Boolean(image.tags?.some(other => other.toLowerCase() === tag));
+}
+
+/**
+ * Images the current filters show, newest first; favorites best rated first,
+ * the trash most recently deleted first
+ * @returns {Array<import('./state.js').ImageData|import('./api.js').FeedImage>}
+ */
+function getVisibleImages() {
+    if (galleryCollection?.type === 'trash') {
+        return state.getTrash().filter(isShown);
+    }
+
+    const images = state.getImages().filter(isShown);
+    if (galleryCollection?.type === 'favorites') {
+        return images.sort((a, b) => (b.rating || 0) - (a.rating || 0) || b.createdAt - a.createdAt);
+    }
+
+    const feed = state.getFeed();
+    if (galleryFilter === 'mine' || !feed) return images;
+
+    // The user's own published images are already in their gallery
+    const ownIds = new Set(state.getImages().map(image => image.id));
+    return images
+        .concat(feed.filter(image => !ownIds.has(image.id) && isShown(image)))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Whether an image is in the user's own gallery (rather than a teammate's, from the feed)
+ * @param {Object} image
+ * @returns {boolean}
+ */
+function isOwnImage(image) {
+    return Boolean(state.getImage(image.id));
+}
+
 /**
  * Render the full gallery
  */
@@ -202,7 +342,7 @@ function renderGallery() {
 
     galleryElement.innerHTML = '';
 
-    const images = state.getImages();
+    const images = getVisibleImages();
 
     if (images.length === 0) {
         updateEmptyState();
@@ -220,14 +360,92 @@ function renderGallery() {
     updateEmptyState();
 }
 
+/**
+ * Re-render the image cards, keeping the placeholders of generations still running
+ */
+function renderImageCards() {
+    if (!galleryElement) return;
+
+    galleryElement.querySelectorAll('.gallery__card').forEach(card => card.remove());
+
+    const fragment = document.createDocumentFragment();
+    getVisibleImages().forEach(image => {
+        fragment.appendChild(createImageCard(image));
+    });
+    galleryElement.appendChild(fragment);
+
+    updateEmptyState();
+}
+
+/**
+ * Show the images the filters now match, keeping the cards already in the
+ * grid so each search keystroke only adds and removes what changed
+ */
+function updateImageCards() {
+    if (!galleryElement) return;
+
+    const images = getVisibleImages();
+    const ids = new Set(images.map(image => image.id));
+    const cards = new Map();
+    galleryElement.querySelectorAll('.gallery__card').forEach(card => {
+        if (ids.has(card.dataset.id)) {
+            cards.set(card.dataset.id, card);
+        } else {
+            card.remove();
+            resetConfirmationState(card.dataset.id);
+        }
+    });
+
+    // Walk the kept cards in order, slotting new ones in between
+    let next = galleryElement.querySelector('.gallery__card');
+    images.forEach(image => {
+        let card = cards.get(image.id);
+        if (card) {
+            updateMatchCaption(card, image);
+        } else {
+            card = createImageCard(image);
+        }
+
+        if (card !== next) {
+            galleryElement.insertBefore(card, next);
+        }
+        next = card.nextElementSibling;
+    });
+
+    updateEmptyState();
+}
+
 /**
  * Update empty state visibility
  */
 function updateEmptyState() {
     if (!emptyStateElement) return;
 
-    const hasImages = state.getImages().length > 0 || placeholderElements.length > 0;
+    const hasImages = getVisibleImages().length > 0 || placeholderElements.length > 0;
     emptyStateElement.style.display = hasImages ? 'none' : 'flex';
+
+    // Nothing matches the search, or the album or tag shown is empty
+    const title = emptyStateElement.querySelector('.empty-state__title');
+    const description = emptyStateElement.querySelector('.empty-state__description');
+    if (title && description) {
+        title.dataset.default ??= title.textContent;
+        description.dataset.default ??= description.textContent;
+
+        let text = [title.dataset.default, description.dataset.default];
+        if (gallerySearch) {
+            text = ['No matches', 'Try fewer words, or check the model:, seed:, size: and date filters.'];
+        } else if (galleryCollection?.type === 'trash') {
+            const days = state.getTrashDays();
+            text = ['Trash is empty', days
+                ? `Deleted images stay here for ${days} day${days === 1 ? '' : 's'}, so you can restore them.`
+                : 'Deleted images stay here until you empty the trash.'];
+        } else if (galleryCollection?.type === 'favorites') {
+            text = ['No favorites yet', 'Press ♡ on an image to keep it here, best rated first.'];
+        } else if (galleryCollection) {
+            text = ['Nothing here yet', 'Open an image and add it from the Albums and Tags fields below its prompt.'];
+        }
+        [title.textContent, description.textContent] = text;
+    }
 }
 
 /**
@@ -242,17 +460,23 @@ function createImageCard(image, preloaded = false) {
         dataset: { id: image.id }
     });
 
-    // Delete button
+    // Delete button: moves the image to the trash, or out of the trash for good
+    const deleteTitle = image.deletedAt ? 'Delete forever' : 'Delete image';
     const deleteBtn = createElement('button', {
         className: 'gallery__delete-btn',
-        title: 'Delete image',
+        title: deleteTitle,
+        dataset: { title: deleteTitle },
         onClick: (e) => {
             e.stopPropagation();
 
             if (pendingDeletions.has(image.id)) {
                 // Second press - confirm deletion
                 resetConfirmationState(image.id);
-                state.removeImage(image.id);
+                if (image.deletedAt) {
+                    state.purgeImages([image.id]);
+                } else {
+                    state.trashImages([image.id]);
+                }
             } else {
                 // First press - show confirmation
                 handleFirstDeletePress(image.id);
@@ -263,7 +487,7 @@ function createImageCard(image, preloaded = false) {
     // Image element
     const img = createElement('img', {
         className: preloaded ? 'gallery__image gallery__image--loaded' : 'gallery__image gallery__image--loading',
-        src: image.url,
+        src: state.getDisplayUrl(image),
         alt: image.prompt,
         loading: 'lazy'
     });
@@ -276,15 +500,124 @@ function createImageCard(image, preloaded = false) {
         };
     }
 
-    card.appendChild(deleteBtn);
+    // Only the author can delete an image; teammates' images show who made them
+    if (image.deletedAt) {
+        card.classList.add('gallery__card--trashed');
+        card.appendChild(deleteBtn);
+        card.appendChild(createElement('span', { className: 'gallery__badge' }, describeTrashExpiry(image)));
+        card.appendChild(createElement('button', {
+            type: 'button',
+            className: 'gallery__restore-btn',
+            title: 'Put back in the gallery',
+            onClick: (e) => {
+                e.stopPropagation();
+                state.restoreImages([image.id]);
+            }
+        }, 'Restore'));
+    } else if (isOwnImage(image)) {
+        card.appendChild(deleteBtn);
+        card.appendChild(createFavoriteButton(image));
+        card.appendChild(createRating(image));
+        if (image.shared) {
+            card.appendChild(createElement('span', { className: 'gallery__badge', title: 'Shared with the team' }, 'Shared'));
+        }
+    } else {
+        card.appendChild(createElement('span', { className: 'gallery__badge' }, image.author || 'Teammate'));
+    }
     card.appendChild(img);
+    updateMatchCaption(card, image);
 
-    // Click to open lightbox
-    card.addEventListener('click', () => openLightbox(image));
+    // Click to open lightbox (images in the trash only restore or purge)
+    if (!image.deletedAt) {
+        card.addEventListener('click', () => openLightbox(image));
+    }
 
     return card;
 }
 
+/**
+ * When the trash will delete an image for good, for its card
+ * @param {import('./state.js').ImageData} image
+ * @returns {string}
+ */
+function describeTrashExpiry(image) {
+    const expiresAt = state.getTrashExpiry(image);
+    if (expiresAt === null) return 'Kept until the trash is emptied';
+
+    const days = Math.max(1, Math.ceil((expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+    return `Deleted for good in ${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Show what a card matched the search with: its prompt with the words found
+ * highlighted, and the settings filtered on. Removes the caption when not searching.
+ * @param {HTMLElement} card
+ * @param {Object} image
+ */
+function updateMatchCaption(card, image) {
+    card.querySelector('.gallery__match')?.remove();
+    if (!gallerySearch) return;
+
+    const settings = image.settings || {};
+    const details = [settings.model];
+    if (gallerySearch.seed !== null) details.push(`seed ${settings.seed}`);
+    if (gallerySearch.size !== null) details.push(describeSize(settings));
+    if (gallerySearch.after !== null || gallerySearch.before !== null) details.push(formatDate(image.createdAt));
+
+    const detailTerms = [...gallerySearch.terms, gallerySearch.model, gallerySearch.size].filter(Boolean);
+    if (gallerySearch.seed !== null) detailTerms.push(`seed ${gallerySearch.seed}`);
+
+    card.appendChild(createElement('div', { className: 'gallery__match' }, [
+        createElement('p', { className: 'gallery__match-prompt' }, highlightMatches(image.prompt || '', gallerySearch.terms)),
+        createElement('p', { className: 'gallery__match-details' }, highlightMatches(details.filter(Boolean).join(' · '), detailTerms))
+    ]));
+}
+
+/**
+ * Heart button that marks an image as a favorite
+ * @param {import('./state.js').ImageData} image
+ * @returns {HTMLElement}
+ */
+function createFavoriteButton(image) {
+    const favorite = Boolean(image.favorite);
+    return createElement('button', {
+        type: 'button',
+        className: `gallery__favorite-btn${favorite ? ' gallery__favorite-btn--active' : ''}`,
+        title: favorite ? 'Remove from favorites' : 'Add to favorites',
+        'aria-pressed': String(favorite),
+        onClick: (e) => {
+            e.stopPropagation();
+            state.setFavorite(image.id, !favorite);
+        }
+    }, favorite ? '♥' : '♡');
+}
+
+/**
+ * Five stars to rate an image; pressing its current rating clears it
+ * @param {import('./state.js').ImageData} image
+ * @returns {HTMLElement}
+ */
+function createRating(image) {
+    const rating = image.rating || 0;
+    const stars = [1, 2, 3, 4, 5].map(star => createElement('button', {
+        type: 'button',
+        className: `gallery__star${star <= rating ? ' gallery__star--on' : ''}`,
+        title: star === rating ? 'Clear rating' : `Rate ${star} star${star === 1 ? '' : 's'}`,
+        'aria-label': `${star} star${star === 1 ? '' : 's'}`,
+        'aria-pressed': String(star === rating),
+        onClick: (e) => {
+            e.stopPropagation();
+            state.setRating(image.id, star === rating ? 0 : star);
+        }
+    }, '★'));
+
+    return createElement('div', {
+        className: `gallery__rating${rating ? ' gallery__rating--set' : ''}`,
+        role: 'group',
+        'aria-label': 'Rating'
+    }, stars);
+}
+
 /**
  * Prepend a new image card to the gallery
  * @param {Object} image - Image data
@@ -297,6 +630,19 @@ function prependImageCard(image, preloaded = false) {
     galleryElement.insertBefore(card, galleryElement.firstChild);
 }
 
+/**
+ * Swap an image's card for a fresh one after the image changed
+ * @param {Object} image - Updated image data
+ */
+function replaceImageCard(image) {
+    if (!galleryElement) return;
+
+    const card = galleryElement.querySelector(`[data-id="${image.id}"]`);
+    if (card) {
+        card.replaceWith(createImageCard(image, true));
+    }
+}
+
 /**
  * Remove an image card from the gallery
  * @param {string} id - Image ID
@@ -330,29 +676,104 @@ function removeImageCard(id) {
 
 /**
  * Show loading placeholder
+ * @returns {HTMLElement|null} The placeholder, so its owner can update or remove it later
  */
 export function showPlaceholder() {
-    if (!galleryElement) return;
+    if (!galleryElement) return null;
 
     const placeholder = createElement('div', {
-        className: 'gallery__placeholder'
-    });
+        className: 'gallery__placeholder',
+        dataset: { startedAt: String(Date.now()) }
+    }, [
+        createElement('div', { className: 'gallery__placeholder-info' }, [
+            createElement('span', { className: 'gallery__placeholder-status' }, 'Submitting'),
+            createElement('span', { className: 'gallery__placeholder-elapsed' }, '0s'),
+            createElement('span', { className: 'gallery__placeholder-log' }, '')
+        ])
+    ]);
 
     placeholderElements.push(placeholder);
     galleryElement.insertBefore(placeholder, galleryElement.firstChild);
     updateEmptyState();
+    startPlaceholderTimer();
+    return placeholder;
 }
 
 /**
- * Remove loading placeholder
+ * Update the progress text on a placeholder card
+ * @param {HTMLElement} placeholder - Placeholder from showPlaceholder
+ * @param {Object} progress
+ * @param {string} [progress.status] - Queue status (IN_QUEUE, IN_PROGRESS, COMPLETED)
+ * @param {number|null} [progress.queuePosition] - Zero-based position while queued
+ * @param {string} [progress.message] - Latest log line
  */
-export function removePlaceholder() {
-    const placeholder = placeholderElements.pop();
-    if (placeholder) {
-        placeholder.remove();
+export function updatePlaceholder(placeholder, { status, queuePosition, message } = {}) {
+    if (!placeholder) return;
+
+    const statusElement = placeholder.querySelector('.gallery__placeholder-status');
+    if (statusElement && status) {
+        if (status === 'IN_QUEUE') {
+            statusElement.textContent = typeof queuePosition === 'number' ? `Queued #${queuePosition + 1}` : 'Queued';
+        } else if (status === 'IN_PROGRESS') {
+            statusElement.textContent = 'Generating';
+        } else if (status === 'COMPLETED') {
+            statusElement.textContent = 'Finishing';
+        }
+    }
+
+    const logElement = placeholder.querySelector('.gallery__placeholder-log');
+    if (logElement && message) {
+        logElement.textContent = message;
+        logElement.title = message;
     }
 }
 
+/**
+ * Tick the elapsed time on every placeholder once per second
+ */
+function startPlaceholderTimer() {
+    if (placeholderTimer) return;
+
+    placeholderTimer = setInterval(() => {
+        if (placeholderElements.length === 0) {
+            clearInterval(placeholderTimer);
+            placeholderTimer = null;
+            return;
+        }
+
+        const now = Date.now();
+        placeholderElements.forEach((placeholder) => {
+            const elapsed = placeholder.querySelector('.gallery__placeholder-elapsed');
+            if (elapsed) {
+                elapsed.textContent = formatElapsed(now - Number(placeholder.dataset.startedAt));
+            }
+        });
+    }, 1000);
+}
+
+/**
+ * Format a duration as "42s" or "3m 05s"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatElapsed(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Remove a loading placeholder
+ * @param {HTMLElement} [placeholder] - Placeholder to remove (defaults to the most recent one)
+ */
+export function removePlaceholder(placeholder) {
+    const index = placeholder ? placeholderElements.indexOf(placeholder) : placeholderElements.length - 1;
+    if (index === -1) return;
+
+    placeholderElements.splice(index, 1)[0].remove();
+    updateEmptyState();
+}
+
 /**
  * Remove all loading placeholders
  */
@@ -372,6 +793,7 @@ function openLightbox(image) {
 
     const modalImage = modal.querySelector('.modal__image');
     const modalPrompt = modal.querySelector('.modal__prompt');
+    const modalAuthor = modal.querySelector('.modal__author');
     const downloadBtn = modal.querySelector('.modal__download-btn');
     const copyBtn = modal.querySelector('.modal__copy-btn');
     const actionsContainer = modal.querySelector('.modal__actions');
@@ -383,16 +805,32 @@ function openLightbox(image) {
     resetLightboxSwipeState();
 
     if (modalImage) {
-        modalImage.src = image.url;
+        modalImage.src = state.getDisplayUrl(image);
         modalImage.alt = image.prompt;
     }
 
     if (modalPrompt) {
-        modalPrompt.textContent = image.prompt;
+        modalPrompt.replaceChildren(...highlightMatches(image.prompt, gallerySearch?.terms || []));
+    }
+
+    // Albums and tags, for the user's own images
+    const organize = modal.querySelector('.modal__organize');
+    if (organize) {
+        organize.hidden = !isOwnImage(image);
+        if (!organize.hidden) {
+            renderImageOrganizer(organize, image.id);
+        }
+    }
+
+    // Attribution only means something once there is a team feed
+    if (modalAuthor) {
+        const isOwn = isOwnImage(image);
+        modalAuthor.hidden = state.getFeed() === null && isOwn;
+        modalAuthor.textContent = isOwn ? 'By you' : `By ${image.author || 'a teammate'}`;
     }
 
     if (downloadBtn) {
-        downloadBtn.onclick = () => downloadImage(image.url, `ai-image-${image.id}.png`);
+        downloadBtn.onclick = () => downloadImage(state.getDisplayUrl(image), `ai-image-${image.id}.png`);
     }
 
     if (copyBtn) {
@@ -427,6 +865,36 @@ function openLightbox(image) {
 
         // Insert before download button
         actionsContainer.insertBefore(remixBtn, downloadBtn);
+
+        // Write a prompt that reproduces this image (handled in app.js)
+        actionsContainer.querySelector('.modal__describe-btn')?.remove();
+        const describeBtn = createElement('button', {
+            className: 'modal__button modal__describe-btn',
+            title: 'Write a prompt in this image\'s style',
+            onClick: () => {
+                window.dispatchEvent(new CustomEvent('describe-image', { detail: image }));
+            }
+        }, 'Describe 🔍');
+        actionsContainer.insertBefore(describeBtn, downloadBtn);
+
+        // Publish or unpublish the user's own image on the team feed
+        const existingShareBtn = actionsContainer.querySelector('.modal__share-btn');
+        if (existingShareBtn) {
+            existingShareBtn.remove();
+        }
+
+        if (state.getFeed() !== null && isOwnImage(image) && isSyncable(image)) {
+            const shareBtn = createElement('button', {
+                className: 'modal__button modal__share-btn',
+                onClick: () => {
+                    const shared = !state.getImage(image.id)?.shared;
+                    state.updateImage(image.id, { shared });
+                    shareBtn.textContent = getShareLabel(shared);
+                }
+            }, getShareLabel(image.shared));
+
+            actionsContainer.insertBefore(shareBtn, downloadBtn);
+        }
     }
 
     modal.classList.remove('modal--ui-hidden', 'modal--dragging');
@@ -443,6 +911,15 @@ function openLightbox(image) {
     }
 }
 
+/**
+ * Label of the lightbox button that toggles publishing
+ * @param {boolean} [shared] - Whether the image is published now
+ * @returns {string}
+ */
+function getShareLabel(shared) {
+    return shared ? 'Make private 🔒' : 'Share with team 👥';
+}
+
 /**
  * Close lightbox modal
  */
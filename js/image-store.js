@@ -0,0 +1,134 @@
+/**
+ * IndexedDB storage for the gallery: the image records and the image files
+ * themselves, so the gallery survives provider URLs expiring and works offline.
+ *
+ * Database `ai-image-generator`:
+ *   images  ImageData records (js/state.js), keyed by `id`
+ *   blobs   Image bytes as Blobs, keyed by the image's `id`
+ */
+
+const DB_NAME = 'ai-image-generator';
+const DB_VERSION = 1;
+const IMAGES_STORE = 'images';
+const BLOBS_STORE = 'blobs';
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+/**
+ * Open the database, creating its object stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+                    db.createObjectStore(IMAGES_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(BLOBS_STORE)) {
+                    db.createObjectStore(BLOBS_STORE);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run one transaction
+ * @param {string[]} storeNames
+ * @param {IDBTransactionMode} mode
+ * @param {(...stores: IDBObjectStore[]) => IDBRequest|IDBRequest[]|void} work - Gets the stores in the order named
+ * @returns {Promise<*>} Result of the request(s) `work` returns, once the transaction has committed
+ * @throws {DOMException} If the transaction fails, e.g. QuotaExceededError when storage is full
+ */
+async function transact(storeNames, mode, work) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const requests = work(...storeNames.map((name) => transaction.objectStore(name)));
+
+        transaction.oncomplete = () => {
+            resolve(Array.isArray(requests) ? requests.map((request) => request.result) : requests?.result);
+        };
+        // A failed request aborts the whole transaction, so nothing is half-written
+        transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+}
+
+/**
+ * All stored images, newest first
+ * @returns {Promise<import('./state.js').ImageData[]>}
+ */
+export async function loadImages() {
+    const images = await transact([IMAGES_STORE], 'readonly', (images) => images.getAll());
+    return images.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Add or replace image records
+ * @param {import('./state.js').ImageData[]} images
+ * @returns {Promise<void>}
+ */
+export async function saveImages(images) {
+    if (images.length === 0) return;
+    await transact([IMAGES_STORE], 'readwrite', (store) => {
+        images.forEach((image) => store.put(image));
+    });
+}
+
+/**
+ * Delete images and their stored files
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export async function deleteImages(ids) {
+    if (ids.length === 0) return;
+    await transact([IMAGES_STORE, BLOBS_STORE], 'readwrite', (images, blobs) => {
+        ids.forEach((id) => {
+            images.delete(id);
+            blobs.delete(id);
+        });
+    });
+}
+
+/**
+ * Store the file of an image
+ * @param {string} id - Image ID
+ * @param {Blob} blob
+ * @returns {Promise<void>}
+ */
+export async function saveImageBlob(id, blob) {
+    await transact([BLOBS_STORE], 'readwrite', (blobs) => {
+        blobs.put(blob, id);
+    });
+}
+
+/**
+ * Every stored image file
+ * @returns {Promise<Map<string, Blob>>} Blobs by image ID
+ */
+export async function loadImageBlobs() {
+    const [ids, blobs] = await transact([BLOBS_STORE], 'readonly', (store) => [store.getAllKeys(), store.getAll()]);
+    return new Map(ids.map((id, index) => [id, blobs[index]]));
+}
+
+/**
+ * Whether a storage error means the browser's quota for the site is used up
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError';
+}
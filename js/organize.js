@@ -0,0 +1,401 @@
+/**
+ * Albums and tags for organizing the gallery: the filter chips (including
+ * favorites and the trash), album and trash controls above the grid, and the
+ * albums and tags editor in the lightbox. Albums, tags and favorites are kept
+ * on the images in js/state.js, in this browser.
+ */
+
+import { state } from './state.js';
+import { createElement } from './utils.js';
+
+/** How long the delete album and empty trash buttons wait for the confirming press */
+const DELETE_CONFIRM_MS = 3000;
+
+/**
+ * What the gallery is narrowed to
+ * @typedef {{type: 'favorites'}|{type: 'trash'}|{type: 'album', id: string}|{type: 'tag', tag: string}} GalleryCollection
+ */
+
+/** @type {(collection: GalleryCollection|null) => void} */
+let onCollectionChange = () => {};
+
+/** @type {GalleryCollection|null} */
+let activeCollection = null;
+
+/** @type {'create'|'rename'|null} What the album name form is open for */
+let albumFormMode = null;
+
+/** @type {number|null} */
+let deleteConfirmTimer = null;
+
+/** @type {number|null} */
+let emptyConfirmTimer = null;
+
+/** @type {HTMLElement|null} Albums and tags editor in the lightbox */
+let organizerElement = null;
+
+/** @type {string|null} Image the lightbox editor shows */
+let organizerImageId = null;
+
+let subscribed = false;
+
+/**
+ * Set up the album and tag chips above the gallery
+ * @param {Object} handlers
+ * @param {(collection: GalleryCollection|null) => void} handlers.onChange - Show only favorites, an album or a tag (null: everything)
+ */
+export function initGalleryToolbar({ onChange }) {
+    onCollectionChange = onChange;
+
+    document.getElementById('gallery-chips')?.addEventListener('click', (e) => {
+        const chip = e.target.closest('.gallery-toolbar__chip');
+        if (!chip) return;
+
+        if (chip.dataset.favorites) {
+            selectCollection({ type: 'favorites' });
+        } else if (chip.dataset.trash) {
+            selectCollection({ type: 'trash' });
+        } else if (chip.dataset.album) {
+            selectCollection({ type: 'album', id: chip.dataset.album });
+        } else if (chip.dataset.tag) {
+            selectCollection({ type: 'tag', tag: chip.dataset.tag });
+        } else {
+            selectCollection(null);
+        }
+    });
+
+    document.getElementById('album-new')?.addEventListener('click', () => openAlbumForm('create'));
+    document.getElementById('album-rename')?.addEventListener('click', () => openAlbumForm('rename'));
+    document.getElementById('album-delete')?.addEventListener('click', handleDeleteAlbum);
+    document.getElementById('album-cancel')?.addEventListener('click', closeAlbumForm);
+    document.getElementById('trash-empty')?.addEventListener('click', handleEmptyTrash);
+    document.getElementById('trash-days')?.addEventListener('change', (e) => {
+        state.setTrashDays(Number(e.target.value));
+    });
+
+    const form = document.getElementById('album-form');
+    form?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAlbumForm();
+    });
+    form?.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeAlbumForm();
+    });
+
+    subscribe();
+    renderToolbar();
+}
+
+/**
+ * Show the albums and tags editor for an image (in the lightbox)
+ * @param {HTMLElement} container
+ * @param {string} imageId
+ */
+export function renderImageOrganizer(container, imageId) {
+    organizerElement = container;
+    organizerImageId = imageId;
+    subscribe();
+    renderOrganizer();
+}
+
+/**
+ * Keep the toolbar and the lightbox editor in step with the gallery
+ */
+function subscribe() {
+    if (subscribed) return;
+    subscribed = true;
+
+    state.subscribe((action, data) => {
+        if (action === 'spend' || action === 'feed' || action === 'storage-error') return;
+        renderToolbar();
+        if (action === 'albums' || (action === 'update' && data.id === organizerImageId)) {
+            renderOrganizer();
+        }
+    });
+}
+
+/**
+ * Narrow the gallery to favorites, one album or one tag
+ * @param {GalleryCollection|null} collection
+ */
+function selectCollection(collection) {
+    activeCollection = collection;
+    closeAlbumForm();
+    onCollectionChange(collection);
+    renderToolbar();
+}
+
+/**
+ * Whether the selected album or tag still exists
+ * @returns {boolean}
+ */
+function isActiveCollectionValid() {
+    if (!activeCollection || activeCollection.type === 'favorites' || activeCollection.type === 'trash') return true;
+    if (activeCollection.type === 'album') {
+        return Boolean(state.getAlbum(activeCollection.id));
+    }
+    const tag = activeCollection.tag.toLowerCase();
+    return state.getTags().some((entry) => entry.tag.toLowerCase() === tag);
+}
+
+/**
+ * Render the chips: everything, favorites, then each album, then each tag,
+ * then the trash, with counts
+ */
+function renderToolbar() {
+    const toolbar = document.getElementById('gallery-toolbar');
+    const chips = document.getElementById('gallery-chips');
+    if (!toolbar || !chips) return;
+
+    // The album was deleted or the last image with the tag lost it
+    if (!isActiveCollectionValid()) {
+        selectCollection(null);
+        return;
+    }
+
+    const images = state.getImages();
+    const albums = state.getAlbums();
+    const tags = state.getTags();
+    const trash = state.getTrash();
+    toolbar.classList.toggle('gallery-toolbar--hidden', images.length === 0 && albums.length === 0 && trash.length === 0);
+
+    const chip = (label, dataset, active) => createElement('button', {
+        type: 'button',
+        className: `gallery-toolbar__chip${active ? ' gallery-toolbar__chip--active' : ''}`,
+        'aria-pressed': String(active),
+        dataset
+    }, label);
+
+    const favorites = images.filter((image) => image.favorite).length;
+    const showingFavorites = activeCollection?.type === 'favorites';
+    const showingTrash = activeCollection?.type === 'trash';
+
+    chips.replaceChildren(
+        chip('All', {}, activeCollection === null),
+        ...(favorites > 0 || showingFavorites ? [chip(`♥ Favorites · ${favorites}`, { favorites: 'true' }, showingFavorites)] : []),
+        ...albums.map((album) => {
+            const count = images.filter((image) => image.albumIds?.includes(album.id)).length;
+            const active = activeCollection?.type === 'album' && activeCollection.id === album.id;
+            return chip(`📁 ${album.name} · ${count}`, { album: album.id }, active);
+        }),
+        ...tags.map(({ tag, count }) => {
+            const active = activeCollection?.type === 'tag' && activeCollection.tag.toLowerCase() === tag.toLowerCase();
+            return chip(`#${tag} · ${count}`, { tag }, active);
+        }),
+        ...(trash.length > 0 || showingTrash ? [chip(`🗑 Trash · ${trash.length}`, { trash: 'true' }, showingTrash)] : [])
+    );
+
+    // Rename and delete act on the album being shown
+    const albumSelected = activeCollection?.type === 'album';
+    document.getElementById('album-rename')?.toggleAttribute('hidden', !albumSelected);
+    document.getElementById('album-delete')?.toggleAttribute('hidden', !albumSelected);
+    if (!albumSelected) resetDeleteConfirm();
+
+    // Emptying and the purge delay apply to the trash being shown
+    document.getElementById('trash-empty')?.toggleAttribute('hidden', !showingTrash || trash.length === 0);
+    document.getElementById('trash-days-field')?.toggleAttribute('hidden', !showingTrash);
+    const daysInput = document.getElementById('trash-days');
+    if (daysInput && document.activeElement !== daysInput) {
+        daysInput.value = String(state.getTrashDays());
+    }
+    if (!showingTrash || trash.length === 0) resetEmptyConfirm();
+}
+
+/**
+ * Open the album name form to create an album or rename the one shown
+ * @param {'create'|'rename'} mode
+ */
+function openAlbumForm(mode) {
+    const form = document.getElementById('album-form');
+    const input = document.getElementById('album-name');
+    if (!form || !input) return;
+
+    albumFormMode = mode;
+    input.value = mode === 'rename' ? state.getAlbum(activeCollection?.id)?.name || '' : '';
+    form.classList.remove('gallery-toolbar__form--hidden');
+    input.focus();
+    input.select();
+}
+
+/**
+ * Close the album name form without saving
+ */
+function closeAlbumForm() {
+    albumFormMode = null;
+    document.getElementById('album-form')?.classList.add('gallery-toolbar__form--hidden');
+}
+
+/**
+ * Create or rename the album from the name form
+ */
+function submitAlbumForm() {
+    const name = document.getElementById('album-name')?.value || '';
+    if (!name.trim()) return;
+
+    if (albumFormMode === 'rename' && activeCollection?.type === 'album') {
+        state.renameAlbum(activeCollection.id, name);
+        closeAlbumForm();
+    } else {
+        // Show the new album; images are added to it from the lightbox
+        const album = state.createAlbum(name);
+        if (album) selectCollection({ type: 'album', id: album.id });
+    }
+}
+
+/**
+ * Delete the album shown, on the second press. Its images stay in the gallery.
+ */
+function handleDeleteAlbum() {
+    const button = document.getElementById('album-delete');
+    if (!button || activeCollection?.type !== 'album') return;
+
+    if (deleteConfirmTimer === null) {
+        button.textContent = 'Press again to delete';
+        button.classList.add('gallery-toolbar__action--confirm');
+        deleteConfirmTimer = setTimeout(resetDeleteConfirm, DELETE_CONFIRM_MS);
+        return;
+    }
+
+    resetDeleteConfirm();
+    state.deleteAlbum(activeCollection.id);
+}
+
+/**
+ * Put the delete album button back to its first-press state
+ */
+function resetDeleteConfirm() {
+    clearTimeout(deleteConfirmTimer);
+    deleteConfirmTimer = null;
+
+    const button = document.getElementById('album-delete');
+    if (button) {
+        button.textContent = 'Delete album';
+        button.classList.remove('gallery-toolbar__action--confirm');
+    }
+}
+
+/**
+ * Delete everything in the trash for good, on the second press
+ */
+function handleEmptyTrash() {
+    const button = document.getElementById('trash-empty');
+    if (!button) return;
+
+    if (emptyConfirmTimer === null) {
+        button.textContent = 'Press again to empty';
+        button.classList.add('gallery-toolbar__action--confirm');
+        emptyConfirmTimer = setTimeout(resetEmptyConfirm, DELETE_CONFIRM_MS);
+        return;
+    }
+
+    resetEmptyConfirm();
+    state.emptyTrash();
+}
+
+/**
+ * Put the empty trash button back to its first-press state
+ */
+function resetEmptyConfirm() {
+    clearTimeout(emptyConfirmTimer);
+    emptyConfirmTimer = null;
+
+    const button = document.getElementById('trash-empty');
+    if (button) {
+        button.textContent = 'Empty trash';
+        button.classList.remove('gallery-toolbar__action--confirm');
+    }
+}
+
+/**
+ * Render the lightbox editor: album toggles, a new album field, the image's
+ * tags and a field to add more
+ */
+function renderOrganizer() {
+    const image = state.getImage(organizerImageId);
+    if (!organizerElement || !image) return;
+
+    const albumChips = state.getAlbums().map((album) => {
+        const inAlbum = Boolean(image.albumIds?.includes(album.id));
+        return createElement('button', {
+            type: 'button',
+            className: `modal__chip${inAlbum ? ' modal__chip--active' : ''}`,
+            'aria-pressed': String(inAlbum),
+            title: inAlbum ? `Remove from ${album.name}` : `Add to ${album.name}`,
+            onClick: () => state.setImageAlbum(image.id, album.id, !inAlbum)
+        }, `📁 ${album.name}`);
+    });
+
+    const newAlbumInput = createElement('input', {
+        type: 'text',
+        className: 'modal__organize-input',
+        placeholder: 'New album…',
+        maxlength: '60',
+        'aria-label': 'New album name',
+        dataset: { field: 'album' },
+        onKeydown: (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            const album = state.createAlbum(e.target.value);
+            if (album) {
+                state.setImageAlbum(image.id, album.id, true);
+                refocus('album');
+            }
+        }
+    });
+
+    const tags = image.tags || [];
+    const tagChips = tags.map((tag) => createElement('span', { className: 'modal__chip modal__chip--tag' }, [
+        `#${tag}`,
+        createElement('button', {
+            type: 'button',
+            className: 'modal__chip-remove',
+            title: `Remove tag ${tag}`,
+            'aria-label': `Remove tag ${tag}`,
+            onClick: () => state.setImageTags(image.id, tags.filter((other) => other !== tag))
+        }, '✕'),
+    ]));
+
+    // Suggest tags already used elsewhere in the gallery
+    const suggestions = createElement('datalist', { id: 'tag-suggestions' },
+        state.getTags().map(({ tag }) => createElement('option', { value: tag })));
+
+    const tagInput = createElement('input', {
+        type: 'text',
+        className: 'modal__organize-input',
+        placeholder: 'Add tag…',
+        maxlength: '40',
+        list: 'tag-suggestions',
+        'aria-label': 'Add tag',
+        dataset: { field: 'tags' },
+        onKeydown: (e) => {
+            // Enter or a comma adds; commas in pasted text add several
+            if (e.key !== 'Enter' && e.key !== ',') return;
+            e.preventDefault();
+            if (!e.target.value.trim()) return;
+            state.setImageTags(image.id, [...tags, ...e.target.value.split(',')]);
+            refocus('tags');
+        }
+    });
+
+    organizerElement.replaceChildren(
+        createElement('div', { className: 'modal__organize-row' }, [
+            createElement('span', { className: 'modal__organize-label' }, 'Albums'),
+            ...albumChips,
+            newAlbumInput,
+        ]),
+        createElement('div', { className: 'modal__organize-row' }, [
+            createElement('span', { className: 'modal__organize-label' }, 'Tags'),
+            ...tagChips,
+            tagInput,
+            suggestions,
+        ])
+    );
+}
+
+/**
+ * Put focus back in an editor field after a change re-rendered it
+ * @param {'album'|'tags'} field
+ */
+function refocus(field) {
+    organizerElement?.querySelector(`.modal__organize-input[data-field="${field}"]`)?.focus();
+}
@@ -0,0 +1,140 @@
+/**
+ * Generation cost estimates from the model registry's list prices (USD)
+ */
+
+/**
+ * @typedef {Object} ModelPricing
+ * @property {'image'|'megapixel'} per - Billing unit
+ * @property {number} usd - Price per image or per megapixel
+ * @property {{param: string, usd: Object<string, number>}} [tiers] - Prices for specific values of a parameter
+ */
+
+/**
+ * @typedef {Object} CostEstimate
+ * @property {number} total - Estimated cost of the whole generation
+ * @property {number} perImage - Estimated cost of one image
+ * @property {number} count - Number of images
+ */
+
+/** Pixels in a billed megapixel (a 1024x1024 image is one megapixel) */
+const MEGAPIXEL = 1024 * 1024;
+
+/** Long side of the output for each `resolution` setting */
+const RESOLUTION_LONG_SIDES = { '1K': 1024, '2K': 2048, '4K': 4096 };
+
+/**
+ * Read a setting, falling back to the model's default
+ * @param {import('./api.js').ModelInfo} model
+ * @param {Object} settings - Generation settings
+ * @param {string} name - Parameter name
+ * @returns {*}
+ */
+function getSetting(model, settings, name) {
+    return settings[name] ?? model.params[name]?.default;
+}
+
+/**
+ * Expected output dimensions for a set of generation settings
+ * @param {import('./api.js').ModelInfo} model
+ * @param {Object} settings - Generation settings
+ * @returns {{width: number, height: number}}
+ */
+function getOutputSize(model, settings) {
+    const imageSize = getSetting(model, settings, 'image_size');
+    if (imageSize && typeof imageSize === 'object') {
+        return { width: Number(imageSize.width) || 1024, height: Number(imageSize.height) || 1024 };
+    }
+    // Preset dimensions come with the model list (api/_lib/image-size.js)
+    const preset = model.params.image_size?.presets?.[imageSize];
+    if (preset) {
+        return preset;
+    }
+
+    const longSide = RESOLUTION_LONG_SIDES[getSetting(model, settings, 'resolution')] || 1024;
+    const [w, h] = String(getSetting(model, settings, 'aspect_ratio') || '1:1').split(':').map(Number);
+    if (!w || !h) {
+        return { width: longSide, height: longSide };
+    }
+    return w >= h
+        ? { width: longSide, height: Math.round((longSide * h) / w) }
+        : { width: Math.round((longSide * w) / h), height: longSide };
+}
+
+/**
+ * Price of a single image
+ * @param {import('./api.js').ModelInfo} model
+ * @param {Object} settings - Generation settings
+ * @param {{width: number, height: number}} size - Output dimensions
+ * @returns {number}
+ */
+function priceImage(model, settings, size) {
+    const { per, usd, tiers } = model.pricing;
+    const rate = tiers?.usd[getSetting(model, settings, tiers.param)] ?? usd;
+
+    if (per === 'megapixel') {
+        // Providers bill every started megapixel
+        return rate * Math.max(1, Math.ceil((size.width * size.height) / MEGAPIXEL));
+    }
+    return rate;
+}
+
+/**
+ * Whether a model's generations cost anything to track. Mock mode runs
+ * offline, so its list prices would only add phantom spend.
+ * @param {import('./api.js').ModelInfo|undefined} model
+ * @returns {boolean}
+ */
+function isPriced(model) {
+    return Boolean(model?.pricing) && model.provider !== 'mock';
+}
+
+/**
+ * Round away floating point noise from summing small prices
+ * @param {number} usd
+ * @returns {number}
+ */
+function roundUsd(usd) {
+    return Math.round(usd * 1e6) / 1e6;
+}
+
+/**
+ * Estimate what a generation will cost before it runs
+ * @param {import('./api.js').ModelInfo|undefined} model
+ * @param {Object} settings - Generation settings
+ * @returns {CostEstimate|null} Null if the model has no pricing or runs on the mock provider
+ */
+export function estimateCost(model, settings) {
+    if (!isPriced(model)) return null;
+
+    const count = getSetting(model, settings, 'num_images') || 1;
+    const perImage = priceImage(model, settings, getOutputSize(model, settings));
+
+    return { total: roundUsd(perImage * count), perImage: roundUsd(perImage), count };
+}
+
+/**
+ * Cost of a finished image, using its real dimensions when the provider reports them
+ * @param {import('./api.js').ModelInfo|undefined} model
+ * @param {Object} settings - Settings the image was generated with
+ * @param {{width?: number, height?: number}} image - Image from the model output
+ * @returns {number|null} Null if the model has no pricing or runs on the mock provider
+ */
+export function getImageCost(model, settings, image) {
+    if (!isPriced(model)) return null;
+
+    const size = image.width && image.height
+        ? { width: image.width, height: image.height }
+        : getOutputSize(model, settings);
+    return roundUsd(priceImage(model, settings, size));
+}
+
+/**
+ * Format a USD amount, keeping sub-cent prices readable
+ * @param {number} usd
+ * @returns {string} e.g. `$0.04`, `$0.003` or `Free`
+ */
+export function formatCost(usd) {
+    if (usd === 0) return 'Free';
+    if (usd < 0.01) return `$${usd.toFixed(3)}`;
+    return `$${usd.toFixed(2)}`;
+}
@@ -0,0 +1,96 @@
+/**
+ * Undo/redo history for the prompt input, kept for the page session.
+ * Entries are whole prompt texts: one per pause in typing and one per
+ * accepted enhancement, surprise prompt or remix.
+ */
+
+/** Oldest entries are dropped past this many */
+const MAX_ENTRIES = 100;
+
+class PromptHistory {
+    constructor() {
+        /** @type {string[]} */
+        this.entries = [''];
+        this.index = 0;
+        this.listeners = new Set();
+    }
+
+    /**
+     * The text at the current position
+     * @returns {string}
+     */
+    current() {
+        return this.entries[this.index];
+    }
+
+    /**
+     * Add a text after the current position, dropping anything that was undone
+     * @param {string} text
+     */
+    record(text) {
+        if (text === this.current()) return;
+
+        this.entries.splice(this.index + 1, Infinity, text);
+        if (this.entries.length > MAX_ENTRIES) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length - 1;
+        this.notifyListeners();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Step back one entry
+     * @returns {string|null} The text to show, or null at the start
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+        this.index--;
+        this.notifyListeners();
+        return this.current();
+    }
+
+    /**
+     * Step forward one entry
+     * @returns {string|null} The text to show, or null at the end
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+        this.index++;
+        this.notifyListeners();
+        return this.current();
+    }
+
+    /**
+     * Subscribe to position changes
+     * @param {() => void} listener
+     * @returns {() => void} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notify all listeners
+     */
+    notifyListeners() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+// Export singleton instance
+export const promptHistory = new PromptHistory();
@@ -0,0 +1,262 @@
+/**
+ * Refinement chat: ask for changes to the prompt in plain words ("make it
+ * night time") and get the updated prompt back each turn. The enhancer sees
+ * the earlier turns, so changes build on each other. Any turn can be used or
+ * generated from; images keep the conversation so a remix can continue it.
+ */
+
+import { enhancePrompt } from './api.js';
+import { createElement } from './utils.js';
+
+/** Turns sent as context; the server accepts at most 20 */
+const MAX_CONTEXT_TURNS = 20;
+
+/**
+ * @typedef {Object} RefineHandlers
+ * @property {() => string} getPrompt - The prompt in the input bar
+ * @property {(prompt: string) => void} usePrompt - Put a prompt into the input bar
+ * @property {() => void} generate - Generate from the prompt in the input bar
+ * @property {() => {model?: string, imageModel?: string, images?: string[]}} getModels - Enhancer and image model to use, and the image model's input images
+ * @property {(error: Error|string) => void} onError - Show an error
+ */
+
+/** @type {import('./api.js').RefineTurn[]} Conversation so far, oldest first */
+let turns = [];
+
+/** @type {RefineHandlers|null} */
+let handlers = null;
+
+/** @type {AbortController|null} Turn in progress */
+let pendingTurn = null;
+
+/**
+ * Set up the refinement panel
+ * @param {RefineHandlers} refineHandlers
+ */
+export function initRefinePanel(refineHandlers) {
+    const panel = document.getElementById('refine-panel');
+    const toggle = document.getElementById('refine-btn');
+    const form = document.getElementById('refine-form');
+    const input = document.getElementById('refine-input');
+    if (!panel || !toggle || !form || !input) return;
+
+    handlers = refineHandlers;
+
+    toggle.addEventListener('click', () => {
+        if (panel.classList.contains('refine-panel--active')) {
+            closeRefinePanel();
+        } else {
+            openRefinePanel();
+        }
+    });
+    document.getElementById('refine-close')?.addEventListener('click', closeRefinePanel);
+    document.getElementById('refine-new')?.addEventListener('click', () => {
+        pendingTurn?.abort();
+        turns = [];
+        renderTurns();
+        input.focus();
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        sendInstruction(input);
+    });
+
+    // Enter sends, Shift+Enter adds a line; Escape cancels a turn in progress
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendInstruction(input);
+        } else if (e.key === 'Escape' && pendingTurn) {
+            e.stopPropagation();
+            pendingTurn.abort();
+        }
+    });
+
+    document.getElementById('refine-messages')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        const turn = turns[Number(button?.closest('.refine-panel__turn')?.dataset.index)];
+        if (!turn) return;
+
+        handlers.usePrompt(turn.prompt);
+        if (button.dataset.action === 'generate') {
+            handlers.generate();
+        }
+    });
+
+    renderTurns();
+}
+
+/**
+ * Show the refinement panel
+ */
+export function openRefinePanel() {
+    const panel = document.getElementById('refine-panel');
+    if (!panel) return;
+
+    panel.classList.add('refine-panel--active');
+    panel.setAttribute('aria-hidden', 'false');
+    document.getElementById('refine-btn')?.classList.add('input-bar__icon-btn--active');
+    document.getElementById('refine-input')?.focus();
+}
+
+/**
+ * Hide the refinement panel
+ */
+export function closeRefinePanel() {
+    const panel = document.getElementById('refine-panel');
+    if (!panel) return;
+
+    panel.classList.remove('refine-panel--active');
+    panel.setAttribute('aria-hidden', 'true');
+    document.getElementById('refine-btn')?.classList.remove('input-bar__icon-btn--active');
+}
+
+/**
+ * The conversation that led to a prompt, to save with images generated from it
+ * @param {string} prompt
+ * @returns {import('./api.js').RefineTurn[]|null} Turns up to the last one that returned this prompt, or null
+ */
+export function getConversationFor(prompt) {
+    const trimmed = prompt.trim();
+    for (let i = turns.length - 1; i >= 0; i--) {
+        if (turns[i].prompt.trim() === trimmed) {
+            return turns.slice(0, i + 1).map(({ instruction, prompt: turnPrompt }) => ({ instruction, prompt: turnPrompt }));
+        }
+    }
+    return null;
+}
+
+/**
+ * Pick up a saved conversation (e.g. from a remixed image) and show it
+ * @param {import('./api.js').RefineTurn[]} conversation
+ */
+export function continueConversation(conversation) {
+    pendingTurn?.abort();
+    turns = conversation.map(({ instruction, prompt }) => ({ instruction, prompt }));
+    renderTurns();
+    openRefinePanel();
+}
+
+/**
+ * Send the typed change as the next turn
+ * @param {HTMLTextAreaElement} input - Instruction input
+ */
+async function sendInstruction(input) {
+    const instruction = input.value.trim();
+    if (!instruction || pendingTurn) return;
+
+    const prompt = handlers.getPrompt().trim();
+    if (!prompt) {
+        handlers.onError('Write a prompt first, then ask for changes here');
+        return;
+    }
+
+    const controller = new AbortController();
+    pendingTurn = controller;
+    input.value = '';
+
+    // Show the turn right away and stream the new prompt into it
+    const turnElement = renderTurn({ instruction, prompt: '' }, turns.length, true);
+    const promptElement = turnElement.querySelector('.refine-panel__prompt');
+    document.getElementById('refine-empty')?.remove();
+    document.getElementById('refine-messages')?.append(turnElement);
+    setSending(true);
+
+    let streamed = '';
+    try {
+        const result = await enhancePrompt(prompt, {
+            ...handlers.getModels(),
+            instruction,
+            conversation: turns.slice(-MAX_CONTEXT_TURNS),
+            onToken: (text) => {
+                streamed += text;
+                promptElement.textContent = streamed;
+                scrollToLatest();
+            },
+            signal: controller.signal
+        });
+
+        turns.push({ instruction, prompt: result.enhancedPrompt });
+        handlers.usePrompt(result.enhancedPrompt);
+    } catch (error) {
+        // Give the instruction back so it can be edited and sent again
+        input.value = instruction;
+        if (error.name !== 'AbortError') {
+            console.error('Refinement failed:', error);
+            handlers.onError(error);
+        }
+    } finally {
+        pendingTurn = null;
+        setSending(false);
+        renderTurns();
+    }
+}
+
+/**
+ * Toggle the busy state of the send button
+ * @param {boolean} isSending
+ */
+function setSending(isSending) {
+    const send = document.getElementById('refine-send');
+    if (send) {
+        send.disabled = isSending;
+        send.textContent = isSending ? 'Refining…' : 'Send';
+    }
+}
+
+/**
+ * Render the whole conversation
+ */
+function renderTurns() {
+    const messages = document.getElementById('refine-messages');
+    if (!messages) return;
+
+    if (turns.length === 0) {
+        messages.replaceChildren(createElement('p', { id: 'refine-empty', className: 'refine-panel__empty' },
+            'Ask for changes to the prompt in your own words, like "make it night time" or "less cluttered, more negative space". Each reply is the updated prompt.'));
+        return;
+    }
+
+    messages.replaceChildren(...turns.map((turn, index) => renderTurn(turn, index, false)));
+    scrollToLatest();
+}
+
+/**
+ * Build the element for one turn: the change asked for and the prompt that came back
+ * @param {import('./api.js').RefineTurn} turn
+ * @param {number} index - Position in `turns`
+ * @param {boolean} isPending - Still streaming (no actions yet)
+ * @returns {HTMLElement}
+ */
+function renderTurn(turn, index, isPending) {
+    const element = createElement('div', {
+        className: `refine-panel__turn${isPending ? ' refine-panel__turn--pending' : ''}`,
+        dataset: { index: String(index) }
+    }, [
+        createElement('p', { className: 'refine-panel__instruction' }, turn.instruction),
+        createElement('p', { className: 'refine-panel__prompt' }, turn.prompt),
+    ]);
+
+    if (!isPending) {
+        element.appendChild(createElement('div', { className: 'refine-panel__actions' }, [
+            createElement('button', { type: 'button', className: 'refine-panel__action', dataset: { action: 'use' } }, 'Use'),
+            createElement('button', {
+                type: 'button',
+                className: 'refine-panel__action refine-panel__action--primary',
+                dataset: { action: 'generate' }
+            }, 'Generate'),
+        ]));
+    }
+    return element;
+}
+
+/**
+ * Keep the newest turn in view
+ */
+function scrollToLatest() {
+    const messages = document.getElementById('refine-messages');
+    if (messages) {
+        messages.scrollTop = messages.scrollHeight;
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Gallery search: parses queries like `model:flux-dev seed:42 "neon"` and
+ * matches them against images' prompts and settings.
+ *
+ * Plain words and "quoted phrases" must all appear in the prompt or model
+ * name. Filters:
+ *   model:flux        Model ID contains the text
+ *   seed:42           Exact seed
+ *   size:landscape    Size preset, custom size (1024x768) or aspect ratio (16:9) contains the text
+ *   date:2026-10-19   Created that day (or month: 2026-10, or year: 2026)
+ *   after:2026-10-01  Created on or after the date
+ *   before:2026-10-01 Created before the date
+ */
+
+import { createElement } from './utils.js';
+
+/**
+ * @typedef {Object} SearchQuery
+ * @property {string[]} terms - Lowercased words and phrases to find in the prompt or model
+ * @property {string|null} model - Lowercased text the model ID must contain
+ * @property {number|null} seed
+ * @property {string|null} size - Lowercased text the size must contain
+ * @property {number|null} after - Earliest createdAt (inclusive)
+ * @property {number|null} before - Latest createdAt (exclusive)
+ */
+
+/** `key:value`, `key:"quoted value"`, `"quoted phrase"` or a word */
+const TOKEN_PATTERN = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"?|(\S+)/g;
+
+/**
+ * Parse a search box query
+ * @param {string} text
+ * @returns {SearchQuery}
+ */
+export function parseSearchQuery(text) {
+    /** @type {SearchQuery} */
+    const query = { terms: [], model: null, seed: null, size: null, after: null, before: null };
+
+    for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+        const [token, key, quotedValue, value, phrase, word] = match;
+        if (key === undefined) {
+            const term = (phrase ?? word).trim().toLowerCase();
+            if (term) query.terms.push(term);
+            continue;
+        }
+
+        // Anything that isn't a valid filter is searched for as written
+        if (!applyFilter(query, key.toLowerCase(), (quotedValue ?? value).trim())) {
+            query.terms.push(token.replace(/"/g, '').toLowerCase());
+        }
+    }
+
+    return query;
+}
+
+/**
+ * Set one `key:value` filter on a query
+ * @param {SearchQuery} query
+ * @param {string} key
+ * @param {string} value
+ * @returns {boolean} False when the key is unknown or the value is invalid
+ */
+function applyFilter(query, key, value) {
+    if (!value) return false;
+
+    switch (key) {
+        case 'model':
+        case 'size':
+            query[key] = value.toLowerCase();
+            return true;
+        case 'seed': {
+            if (!/^\d+$/.test(value)) return false;
+            query.seed = Number(value);
+            return true;
+        }
+        case 'date':
+        case 'after':
+        case 'before': {
+            const range = parseDateRange(value);
+            if (!range) return false;
+            if (key !== 'before') query.after = range.start;
+            if (key !== 'after') query.before = key === 'date' ? range.end : range.start;
+            return true;
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * The local-time span a date covers: a day, a month or a year
+ * @param {string} value - YYYY-MM-DD, YYYY-MM or YYYY
+ * @returns {{start: number, end: number}|null}
+ */
+function parseDateRange(value) {
+    const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : null;
+    const day = match[3] ? Number(match[3]) : null;
+
+    if (month === null) {
+        return { start: new Date(year, 0, 1).getTime(), end: new Date(year + 1, 0, 1).getTime() };
+    }
+    if (month > 11) return null;
+    if (day === null) {
+        return { start: new Date(year, month, 1).getTime(), end: new Date(year, month + 1, 1).getTime() };
+    }
+
+    const start = new Date(year, month, day);
+    // Reject days the month doesn't have instead of rolling into the next one
+    if (start.getMonth() !== month) return null;
+    return { start: start.getTime(), end: new Date(year, month, day + 1).getTime() };
+}
+
+/**
+ * Whether a query narrows anything down
+ * @param {SearchQuery|null} query
+ * @returns {boolean}
+ */
+export function isSearchActive(query) {
+    return Boolean(query) && (query.terms.length > 0 || query.model !== null || query.seed !== null ||
+        query.size !== null || query.after !== null || query.before !== null);
+}
+
+/**
+ * An image's size as searchable text: the preset, custom dimensions and aspect ratio
+ * @param {Object} settings
+ * @returns {string}
+ */
+export function describeSize(settings = {}) {
+    const size = settings.image_size;
+    const parts = [];
+    if (typeof size === 'string') {
+        parts.push(size);
+    } else if (size && typeof size === 'object') {
+        parts.push(`${size.width}x${size.height}`);
+    }
+    if (settings.aspect_ratio) {
+        parts.push(settings.aspect_ratio);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Whether an image matches every part of a query
+ * @param {import('./state.js').ImageData|import('./api.js').FeedImage} image
+ * @param {SearchQuery} query
+ * @returns {boolean}
+ */
+export function matchesSearch(image, query) {
+    const settings = image.settings || {};
+    const model = String(settings.model || '').toLowerCase();
+
+    if (query.model !== null && !model.includes(query.model)) return false;
+    if (query.seed !== null && Number(settings.seed) !== query.seed) return false;
+    if (query.size !== null && !describeSize(settings).toLowerCase().includes(query.size)) return false;
+    if (query.after !== null && !(image.createdAt >= query.after)) return false;
+    if (query.before !== null && !(image.createdAt < query.before)) return false;
+
+    const prompt = String(image.prompt || '').toLowerCase();
+    return query.terms.every(term => prompt.includes(term) || model.includes(term));
+}
+
+/**
+ * Text with every occurrence of the terms wrapped in <mark>
+ * @param {string} text
+ * @param {string[]} terms - Lowercased
+ * @returns {Array<string|HTMLElement>}
+ */
+export function highlightMatches(text, terms) {
+    const lower = text.toLowerCase();
+
+    // Mark each character covered by a term, so overlapping terms merge into one mark
+    const marked = new Array(text.length).fill(false);
+    terms.forEach(term => {
+        let index = lower.indexOf(term);
+        while (index !== -1) {
+            marked.fill(true, index, index + term.length);
+            index = lower.indexOf(term, index + term.length);
+        }
+    });
+
+    const nodes = [];
+    let start = 0;
+    for (let i = 1; i <= text.length; i++) {
+        if (i === text.length || marked[i] !== marked[start]) {
+            const part = text.slice(start, i);
+            nodes.push(marked[start] ? createElement('mark', { className: 'search-match' }, part) : part);
+            start = i;
+        }
+    }
+    return nodes;
+}
@@ -1,9 +1,40 @@
 /**
- * State management module with localStorage persistence
+ * State management module. The gallery is kept in IndexedDB together with
+ * the image files (js/image-store.js); pending jobs and spend history are
+ * small and stay in localStorage.
  */
 
-const STORAGE_KEY = 'ai-image-generator-images';
-const SAVE_DEBOUNCE_MS = 300;
+import {
+    loadImages,
+    saveImages,
+    deleteImages,
+    saveImageBlob,
+    loadImageBlobs,
+    isQuotaError,
+} from './image-store.js';
+import { generateId } from './utils.js';
+
+/** Where the gallery was kept before IndexedDB; moved over on first load */
+const LEGACY_STORAGE_KEY = 'ai-image-generator-images';
+const JOBS_STORAGE_KEY = 'ai-image-generator-jobs';
+const SPEND_STORAGE_KEY = 'ai-image-generator-spend';
+const ALBUMS_STORAGE_KEY = 'ai-image-generator-albums';
+const TRASH_DAYS_STORAGE_KEY = 'ai-image-generator-trash-days';
+
+const MAX_ALBUM_NAME_LENGTH = 60;
+const MAX_TAG_LENGTH = 40;
+const MAX_RATING = 5;
+
+/** Fields only this browser knows about; syncing an image from the server keeps them */
+const LOCAL_FIELDS = ['albumIds', 'tags', 'favorite', 'rating'];
+
+/** Days of spend history to keep */
+const SPEND_RETENTION_DAYS = 400;
+
+/** Days deleted images stay in the trash unless changed with setTrashDays */
+const DEFAULT_TRASH_DAYS = 30;
+const MAX_TRASH_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * @typedef {Object} ImageData
@@ -11,6 +42,39 @@ const SAVE_DEBOUNCE_MS = 300;
  * @property {string} url - Image URL
  * @property {string} prompt - Generation prompt
  * @property {number} createdAt - Timestamp
+ * @property {number} [cost] - What the image cost to generate (USD), if the model has pricing
+ * @property {Object} [settings] - Generation settings, for remix
+ * @property {number} [durationMs] - Time from submission to result
+ * @property {boolean} [shared] - Published to the team feed
+ * @property {import('./api.js').RefineTurn[]} [conversation] - Refinement chat that led to the prompt, for remix to continue
+ * @property {string[]} [albumIds] - Albums the image is in
+ * @property {string[]} [tags] - Free-form tags, without '#'
+ * @property {boolean} [favorite] - Marked as a keeper; clearAll leaves it
+ * @property {number} [rating] - 1-5 stars, 0 or missing when unrated
+ * @property {number} [deletedAt] - When the image was moved to the trash
+ */
+
+/**
+ * @typedef {Object} Album
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdAt
+ */
+
+/**
+ * @typedef {Object} SpendTotals
+ * @property {number} today - USD spent today (local time)
+ * @property {number} month - USD spent this calendar month
+ */
+
+/**
+ * @typedef {Object} PendingJob
+ * @property {string} id - Queue job ID from /api/jobs
+ * @property {string} prompt - Generation prompt
+ * @property {Object} settings - Storable generation settings (no input images)
+ * @property {number} numImages - Number of placeholders to show while waiting
+ * @property {number} createdAt - Submission timestamp
+ * @property {import('./api.js').RefineTurn[]} [conversation] - Refinement chat that led to the prompt
  */
 
 /**
@@ -20,59 +84,226 @@ class State {
     constructor() {
         /** @type {ImageData[]} */
         this.images = [];
+        /** @type {ImageData[]} Deleted images that can still be restored, most recently deleted first */
+        this.trash = [];
+        /** @type {number} Days before the trash is emptied of an image, 0 for never */
+        this.trashDays = DEFAULT_TRASH_DAYS;
         this.listeners = new Set();
-        /** @type {number|null} */
-        this._saveTimeout = null;
-        this.load();
+        /** @type {PendingJob[]} */
+        this.pendingJobs = [];
+        /** @type {Object<string, number>} USD spent per local day (YYYY-MM-DD) */
+        this.spend = {};
+        /** @type {Album[]} Oldest first */
+        this.albums = [];
+        /** @type {import('./api.js').FeedImage[]|null} Team feed, null when the server has none */
+        this.feed = null;
+        /** @type {Map<string, string>} Object URLs of the stored image files, by image ID */
+        this.fileUrls = new Map();
+        /** @type {Promise<void>} Stored images are fetched one at a time, in the background */
+        this._fileQueue = Promise.resolve();
+        /** @type {boolean} A storage failure was reported and nothing has been saved since */
+        this._storageFailing = false;
+        /** @type {boolean} */
+        this._persistenceRequested = false;
+        /** @type {Promise<void>} Resolves once the gallery has been read from storage */
+        this.ready = this.load();
     }
 
     /**
-     * Load images from localStorage
+     * Load pending jobs and spend history, then the gallery. The gallery
+     * loads asynchronously; listeners get a 'load' action when it is in.
+     * @returns {Promise<void>}
      */
-    load() {
+    async load() {
         try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (stored) {
-                this.images = JSON.parse(stored);
+            const storedJobs = localStorage.getItem(JOBS_STORAGE_KEY);
+            if (storedJobs) {
+                this.pendingJobs = JSON.parse(storedJobs);
             }
         } catch (error) {
-            console.error('Failed to load from localStorage:', error);
-            this.images = [];
+            console.error('Failed to load pending jobs from localStorage:', error);
+            this.pendingJobs = [];
         }
-    }
 
-    /**
-     * Save images to localStorage (debounced to reduce stringify overhead)
-     */
-    save() {
-        if (this._saveTimeout) {
-            clearTimeout(this._saveTimeout);
+        try {
+            const storedSpend = localStorage.getItem(SPEND_STORAGE_KEY);
+            if (storedSpend) {
+                this.spend = JSON.parse(storedSpend);
+            }
+        } catch (error) {
+            console.error('Failed to load spend history from localStorage:', error);
+            this.spend = {};
+        }
+
+        try {
+            const storedAlbums = localStorage.getItem(ALBUMS_STORAGE_KEY);
+            if (storedAlbums) {
+                this.albums = JSON.parse(storedAlbums);
+            }
+        } catch (error) {
+            console.error('Failed to load albums from localStorage:', error);
+            this.albums = [];
+        }
+
+        try {
+            const storedTrashDays = localStorage.getItem(TRASH_DAYS_STORAGE_KEY);
+            if (storedTrashDays !== null) {
+                this.trashDays = Number(storedTrashDays);
+            }
+        } catch (error) {
+            console.error('Failed to load trash settings from localStorage:', error);
+        }
+
+        let legacyImages = [];
+        try {
+            legacyImages = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.error('Failed to read the old gallery from localStorage:', error);
         }
-        this._saveTimeout = setTimeout(() => {
-            this._saveTimeout = null;
-            try {
-                localStorage.setItem(STORAGE_KEY, JSON.stringify(this.images));
-            } catch (error) {
-                console.error('Failed to save to localStorage:', error);
+
+        let stored;
+        let files;
+        try {
+            // Move a gallery saved by an older version over, then drop the old copy
+            if (legacyImages.length > 0) {
+                await saveImages(legacyImages);
+                localStorage.removeItem(LEGACY_STORAGE_KEY);
             }
-        }, SAVE_DEBOUNCE_MS);
+            stored = await loadImages();
+            files = await loadImageBlobs();
+        } catch (error) {
+            console.error('Failed to load the gallery from IndexedDB:', error);
+            // Show the old copy at least; it stays in localStorage until a load succeeds
+            stored = legacyImages;
+            files = new Map();
+            this.reportStorageError(error);
+        }
+
+        files.forEach((blob, id) => this.fileUrls.set(id, URL.createObjectURL(blob)));
+
+        // Keep anything added while the gallery was loading
+        const byId = new Map(stored.filter(img => !img.deletedAt).map(img => [img.id, img]));
+        this.images.forEach(image => byId.set(image.id, image));
+        this.images = [...byId.values()].sort((a, b) => b.createdAt - a.createdAt);
+        this.trash = stored.filter(img => img.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt);
+
+        // Images saved before files were stored (or whose download failed) get one now
+        if (!this._storageFailing) {
+            this.storeFiles(this.images);
+        }
+        if (this.images.some(img => img.favorite)) {
+            this.requestPersistentStorage();
+        }
+        this.notifyListeners('load', null);
     }
 
     /**
-     * Save immediately (for critical operations like clearAll)
+     * Write image changes to IndexedDB
+     * @param {ImageData[]} changed - Images to add or replace
+     * @param {string[]} [removedIds] - Images to delete, with their files
+     * @returns {Promise<void>}
      */
-    saveNow() {
-        if (this._saveTimeout) {
-            clearTimeout(this._saveTimeout);
-            this._saveTimeout = null;
-        }
+    async persist(changed, removedIds = []) {
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.images));
+            await saveImages(changed);
+            await deleteImages(removedIds);
+            this._storageFailing = false;
         } catch (error) {
-            console.error('Failed to save to localStorage:', error);
+            this.reportStorageError(error);
         }
     }
 
+    /**
+     * Download image files into IndexedDB in the background, one at a time,
+     * so they outlive the provider's URL
+     * @param {ImageData[]} images
+     */
+    storeFiles(images) {
+        images.forEach((image) => {
+            // Data URIs already are the file
+            if (this.fileUrls.has(image.id) || image.url.startsWith('data:')) return;
+
+            this._fileQueue = this._fileQueue.then(async () => {
+                // Deleted while waiting its turn
+                if (!this.hasImage(image.id) || this.fileUrls.has(image.id)) return;
+
+                let blob;
+                try {
+                    const response = await fetch(image.url);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    blob = await response.blob();
+                } catch (error) {
+                    // Expired, or the host doesn't allow cross-origin reads; the URL still works for display
+                    console.warn(`Could not download image ${image.id} for offline use:`, error);
+                    return;
+                }
+
+                try {
+                    await saveImageBlob(image.id, blob);
+                    if (this.hasImage(image.id)) {
+                        this.fileUrls.set(image.id, URL.createObjectURL(blob));
+                    } else {
+                        // Deleted during the download
+                        await deleteImages([image.id]);
+                    }
+                } catch (error) {
+                    this.reportStorageError(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Tell listeners the gallery could not be saved (once, until a save works again)
+     * @param {Error} error
+     */
+    reportStorageError(error) {
+        console.error('Failed to save the gallery:', error);
+        if (this._storageFailing) return;
+        this._storageFailing = true;
+
+        const message = isQuotaError(error)
+            ? 'Browser storage is full, so new images won\'t be kept after a reload. Delete some images and empty the trash to make room.'
+            : 'Images can\'t be saved in this browser, so they won\'t be kept after a reload.';
+        this.notifyListeners('storage-error', Object.assign(new Error(message), { cause: error }));
+    }
+
+    /**
+     * Ask the browser not to evict the site's storage when the disk runs low,
+     * so favorites aren't lost. Browsers may grant it silently, prompt, or refuse.
+     */
+    requestPersistentStorage() {
+        if (this._persistenceRequested) return;
+        this._persistenceRequested = true;
+
+        navigator.storage?.persist?.().catch((error) => {
+            console.warn('Could not request persistent storage:', error);
+        });
+    }
+
+    /**
+     * URL to show an image from: its stored file when there is one, else its original URL
+     * @param {ImageData|import('./api.js').FeedImage} image
+     * @returns {string}
+     */
+    getDisplayUrl(image) {
+        return this.fileUrls.get(image.id) || image.url;
+    }
+
+    /**
+     * Forget the object URLs of deleted images' files
+     * @param {string[]} ids
+     */
+    releaseFiles(ids) {
+        ids.forEach((id) => {
+            const url = this.fileUrls.get(id);
+            if (url) {
+                URL.revokeObjectURL(url);
+                this.fileUrls.delete(id);
+            }
+        });
+    }
+
     /**
      * Get all images
      * @returns {ImageData[]}
@@ -87,20 +318,138 @@ class State {
      */
     addImage(image) {
         this.images.unshift(image);
-        this.save();
+        this.persist([image]);
+        this.storeFiles([image]);
         this.notifyListeners('add', image);
     }
 
     /**
-     * Remove an image by ID
+     * Move images to the trash, where they can be restored until purged
+     * @param {string[]} ids
+     * @returns {ImageData[]} The images moved
+     */
+    trashImages(ids) {
+        const idSet = new Set(ids);
+        const deletedAt = Date.now();
+        const trashed = this.images
+            .filter(img => idSet.has(img.id))
+            .map(img => ({ ...img, deletedAt }));
+        if (trashed.length === 0) return [];
+
+        this.images = this.images.filter(img => !idSet.has(img.id));
+        this.trash = [...trashed, ...this.trash];
+        this.persist(trashed);
+        this.notifyListeners('trash', trashed);
+        return trashed;
+    }
+
+    /**
+     * Put images from the trash back in the gallery
+     * @param {string[]} ids
+     */
+    restoreImages(ids) {
+        const idSet = new Set(ids);
+        const restored = this.trash
+            .filter(img => idSet.has(img.id))
+            .map(({ deletedAt, ...img }) => img);
+        if (restored.length === 0) return;
+
+        this.trash = this.trash.filter(img => !idSet.has(img.id));
+        this.images = [...this.images, ...restored].sort((a, b) => b.createdAt - a.createdAt);
+        this.persist(restored);
+        this.notifyListeners('restore', restored);
+    }
+
+    /**
+     * Delete images in the trash for good, with their files
+     * @param {string[]} ids
+     */
+    purgeImages(ids) {
+        const idSet = new Set(ids);
+        const purged = this.trash.filter(img => idSet.has(img.id));
+        if (purged.length === 0) return;
+
+        const purgedIds = purged.map(img => img.id);
+        this.trash = this.trash.filter(img => !idSet.has(img.id));
+        this.persist([], purgedIds);
+        this.notifyListeners('purge', purged);
+        this.releaseFiles(purgedIds);
+    }
+
+    /**
+     * Delete everything in the trash for good
+     */
+    emptyTrash() {
+        this.purgeImages(this.trash.map(img => img.id));
+    }
+
+    /**
+     * Purge images that have been in the trash longer than the trash keeps
+     * them. Favorites are never purged automatically.
+     * @param {number} [now]
+     */
+    purgeExpired(now = Date.now()) {
+        const expired = this.trash.filter(img => {
+            const expiresAt = this.getTrashExpiry(img);
+            return expiresAt !== null && expiresAt <= now;
+        });
+        this.purgeImages(expired.map(img => img.id));
+    }
+
+    /**
+     * When an image in the trash will be purged automatically
+     * @param {ImageData} image
+     * @returns {number|null} Timestamp, or null if it stays until purged by hand
+     */
+    getTrashExpiry(image) {
+        if (!image.deletedAt || !this.trashDays || image.favorite) return null;
+        return image.deletedAt + this.trashDays * DAY_MS;
+    }
+
+    /**
+     * Get the images in the trash
+     * @returns {ImageData[]} Most recently deleted first
+     */
+    getTrash() {
+        return [...this.trash];
+    }
+
+    /**
+     * Days the trash keeps deleted images
+     * @returns {number} 0 when they are kept until purged by hand
+     */
+    getTrashDays() {
+        return this.trashDays;
+    }
+
+    /**
+     * Change how long the trash keeps deleted images, purging any now past it
+     * @param {number} days - 0 to keep them until purged by hand
+     */
+    setTrashDays(days) {
+        this.trashDays = Math.min(Math.max(Math.round(days) || 0, 0), MAX_TRASH_DAYS);
+        try {
+            localStorage.setItem(TRASH_DAYS_STORAGE_KEY, String(this.trashDays));
+        } catch (error) {
+            console.error('Failed to save trash settings to localStorage:', error);
+        }
+        this.purgeExpired();
+        this.notifyListeners('trash-settings', null);
+    }
+
+    /**
+     * Change fields of an image, e.g. to publish it to the team feed
      * @param {string} id
+     * @param {Partial<ImageData>} changes
      */
-    removeImage(id) {
+    updateImage(id, changes) {
         const index = this.images.findIndex(img => img.id === id);
         if (index !== -1) {
-            const removed = this.images.splice(index, 1)[0];
-            this.save();
-            this.notifyListeners('remove', removed);
+            const previous = this.images[index];
+            const updated = { ...previous, ...changes };
+            this.images[index] = updated;
+            this.persist([updated]);
+            this.notifyListeners('update', updated, previous);
         }
     }
 
@@ -114,12 +463,304 @@ class State {
     }
 
     /**
-     * Clear all images
+     * Whether an image is in the gallery or the trash
+     * @param {string} id
+     * @returns {boolean}
+     */
+    hasImage(id) {
+        return Boolean(this.getImage(id) || this.trash.some(img => img.id === id));
+    }
+
+    /**
+     * Move all images except favorites to the trash
+     * @returns {ImageData[]} The images moved
      */
     clearAll() {
-        this.images = [];
-        this.saveNow(); // Use immediate save for critical operations
-        this.notifyListeners('clear', null);
+        return this.trashImages(this.images.filter(img => !img.favorite).map(img => img.id));
+    }
+
+    /**
+     * Apply changes pulled from the server history (js/sync.js): add or
+     * replace images, drop deleted ones, and keep the gallery newest first
+     * @param {ImageData[]} images - Images added or changed on another device
+     * @param {string[]} removedIds - Images deleted on another device
+     */
+    mergeImages(images, removedIds) {
+        if (images.length === 0 && removedIds.length === 0) return;
+
+        // Images in the trash stay there; deleted on another device, they leave it too
+        const removedSet = new Set(removedIds);
+        const trashIds = new Set(this.trash.map(img => img.id));
+        images = images.filter(image => !trashIds.has(image.id));
+        this.trash = this.trash.filter(img => !removedSet.has(img.id));
+
+        const byId = new Map(this.images.map(img => [img.id, img]));
+        const merged = images.map((image) => {
+            const existing = byId.get(image.id);
+            const local = existing ? LOCAL_FIELDS.filter(field => field in existing) : [];
+            return local.length > 0
+                ? { ...image, ...Object.fromEntries(local.map(field => [field, existing[field]])) }
+                : image;
+        });
+        merged.forEach(image => byId.set(image.id, image));
+        removedIds.forEach(id => byId.delete(id));
+
+        this.images = [...byId.values()].sort((a, b) => b.createdAt - a.createdAt);
+        this.persist(merged, removedIds);
+        this.storeFiles(merged);
+        this.notifyListeners('sync', null);
+        this.releaseFiles(removedIds);
+    }
+
+    /**
+     * Mark an image as a favorite, or unmark it
+     * @param {string} id
+     * @param {boolean} favorite
+     */
+    setFavorite(id, favorite) {
+        this.updateImage(id, { favorite });
+        if (favorite) {
+            this.requestPersistentStorage();
+        }
+    }
+
+    /**
+     * Rate an image
+     * @param {string} id
+     * @param {number} rating - 1-5 stars, 0 to clear
+     */
+    setRating(id, rating) {
+        this.updateImage(id, { rating: Math.min(Math.max(Math.round(rating) || 0, 0), MAX_RATING) });
+    }
+
+    /**
+     * Get all albums
+     * @returns {Album[]} Oldest first
+     */
+    getAlbums() {
+        return [...this.albums];
+    }
+
+    /**
+     * Get album by ID
+     * @param {string} id
+     * @returns {Album|undefined}
+     */
+    getAlbum(id) {
+        return this.albums.find(album => album.id === id);
+    }
+
+    /**
+     * Create an album
+     * @param {string} name
+     * @returns {Album|null} Null if the name is empty
+     */
+    createAlbum(name) {
+        const trimmed = name.trim().slice(0, MAX_ALBUM_NAME_LENGTH);
+        if (!trimmed) return null;
+
+        const album = { id: generateId(), name: trimmed, createdAt: Date.now() };
+        this.albums.push(album);
+        this.saveAlbums();
+        this.notifyListeners('albums', null);
+        return album;
+    }
+
+    /**
+     * Rename an album
+     * @param {string} id
+     * @param {string} name - Ignored if empty
+     */
+    renameAlbum(id, name) {
+        const album = this.getAlbum(id);
+        const trimmed = name.trim().slice(0, MAX_ALBUM_NAME_LENGTH);
+        if (!album || !trimmed) return;
+
+        album.name = trimmed;
+        this.saveAlbums();
+        this.notifyListeners('albums', null);
+    }
+
+    /**
+     * Delete an album. Its images stay in the gallery.
+     * @param {string} id
+     */
+    deleteAlbum(id) {
+        if (!this.getAlbum(id)) return;
+        this.albums = this.albums.filter(album => album.id !== id);
+        this.saveAlbums();
+
+        const changed = [];
+        this.images = this.images.map((image) => {
+            if (!image.albumIds?.includes(id)) return image;
+            const updated = { ...image, albumIds: image.albumIds.filter(albumId => albumId !== id) };
+            changed.push(updated);
+            return updated;
+        });
+        this.persist(changed);
+        this.notifyListeners('albums', null);
+    }
+
+    /**
+     * Add an image to an album, or take it out
+     * @param {string} imageId
+     * @param {string} albumId
+     * @param {boolean} inAlbum
+     */
+    setImageAlbum(imageId, albumId, inAlbum) {
+        const image = this.getImage(imageId);
+        if (!image || !this.getAlbum(albumId)) return;
+
+        const albumIds = (image.albumIds || []).filter(id => id !== albumId);
+        if (inAlbum) albumIds.push(albumId);
+        this.updateImage(imageId, { albumIds });
+    }
+
+    /**
+     * Replace an image's tags. Tags are trimmed, lose a leading '#' and are
+     * deduplicated ignoring case.
+     * @param {string} imageId
+     * @param {string[]} tags
+     */
+    setImageTags(imageId, tags) {
+        const seen = new Set();
+        const cleaned = [];
+        tags.forEach((tag) => {
+            const value = tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+            if (value && !seen.has(value.toLowerCase())) {
+                seen.add(value.toLowerCase());
+                cleaned.push(value);
+            }
+        });
+        this.updateImage(imageId, { tags: cleaned });
+    }
+
+    /**
+     * Every tag in the gallery with how many images have it
+     * @returns {Array<{tag: string, count: number}>} Alphabetical
+     */
+    getTags() {
+        const counts = new Map();
+        this.images.forEach((image) => {
+            (image.tags || []).forEach((tag) => {
+                const key = tag.toLowerCase();
+                const entry = counts.get(key) || { tag, count: 0 };
+                entry.count += 1;
+                counts.set(key, entry);
+            });
+        });
+        return [...counts.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Save albums (small, so localStorage like pending jobs)
+     */
+    saveAlbums() {
+        try {
+            localStorage.setItem(ALBUMS_STORAGE_KEY, JSON.stringify(this.albums));
+        } catch (error) {
+            console.error('Failed to save albums to localStorage:', error);
+        }
+    }
+
+    /**
+     * Get the team feed
+     * @returns {import('./api.js').FeedImage[]|null} Null when the server has no feed
+     */
+    getFeed() {
+        return this.feed ? [...this.feed] : null;
+    }
+
+    /**
+     * Replace the team feed with a fresh copy from the server (not persisted)
+     * @param {import('./api.js').FeedImage[]} images
+     */
+    setFeed(images) {
+        this.feed = images;
+        this.notifyListeners('feed', null);
+    }
+
+    /**
+     * Get generation jobs that were still running when last saved
+     * @returns {PendingJob[]}
+     */
+    getPendingJobs() {
+        return [...this.pendingJobs];
+    }
+
+    /**
+     * Remember an in-flight generation job so it survives a page reload
+     * @param {PendingJob} job
+     */
+    addPendingJob(job) {
+        this.pendingJobs.push(job);
+        this.savePendingJobs();
+    }
+
+    /**
+     * Forget a generation job once it has finished or failed
+     * @param {string} id - Job ID
+     */
+    removePendingJob(id) {
+        this.pendingJobs = this.pendingJobs.filter(job => job.id !== id);
+        this.savePendingJobs();
+    }
+
+    /**
+     * Save pending jobs immediately (they must be on disk before a reload)
+     */
+    savePendingJobs() {
+        try {
+            localStorage.setItem(JOBS_STORAGE_KEY, JSON.stringify(this.pendingJobs));
+        } catch (error) {
+            console.error('Failed to save pending jobs to localStorage:', error);
+        }
+    }
+
+    /**
+     * Add the cost of a generation to the spend history.
+     * Kept apart from the images so deleting an image doesn't undo its cost.
+     * @param {number} usd
+     * @param {number} [at] - Timestamp of the generation
+     */
+    recordSpend(usd, at = Date.now()) {
+        if (!(usd > 0)) return;
+
+        const day = toDayKey(at);
+        this.spend[day] = Math.round(((this.spend[day] || 0) + usd) * 1e6) / 1e6;
+
+        // Drop days too old to show up in any total
+        const cutoff = toDayKey(at - SPEND_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        Object.keys(this.spend).forEach((key) => {
+            if (key < cutoff) delete this.spend[key];
+        });
+
+        try {
+            localStorage.setItem(SPEND_STORAGE_KEY, JSON.stringify(this.spend));
+        } catch (error) {
+            console.error('Failed to save spend history to localStorage:', error);
+        }
+        this.notifyListeners('spend', null);
+    }
+
+    /**
+     * Total spend for today and the current month
+     * @param {number} [now] - Timestamp to total around
+     * @returns {SpendTotals}
+     */
+    getSpendTotals(now = Date.now()) {
+        const today = toDayKey(now);
+        const month = today.slice(0, 7);
+        let monthTotal = 0;
+
+        Object.entries(this.spend).forEach(([day, usd]) => {
+            if (day.startsWith(month)) monthTotal += usd;
+        });
+
+        return {
+            today: this.spend[today] || 0,
+            month: Math.round(monthTotal * 1e6) / 1e6,
+        };
     }
 
     /**
@@ -135,12 +776,25 @@ class State {
     /**
      * Notify all listeners of state change
      * @param {string} action - Type of action
-     * @param {ImageData|null} data - Related data
+     * @param {ImageData|ImageData[]|Error|null} data - Related data (the images moved for 'trash', 'restore' and 'purge', the error for 'storage-error')
+     * @param {ImageData} [previous] - The image before the change, for 'update'
      */
-    notifyListeners(action, data) {
-        this.listeners.forEach(listener => listener(action, data));
+    notifyListeners(action, data, previous) {
+        this.listeners.forEach(listener => listener(action, data, previous));
     }
 }
 
+/**
+ * Local calendar day of a timestamp
+ * @param {number} timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function toDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
 // Export singleton instance
 export const state = new State();
@@ -0,0 +1,285 @@
+/**
+ * Gallery sync with the server history (/api/history), so every device
+ * signed in as the same user shows the same images.
+ *
+ * Local adds, edits and deletes (images purged from the trash) go into an
+ * outbox kept in localStorage and are pushed in order, a couple of seconds
+ * after the last change so a burst of edits goes up as one write per image;
+ * changes from other devices are pulled with the cursor from the last pull.
+ * Edits to fields that stay in the browser (favorites, ratings, albums,
+ * tags) aren't pushed at all. Images with data URI URLs (servers without
+ * IMAGE_STORAGE) stay in this browser only.
+ */
+
+import { fetchHistory, saveHistoryRecord, deleteHistoryRecord } from './api.js';
+import { state } from './state.js';
+
+const SYNC_STORAGE_KEY = 'ai-image-generator-sync';
+const PUSH_DELAY_MS = 2000;
+const RETRY_DELAY_MS = 30000;
+
+/**
+ * @typedef {Object} SyncState
+ * @property {string|null} user - User the cursor and outbox belong to
+ * @property {number|null} cursor - History cursor of the last pull, null before the first one
+ * @property {Array<{op: 'put'|'delete', id: string}>} outbox - Local changes not pushed yet
+ */
+
+/** @type {SyncState|null} Null until sync has started */
+let syncState = null;
+
+/** @type {boolean} False once the server turns out to have no history store */
+let enabled = false;
+
+/** Sync tasks run one at a time, in order */
+let queue = Promise.resolve();
+
+/** @type {number|null} */
+let pushTimeout = null;
+/** @type {number|null} */
+let retryTimeout = null;
+let listening = false;
+
+/**
+ * Read the saved sync state
+ * @returns {SyncState|null}
+ */
+function loadSyncState() {
+    try {
+        const stored = localStorage.getItem(SYNC_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.error('Failed to load sync state from localStorage:', error);
+        return null;
+    }
+}
+
+function saveSyncState() {
+    try {
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(syncState));
+    } catch (error) {
+        console.error('Failed to save sync state to localStorage:', error);
+    }
+}
+
+/**
+ * Whether an image can be stored on the server (and so published to the team feed)
+ * @param {import('./state.js').ImageData} image
+ * @returns {boolean}
+ */
+export function isSyncable(image) {
+    return !/^(data|blob):/.test(image.url);
+}
+
+/**
+ * Fields of an image that are synced
+ * @param {import('./state.js').ImageData} image
+ * @returns {import('./api.js').HistoryRecord}
+ */
+function toRecord(image) {
+    const record = {
+        id: image.id,
+        url: image.url,
+        prompt: image.prompt,
+        settings: image.settings || {},
+        createdAt: image.createdAt,
+    };
+    if (image.durationMs !== undefined) record.durationMs = image.durationMs;
+    if (image.cost !== undefined) record.cost = image.cost;
+    if (image.shared) record.shared = true;
+    if (image.conversation?.length) record.conversation = image.conversation;
+    return record;
+}
+
+/**
+ * Gallery image for a record pulled from the server
+ * @param {import('./api.js').HistoryRecord} record
+ * @returns {import('./state.js').ImageData}
+ */
+function fromRecord(record) {
+    const { owner, seq, updatedAt, ...fields } = record;
+    return toRecord(fields);
+}
+
+/**
+ * Queue a local change for the server, replacing older changes to the same image
+ * @param {'put'|'delete'} op
+ * @param {string} id
+ */
+function addToOutbox(op, id) {
+    syncState.outbox = syncState.outbox.filter(change => change.id !== id);
+    syncState.outbox.push({ op, id });
+    saveSyncState();
+
+    if (pushTimeout) clearTimeout(pushTimeout);
+    pushTimeout = setTimeout(() => {
+        pushTimeout = null;
+        runTask(push);
+    }, PUSH_DELAY_MS);
+}
+
+/**
+ * Record local gallery changes in the outbox
+ * @param {string} action
+ * @param {import('./state.js').ImageData|import('./state.js').ImageData[]|null} data
+ * @param {import('./state.js').ImageData} [previous] - The image before an 'update'
+ */
+function handleStateChange(action, data, previous) {
+    if (!enabled) return;
+
+    // Images in the trash stay on the server until they are purged, so undo needs no round trip
+    if (action === 'add' && isSyncable(data)) {
+        addToOutbox('put', data.id);
+    } else if (action === 'update' && isSyncable(data)) {
+        if (!previous || JSON.stringify(toRecord(previous)) !== JSON.stringify(toRecord(data))) {
+            addToOutbox('put', data.id);
+        }
+    } else if (action === 'restore') {
+        data.filter(isSyncable).forEach(image => addToOutbox('put', image.id));
+    } else if (action === 'purge') {
+        data.forEach(image => addToOutbox('delete', image.id));
+    }
+}
+
+/**
+ * Pull changes made on other devices since the last pull
+ */
+async function pull() {
+    let hasMore = true;
+    while (hasMore) {
+        const page = await fetchHistory(syncState.cursor || 0);
+
+        // Local changes still waiting to be pushed win over what the server has
+        const pending = new Set(syncState.outbox.map(change => change.id));
+        const changed = page.records.filter(record => !pending.has(record.id));
+
+        const images = changed
+            .filter(record => !record.deleted)
+            .map(fromRecord)
+            .filter(image => {
+                const local = state.getImage(image.id);
+                return !local || JSON.stringify(toRecord(local)) !== JSON.stringify(image);
+            });
+        const removedIds = changed
+            .filter(record => record.deleted && state.getImage(record.id))
+            .map(record => record.id);
+        state.mergeImages(images, removedIds);
+
+        syncState.cursor = page.cursor;
+        hasMore = page.hasMore;
+        saveSyncState();
+    }
+}
+
+/**
+ * Push queued local changes, oldest first
+ */
+async function push() {
+    while (syncState.outbox.length > 0) {
+        const change = syncState.outbox[0];
+
+        try {
+            if (change.op === 'delete') {
+                await deleteHistoryRecord(change.id);
+            } else {
+                const image = state.getImage(change.id);
+                if (image) await saveHistoryRecord(toRecord(image));
+            }
+        } catch (error) {
+            if (error.status === 410) {
+                // Deleted on another device before this one synced
+                state.mergeImages([], [change.id]);
+            } else if (error.status !== 404 && error.status !== 400) {
+                // Keep the change for the next attempt; 404 (already deleted)
+                // and 400 (never storable) would fail forever, so drop those
+                throw error;
+            }
+        }
+
+        syncState.outbox.shift();
+        saveSyncState();
+    }
+}
+
+/**
+ * Run a sync task after the ones already queued
+ * @param {() => Promise<void>} task
+ * @returns {Promise<void>}
+ */
+function runTask(task) {
+    queue = queue
+        .then(() => (enabled ? task() : undefined))
+        .catch(handleSyncError);
+    return queue;
+}
+
+/**
+ * Stop syncing if the server has no history store, otherwise try again later
+ * @param {import('./api.js').ApiError} error
+ */
+function handleSyncError(error) {
+    if (error.status === 501) {
+        enabled = false;
+        syncState.outbox = [];
+        saveSyncState();
+        return;
+    }
+
+    console.warn('History sync failed, retrying later:', error);
+    if (!retryTimeout) {
+        retryTimeout = setTimeout(() => {
+            retryTimeout = null;
+            syncNow();
+        }, RETRY_DELAY_MS);
+    }
+}
+
+/**
+ * Pull remote changes, then push local ones
+ * @returns {Promise<void>}
+ */
+export function syncNow() {
+    return runTask(async () => {
+        await pull();
+        await push();
+    });
+}
+
+/**
+ * Start syncing the gallery for the signed-in user. Safe to call again
+ * after signing in as someone else.
+ * @param {string|null} user - Signed-in user ID, null when the server has no access control
+ * @returns {Promise<void>}
+ */
+export async function startHistorySync(user) {
+    // The first sync uploads the gallery, so it has to be loaded
+    await state.ready;
+
+    const saved = syncState || loadSyncState();
+
+    if (!saved) {
+        // First sync in this browser: upload the gallery it already has
+        syncState = { user, cursor: null, outbox: [] };
+        state.getImages().filter(isSyncable).reverse().forEach(image => {
+            syncState.outbox.push({ op: 'put', id: image.id });
+        });
+    } else if (saved.user !== user) {
+        // Another account's cursor and changes don't apply to this one
+        syncState = { user, cursor: null, outbox: [] };
+    } else {
+        syncState = saved;
+    }
+    saveSyncState();
+    enabled = true;
+
+    if (!listening) {
+        listening = true;
+        state.subscribe(handleStateChange);
+        // Pick up images from other devices when the user comes back to the tab
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && enabled) syncNow();
+        });
+    }
+
+    return syncNow();
+}
@@ -135,3 +135,52 @@ export function escapeHtml(text) {
     div.textContent = text;
     return div.innerHTML;
 }
+
+/**
+ * Word-level diff of two texts (longest common subsequence)
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Parts in reading order; whitespace stays with the word before it
+ */
+export function diffWords(before, after) {
+    const a = before.match(/\S+\s*/g) || [];
+    const b = after.match(/\S+\s*/g) || [];
+
+    // lengths[i][j] = length of the common subsequence of a[i:] and b[j:]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i].trim() === b[j].trim()
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i].trim() === b[j].trim()) {
+            push('same', b[j]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return parts;
+}
@@ -3,7 +3,7 @@
  * Caches core assets for offline loading
  */
 
-const CACHE_NAME = 'ai-image-gen-v2';
+const CACHE_NAME = 'ai-image-gen-v9';
 
 const CORE_ASSETS = [
     '/',
@@ -17,7 +17,14 @@ const CORE_ASSETS = [
     '/js/gallery.js',
     '/js/state.js',
     '/js/utils.js',
-    '/js/prompts.js'
+    '/js/prompts.js',
+    '/js/pricing.js',
+    '/js/sync.js',
+    '/js/prompt-history.js',
+    '/js/refine.js',
+    '/js/image-store.js',
+    '/js/organize.js',
+    '/js/search.js'
 ];
 
 /**
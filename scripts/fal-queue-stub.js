@@ -0,0 +1,136 @@
+/**
+ * Local stand-in for the Fal queue API, for exercising /api/jobs without credits.
+ *
+ * Usage:
+ *   npm run queue-stub                  # listens on http://localhost:4010
+ *   FAL_QUEUE_URL=http://localhost:4010 FAL_KEY=stub npm start
+ *
+ * Requests move IN_QUEUE -> IN_PROGRESS -> COMPLETED over STUB_LATENCY_MS.
+ * Prompts containing "fail" complete with a 422 error, and the result images
+ * are SVG placeholders served by this stub.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.STUB_PORT || 4010;
+const LATENCY_MS = parseInt(process.env.STUB_LATENCY_MS || '4000', 10);
+
+/** @type {Map<string, {payload: Object, createdAt: number, cancelled: boolean}>} */
+const requests = new Map();
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', (chunk) => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function getStatus(entry) {
+    if (entry.cancelled) return 'CANCELLED';
+    const elapsed = Date.now() - entry.createdAt;
+    if (elapsed < LATENCY_MS / 3) return 'IN_QUEUE';
+    if (elapsed < LATENCY_MS) return 'IN_PROGRESS';
+    return 'COMPLETED';
+}
+
+function placeholderSvg(text, index) {
+    const hue = (crypto.createHash('md5').update(text).digest()[0] + index * 40) % 360;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="768" viewBox="0 0 1024 768">
+<rect width="100%" height="100%" fill="hsl(${hue}, 60%, 55%)"/>
+<text x="50%" y="50%" font-family="sans-serif" font-size="32" fill="white" text-anchor="middle">stub image ${index + 1}</text>
+</svg>`;
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    try {
+        // GET /images/{requestId}/{index}.svg
+        if (req.method === 'GET' && parts[0] === 'images') {
+            const entry = requests.get(parts[1]);
+            const index = parseInt(parts[2], 10) || 0;
+            res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+            return res.end(placeholderSvg(entry?.payload.prompt || '', index));
+        }
+
+        const requestsIndex = parts.indexOf('requests');
+
+        // POST /{endpoint...} submits a request
+        if (req.method === 'POST' && requestsIndex === -1) {
+            const payload = await readBody(req);
+            const requestId = crypto.randomUUID();
+            requests.set(requestId, { payload, createdAt: Date.now(), cancelled: false });
+            console.log(`[stub] submitted ${requestId} to ${parts.join('/')}`);
+            return sendJson(res, 200, { request_id: requestId, status: 'IN_QUEUE', queue_position: 2 });
+        }
+
+        const requestId = parts[requestsIndex + 1];
+        const entry = requests.get(requestId);
+        if (!entry) {
+            return sendJson(res, 404, { detail: 'Request not found' });
+        }
+
+        const action = parts[requestsIndex + 2];
+        const status = getStatus(entry);
+
+        if (req.method === 'PUT' && action === 'cancel') {
+            if (status === 'COMPLETED') {
+                return sendJson(res, 400, { status: 'ALREADY_COMPLETED' });
+            }
+            entry.cancelled = true;
+            return sendJson(res, 202, { status: 'CANCELLATION_REQUESTED' });
+        }
+
+        if (req.method === 'GET' && action === 'status') {
+            const logs = status === 'IN_PROGRESS' || status === 'COMPLETED'
+                ? [{ message: 'Running stub inference', level: 'INFO', timestamp: new Date(entry.createdAt).toISOString() }]
+                : [];
+            return sendJson(res, 200, {
+                status,
+                queue_position: status === 'IN_QUEUE' ? 1 : undefined,
+                logs,
+            });
+        }
+
+        if (req.method === 'GET' && !action) {
+            if (status !== 'COMPLETED') {
+                return sendJson(res, 400, { detail: 'Request is still in progress' });
+            }
+            if (/fail/i.test(entry.payload.prompt || '')) {
+                return sendJson(res, 422, { detail: 'Stub failure requested by prompt' });
+            }
+            const count = entry.payload.num_images || entry.payload.max_images || 1;
+            const images = Array.from({ length: count }, (_, index) => ({
+                url: `http://localhost:${PORT}/images/${requestId}/${index}.svg`,
+                width: 1024,
+                height: 768,
+                content_type: 'image/svg+xml',
+            }));
+            return sendJson(res, 200, { images, seed: 42, prompt: entry.payload.prompt });
+        }
+
+        return sendJson(res, 404, { detail: 'Not found' });
+    } catch (error) {
+        console.error('[stub] error:', error);
+        return sendJson(res, 500, { detail: 'Stub error' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Fal queue stub listening on http://localhost:${PORT}`);
+});
@@ -1,14 +1,55 @@
 require('dotenv').config();
+
+// `node server.js --mock` runs without API keys (see api/_lib/mock.js)
+if (process.argv.includes('--mock')) {
+    process.env.MOCK_PROVIDERS = '1';
+}
+
 const path = require('path');
 const express = require('express');
 const generateHandler = require('./api/generate');
+const generateStreamHandler = require('./api/generate-stream');
 const enhanceHandler = require('./api/enhance');
+const describeHandler = require('./api/describe');
+const modelsHandler = require('./api/models');
+const jobsHandler = require('./api/jobs');
+const jobHandler = require('./api/jobs/[id]');
+const jobResultHandler = require('./api/jobs/[id]/result');
+const imageHandler = require('./api/images/[id]');
+const uploadHandler = require('./api/upload');
+const sessionHandler = require('./api/session');
+const historyHandler = require('./api/history');
+const historyRecordHandler = require('./api/history/[id]');
+const feedHandler = require('./api/feed');
+const { isMockMode } = require('./api/_lib/mock');
+const { isAuthEnabled, isSessionSigningEnabled } = require('./api/_lib/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+/**
+ * Routes that take input images can get them inline as data URIs (from
+ * enhance and describe, and from generation when there is no upload
+ * storage), so they accept bodies big enough for several 10MB images.
+ * Everything else keeps Express's 100KB default.
+ */
+const IMAGE_BODY_ROUTES = ['/api/generate', '/api/generate-stream', '/api/jobs', '/api/enhance', '/api/describe'];
+const IMAGE_BODY_LIMIT = '50mb';
+
+app.use(IMAGE_BODY_ROUTES, express.json({ limit: IMAGE_BODY_LIMIT }));
 app.use(express.json());
 
+/**
+ * Expose Express route params on req.query, matching how Vercel passes
+ * dynamic path segments (api/jobs/[id].js) to the same handlers
+ */
+function withParams(handler) {
+    return (req, res) => {
+        Object.defineProperty(req, 'query', { value: { ...req.query, ...req.params } });
+        return handler(req, res);
+    };
+}
+
 app.use('/public', express.static(path.join(__dirname, 'public')));
 app.use('/css', express.static(path.join(__dirname, 'css')));
 app.use('/js', express.static(path.join(__dirname, 'js')));
@@ -21,10 +62,60 @@ app.post('/api/generate', (req, res) => {
     return generateHandler(req, res);
 });
 
-app.post('/api/enhance', (req, res) => {
+app.post('/api/generate-stream', (req, res) => {
+    return generateStreamHandler(req, res);
+});
+
+app.post('/api/upload', (req, res) => {
+    return uploadHandler(req, res);
+});
+
+app.all('/api/enhance', (req, res) => {
     return enhanceHandler(req, res);
 });
 
+app.post('/api/describe', (req, res) => {
+    return describeHandler(req, res);
+});
+
+app.all('/api/session', (req, res) => {
+    return sessionHandler(req, res);
+});
+
+app.get('/api/models', (req, res) => {
+    return modelsHandler(req, res);
+});
+
+app.post('/api/jobs', (req, res) => {
+    return jobsHandler(req, res);
+});
+
+app.get('/api/jobs/:id', withParams(jobHandler));
+app.delete('/api/jobs/:id', withParams(jobHandler));
+app.get('/api/jobs/:id/result', withParams(jobResultHandler));
+app.get('/api/images/:id', withParams(imageHandler));
+app.get('/api/history', (req, res) => {
+    return historyHandler(req, res);
+});
+app.all('/api/history/:id', withParams(historyRecordHandler));
+app.get('/api/feed', (req, res) => {
+    return feedHandler(req, res);
+});
+
+// Bodies that are too large or not JSON get a JSON error like the handlers' own
+app.use((error, req, res, next) => {
+    if (!(error.status >= 400 && error.status < 500)) return next(error);
+    return res.status(error.status).json({
+        error: error.status === 413 ? 'Request body is too large' : 'Invalid request body',
+    });
+});
+
 app.listen(PORT, () => {
     console.log(`Server listening on http://localhost:${PORT}`);
+    if (isMockMode()) {
+        console.log('Mock mode: generation and enhancement run offline, no API keys needed');
+    }
+    if (isAuthEnabled() && !isSessionSigningEnabled()) {
+        console.warn('AUTH_SECRET is not set: signing in is disabled until it is (API tokens still work)');
+    }
 });
\ No newline at end of file
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getImageUnits } = require('../api/_lib/limits');
+const { getModel } = require('../api/_lib/models');
+
+test('getImageUnits counts num_images', () => {
+    assert.strictEqual(getImageUnits(getModel('seedream-45'), { num_images: 3 }), 3);
+    assert.strictEqual(getImageUnits(getModel('wan-26-text-to-image'), { max_images: 2 }), 2);
+});
+
+test('getImageUnits multiplies by max_images when the model takes both', () => {
+    assert.strictEqual(getImageUnits(getModel('seedream-45'), { num_images: 4, max_images: 6 }), 24);
+    assert.strictEqual(getImageUnits(getModel('seedream-45-edit'), { num_images: 2, max_images: 3 }), 6);
+});
+
+test('getImageUnits weighs large sizes', () => {
+    const size = { width: 2048, height: 2048 };
+    assert.strictEqual(getImageUnits(getModel('seedream-45'), { num_images: 2, max_images: 2, image_size: size }), 2 * 2 * 4);
+});